@@ -0,0 +1,55 @@
+/**
+ * Paystack Refund Handler
+ */
+
+module.exports = async function handler(params, context) {
+  const { transaction, amount, reason } = params;
+
+  try {
+    if (!context.payments) {
+      return {
+        success: false,
+        error: 'Payments are not enabled for this instance'
+      };
+    }
+
+    const original = context.payments.transactions.lookup(transaction);
+    if (!original || original.provider !== 'paystack') {
+      return {
+        success: false,
+        error: `No Paystack transaction '${transaction}'`
+      };
+    }
+
+    // Only agents extended with payment capabilities (PaymentAgentIntegration)
+    // check refund authority, so no one else may refund
+    if (!context.agent?.refundPayment) {
+      return {
+        success: false,
+        error: 'Refunds need an agent with payment capabilities and refund authority'
+      };
+    }
+
+    const result = await context.agent.refundPayment(original.id, amount, reason || 'Refund');
+
+    if (!result.success) {
+      return result;
+    }
+
+    context.logger.info('Refund queued', { transaction: original.id, refund: result.transactionId, amount: result.amount });
+
+    return {
+      success: true,
+      message: `Refund of ${original.currency} ${result.amount} queued for ${original.reference}`,
+      refundId: result.transactionId,
+      amount: result.amount,
+      status: result.status
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Treasury Budget Alert Handler
+ */
+
+module.exports = async function handler(params, context) {
+  const { category, threshold, window = 'monthly' } = params;
+
+  try {
+    if (!context.budgets) {
+      return {
+        success: false,
+        error: 'Budget tracking is not enabled for this instance'
+      };
+    }
+
+    const alert = context.budgets.setAlert(category, threshold, window);
+    const usage = context.budgets.usage('category', category)[alert.window];
+
+    context.logger.info('Budget alert set', { category, threshold, window: alert.window });
+
+    return {
+      success: true,
+      message: `Alert set: ${category} spending over ${threshold} (${alert.window})`,
+      category,
+      threshold,
+      window: alert.window,
+      spent: usage.committed,
+      limit: usage.limit,
+      triggered: alert.triggered
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INSTANCE CONFIG
+ * Reads config.yml, resolving ${VAR} and ${VAR:-default} from the
+ * environment. KENYACLAW_CONFIG points at another file.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config.yml');
+
+function loadConfig(configPath = process.env.KENYACLAW_CONFIG || CONFIG_PATH) {
+  const yaml = require('js-yaml');
+  return resolveConfig(yaml.load(fs.readFileSync(configPath, 'utf8')) || {});
+}
+
+// ${VAR} and ${VAR:-default}, as in config.yml
+function resolveConfig(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (_, name, fallback) => process.env[name] || (fallback ?? ''));
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveConfig);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveConfig(item)]));
+  }
+  return value;
+}
+
+module.exports = { loadConfig, resolveConfig, CONFIG_PATH };
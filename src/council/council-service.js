@@ -0,0 +1,203 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CONTINENTAL COUNCIL SERVICE
+ * One path for every High Table decision
+ *
+ * Votes are collected by the swarm's CouncilArchitecture (PROPOSAL, VOTE,
+ * CONSENSUS on the message bus, ruled by the VotingPolicy). This service
+ * takes the ruling from there, whoever asked for it - a chat command, the
+ * swarm's requestSpendingApproval(), a budget breach - and:
+ *   escalates it to a human when the policy cannot decide
+ *   records it in the decision ledger
+ *   executes approved actions
+ *   posts the outcome through the gateway adapters (Discord, Telegram)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { EscalationQueue } = require('./escalation-queue');
+const { DecisionLedger } = require('./decision-ledger');
+const { ExecutionRunner } = require('./execution-runner');
+const { Outcomes } = require('../swarm/voting-policy');
+
+class CouncilService {
+  constructor(swarm, options = {}) {
+    this.swarm = swarm;
+    this.ledger = options.ledger || new DecisionLedger(options.ledgerOptions);
+    this.executor = options.executor || new ExecutionRunner({ ledger: this.ledger, ...options.execution });
+    this.adapters = [];
+    (options.adapters || []).forEach(adapter => this.addAdapter(adapter));
+
+    // Escalated decisions come back here once a human (or the timeout) decides
+    this.escalations = options.escalations || new EscalationQueue(options.escalation);
+    this.escalations.on('escalation:resolved', (escalation) => {
+      this.completeEscalation(escalation).catch(error => {
+        console.error(`[COUNCIL] Could not complete escalation ${escalation.id}:`, error.message);
+      });
+    });
+
+    // Every ruling of the swarm's council architecture is settled here
+    this.swarm.orchestrator.setCouncil(this);
+  }
+
+  addAdapter(adapter) {
+    this.adapters.push(adapter);
+    adapter.attach(this);
+    return this;
+  }
+
+  // Put a proposed action to the council
+  async makeDecision(topic, proposedAction, costEstimate) {
+    console.log(`[COUNCIL] Deliberating: ${topic} ($${costEstimate})`);
+
+    const result = await this.swarm.submitTask({
+      type: 'spending',
+      description: topic,
+      proposedAction,
+      amount: costEstimate,
+      requiredSkills: ['finance', 'treasury']
+    });
+    return result.decision;
+  }
+
+  // Called by CouncilArchitecture with the ruling for a council task
+  async settle(task, result) {
+    const decision = {
+      id: result.proposalId,
+      topic: task.description || task.type,
+      proposedAction: task.proposedAction || null,
+      costEstimate: task.amount || 0,
+      votes: Object.fromEntries(result.votes.map(v => [v.agent, {
+        vote: v.vote,
+        reasoning: v.reasoning || '',
+        codename: v.codename
+      }])),
+      outcome: result.outcome,
+      tally: result.tally,
+      veto: result.veto,
+      tie: result.tie,
+      summary: result.message,
+      timestamp: new Date().toISOString()
+    };
+
+    // Human needed
+    if (decision.outcome === Outcomes.ESCALATE) {
+      decision.escalationId = this.escalations.escalate(decision).id;
+    }
+
+    await this.logDecision(decision);
+
+    if (decision.outcome === Outcomes.APPROVE) {
+      await this.executeDecision(decision);
+    }
+
+    await this.notifyCouncil(decision);
+
+    return { ...result, decision, escalationId: decision.escalationId || null };
+  }
+
+  async completeEscalation(escalation) {
+    const decision = {
+      ...escalation.decision,
+      escalationId: escalation.id,
+      outcome: escalation.resolution.action,
+      resolution: { status: escalation.status, ...escalation.resolution }
+    };
+
+    await this.logDecision(decision);
+    if (decision.outcome === Outcomes.APPROVE) {
+      await this.executeDecision(decision);
+    }
+    await this.notifyCouncil(decision);
+    return decision;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CHAT COMMANDS (from any gateway adapter)
+  //   /propose <cost> <action>     put an action to the council
+  //   /escalations, /approve <id> [note], /reject <id> [note]
+  // Resolves with the reply text, or null if the message is not a command.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  async handleCommand(text, user = {}) {
+    const [command, cost, ...rest] = String(text || '').trim().split(/\s+/);
+    if (command !== '/propose') {
+      return this.escalations.handleChatCommand(text, user);
+    }
+
+    if (!this.escalations.isAuthorised(user.id)) {
+      return `⚠️ ${user.name || user.id || 'Anonymous user'} is not authorised to propose council decisions`;
+    }
+
+    const amount = Number(String(cost || '').replace(/[$,]/g, ''));
+    const action = rest.join(' ');
+    if (!Number.isFinite(amount) || amount < 0 || !action) {
+      return 'Usage: /propose <cost> <action>';
+    }
+
+    // The outcome is posted to the council channel by notifyCouncil
+    const decision = await this.makeDecision(`Proposed by ${user.name || user.id}`, action, amount);
+    return `🗳️ Council decision ${decision.id}: ${decision.outcome.toUpperCase()}`;
+  }
+
+  // Escalation API, and the webhooks of adapters that receive over HTTP
+  setupRoutes(app) {
+    this.escalations.setupRoutes(app);
+    this.adapters.forEach(adapter => adapter.setupRoutes?.(app));
+  }
+
+  // Retried and idempotent; status is recorded in the ledger. Only decisions
+  // with a proposed action have anything to execute - payment approvals are
+  // carried out by whoever asked for them.
+  async executeDecision(decision) {
+    if (!decision.proposedAction) return null;
+
+    decision.execution = await this.executor.run(decision);
+    if (decision.execution.status === 'failed') {
+      console.error(`[COUNCIL] Execution of ${decision.id} failed: ${decision.execution.error}`);
+    }
+    return decision.execution;
+  }
+
+  // Append to the hash-chained audit ledger
+  async logDecision(decision) {
+    const entry = decision.resolution
+      ? this.ledger.recordResolution(decision)
+      : this.ledger.recordDecision(decision);
+    console.log(`[COUNCIL] Decision ${decision.id} recorded: ${decision.outcome} (ledger #${entry.seq})`);
+  }
+
+  async notifyCouncil(decision) {
+    const votes = Object.entries(decision.votes)
+      .map(([agent, v]) => `- ${v.codename || agent}: ${v.vote}`)
+      .join('\n');
+    let message = `📋 COUNCIL DECISION\n\n${decision.topic}\n`;
+    if (decision.proposedAction) {
+      message += `Action: ${decision.proposedAction}\n`;
+    }
+    message += `Cost: $${decision.costEstimate}\nResult: ${decision.outcome.toUpperCase()}\n\nVotes:\n${votes}`;
+
+    if (decision.execution) {
+      message += `\nExecution: ${decision.execution.status}${decision.execution.dryRun ? ' (dry run)' : ''}`;
+    }
+
+    if (decision.resolution) {
+      message += `\n\nDecided by: ${decision.resolution.by}${decision.resolution.note ? ` (${decision.resolution.note})` : ''}`;
+    } else if (decision.escalationId) {
+      const id = decision.escalationId.slice(0, 8);
+      message += `\n\n⏳ Awaiting a human decision: /approve ${id} or /reject ${id}`;
+    }
+
+    // One failing channel must not stop the others
+    await Promise.all(this.adapters.map(adapter =>
+      adapter.sendToChannel('council', message).catch(error => {
+        console.error(`[COUNCIL] Could not notify ${adapter.name}:`, error.message);
+      })
+    ));
+  }
+
+  close() {
+    this.escalations.close();
+  }
+}
+
+module.exports = { CouncilService };
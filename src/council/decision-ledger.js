@@ -0,0 +1,315 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COUNCIL DECISION LEDGER
+ * Append-only, hash-chained record of every council decision
+ *
+ * One JSON entry per line. Each entry carries the hash of the previous one,
+ * so editing, removing or reordering any line breaks the chain from that
+ * point on. The last entry's seq and hash are also kept in {ledger}.head,
+ * which catches entries cut off the end. Entry types:
+ *   decision     topic, cost, votes with reasoning, outcome
+ *   resolution   a human (or timeout) settled an escalated decision
+ *   execution    result of carrying the decision out
+ *
+ * CLI:
+ *   node src/council/decision-ledger.js verify [ledger]
+ *   node src/council/decision-ledger.js export [ledger] --format csv|json [--out file]
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_PATH = process.env.COUNCIL_LEDGER_PATH || path.join('data', 'council-ledger.jsonl');
+
+class DecisionLedger {
+  constructor(options = {}) {
+    this.path = options.path || DEFAULT_PATH;
+    this.headPath = options.headPath || `${this.path}.head`;
+    this.ready = false; // directory created on first append
+
+    // A damaged ledger is reported, not fatal: the council keeps recording
+    // and verify() shows what is wrong
+    const { entry, unreadable } = this.readLastEntry();
+    if (unreadable.length > 0) {
+      console.error(`[Ledger] ${this.path}: unreadable entries at line ${unreadable.join(', ')} - run verify`);
+    }
+    const head = this.readHead();
+    const last = head && (!entry || head.seq > entry.seq) ? head : entry;
+    this.lastSeq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  append(type, data) {
+    // Round-trip through JSON so the hash covers exactly what is stored
+    const entry = JSON.parse(JSON.stringify({
+      seq: this.lastSeq + 1,
+      type,
+      recordedAt: new Date().toISOString(),
+      ...data,
+      prevHash: this.lastHash
+    }));
+    entry.hash = hashEntry(entry);
+
+    // A torn last line (e.g. a crash mid-write) is left alone, on its own line
+    let separator = '';
+    if (!this.ready) {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      separator = endsMidLine(this.path) ? '\n' : '';
+      this.ready = true;
+    }
+
+    // Synchronous so concurrent decisions cannot interleave the chain
+    fs.appendFileSync(this.path, separator + JSON.stringify(entry) + '\n');
+    this.writeHead(entry);
+    this.lastSeq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  writeHead(entry) {
+    const temp = `${this.headPath}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ seq: entry.seq, hash: entry.hash, recordedAt: entry.recordedAt }) + '\n');
+    fs.renameSync(temp, this.headPath);
+  }
+
+  readHead() {
+    if (!fs.existsSync(this.headPath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.headPath, 'utf8'));
+    } catch (error) {
+      console.error(`[Ledger] ${this.headPath} is unreadable - run verify`);
+      return null;
+    }
+  }
+
+  recordDecision(decision) {
+    return this.append('decision', {
+      decisionId: decision.id,
+      topic: decision.topic,
+      proposedAction: decision.proposedAction,
+      costEstimate: decision.costEstimate,
+      votes: decision.votes,
+      outcome: decision.outcome,
+      tally: decision.tally || null,
+      veto: decision.veto || null,
+      escalationId: decision.escalationId || null
+    });
+  }
+
+  recordResolution(decision) {
+    return this.append('resolution', {
+      decisionId: decision.id,
+      escalationId: decision.escalationId || null,
+      outcome: decision.outcome,
+      resolution: decision.resolution
+    });
+  }
+
+  recordExecution(decisionId, result) {
+    return this.append('execution', { decisionId, result });
+  }
+
+  entries() {
+    return readLines(this.path).map(({ text }) => JSON.parse(text));
+  }
+
+  // Everything recorded about one decision, oldest first
+  history(decisionId) {
+    return this.entries().filter(entry => entry.decisionId === decisionId);
+  }
+
+  // The last readable entry, and the lines after it that could not be parsed
+  readLastEntry() {
+    const lines = readLines(this.path);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        return { entry: JSON.parse(lines[i].text), unreadable: lines.slice(i + 1).map(({ line }) => line) };
+      } catch (error) {
+        continue;
+      }
+    }
+    return { entry: null, unreadable: lines.map(({ line }) => line) };
+  }
+
+  // Recompute the chain. Reports every broken link rather than stopping at
+  // the first, so an auditor can see the extent of any tampering.
+  verify() {
+    const errors = [];
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let count = 0;
+
+    for (const { text, line } of readLines(this.path)) {
+      let entry;
+      try {
+        entry = JSON.parse(text);
+      } catch (error) {
+        errors.push({ line, reason: 'unreadable entry' });
+        continue;
+      }
+      count++;
+
+      if (entry.seq !== expectedSeq) {
+        errors.push({ line, seq: entry.seq, reason: `expected sequence ${expectedSeq}` });
+      }
+      if (entry.prevHash !== prevHash) {
+        errors.push({ line, seq: entry.seq, reason: 'previous hash does not match' });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        errors.push({ line, seq: entry.seq, reason: 'entry contents do not match its hash' });
+      }
+
+      expectedSeq = entry.seq + 1;
+      prevHash = entry.hash;
+    }
+
+    // The head anchors the end of the chain: without it a truncated ledger
+    // would still verify
+    const lastSeq = expectedSeq - 1;
+    const head = fs.existsSync(this.headPath) ? this.readHead() : null;
+    if (!head && count > 0) {
+      errors.push({ reason: fs.existsSync(this.headPath) ? 'head record is unreadable' : 'head record is missing' });
+    } else if (head && head.seq > lastSeq) {
+      errors.push({ seq: head.seq, reason: `ledger ends at sequence ${lastSeq} but the head is at ${head.seq} (truncated)` });
+    } else if (head && head.seq < lastSeq) {
+      errors.push({ seq: head.seq, reason: `entries after the head (sequence ${head.seq})` });
+    } else if (head && head.hash !== prevHash) {
+      errors.push({ seq: head.seq, reason: 'last entry does not match the head hash' });
+    }
+
+    return { valid: errors.length === 0, entries: count, lastHash: prevHash, errors };
+  }
+
+  export(format = 'json') {
+    const entries = this.entries();
+    switch (format) {
+      case 'json':
+        return JSON.stringify(entries, null, 2);
+      case 'csv':
+        return toCsv(entries);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+}
+
+// SHA-256 over the entry without its own hash, keys sorted so the result
+// does not depend on property order
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function endsMidLine(file) {
+  if (!fs.existsSync(file)) return false;
+  const { size } = fs.statSync(file);
+  if (size === 0) return false;
+
+  const last = Buffer.alloc(1);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, last, 0, 1, size - 1);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return last.toString() !== '\n';
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((text, index) => ({ text, line: index + 1 }))
+    .filter(({ text }) => text.trim() !== '');
+}
+
+const CSV_COLUMNS = [
+  ['seq', e => e.seq],
+  ['recorded_at', e => e.recordedAt],
+  ['type', e => e.type],
+  ['decision_id', e => e.decisionId],
+  ['topic', e => e.topic],
+  ['proposed_action', e => e.proposedAction],
+  ['cost_estimate', e => e.costEstimate],
+  ['outcome', e => e.outcome],
+  ['votes', e => e.votes && Object.entries(e.votes).map(([agent, v]) => `${agent}:${v.vote}`).join('; ')],
+  ['reasoning', e => e.votes && Object.entries(e.votes).map(([agent, v]) => `${agent}: ${v.reasoning || ''}`).join(' | ')],
+  ['resolved_by', e => e.resolution?.by],
+  ['execution_status', e => e.result?.status],
+  ['execution_detail', e => e.result && JSON.stringify(e.result)],
+  ['prev_hash', e => e.prevHash],
+  ['hash', e => e.hash]
+];
+
+function toCsv(entries) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  entries.forEach(entry => rows.push(CSV_COLUMNS.map(([, get]) => get(entry))));
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════
+
+function runCli(args) {
+  const [command, ...rest] = args;
+  const option = (name) => {
+    const index = rest.indexOf(`--${name}`);
+    return index === -1 ? null : rest[index + 1];
+  };
+  const file = rest.find((arg, i) => !arg.startsWith('--') && !(i > 0 && rest[i - 1].startsWith('--')));
+  const ledger = new DecisionLedger({ path: file || DEFAULT_PATH });
+
+  switch (command) {
+    case 'verify': {
+      const result = ledger.verify();
+      if (result.valid) {
+        console.log(`[Ledger] OK - ${result.entries} entries, head ${result.lastHash}`);
+        return 0;
+      }
+      console.error(`[Ledger] TAMPERED - ${result.errors.length} problem(s) in ${result.entries} entries:`);
+      result.errors.forEach(e => console.error(`  ${e.line ? `line ${e.line}` : 'head'}${e.seq ? ` (seq ${e.seq})` : ''}: ${e.reason}`));
+      return 1;
+    }
+    case 'export': {
+      const output = ledger.export(option('format') || 'json');
+      const out = option('out');
+      if (out) {
+        fs.writeFileSync(out, output);
+        console.log(`[Ledger] Exported to ${out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      return 0;
+    }
+    default:
+      console.error('Usage: decision-ledger.js verify [ledger] | export [ledger] --format csv|json [--out file]');
+      return 2;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
+
+module.exports = { DecisionLedger, GENESIS_HASH, hashEntry };
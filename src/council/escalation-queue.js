@@ -0,0 +1,326 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COUNCIL ESCALATION QUEUE
+ * Human-in-the-loop for decisions the council will not take alone
+ *
+ * An escalation keeps the full decision (votes and reasoning) until an
+ * authorised human approves or rejects it - over HTTP or a chat command -
+ * or until it expires and the default action is applied.
+ * Every outcome is emitted as 'escalation:resolved'.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseDuration } = require('../swarm/history-store');
+
+const Actions = ['approve', 'reject'];
+
+class EscalationQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeout = parseDuration(options.timeout || '24h');
+    this.defaultAction = options.defaultAction || 'reject';
+    if (!Actions.includes(this.defaultAction)) {
+      throw new Error(`Escalation defaultAction must be 'approve' or 'reject', got ${this.defaultAction}`);
+    }
+
+    // Chat user ids allowed to decide, and HTTP bearer tokens -> user id
+    this.approvers = new Set(options.approvers || splitList(process.env.COUNCIL_APPROVERS));
+    this.apiTokens = options.apiTokens || parseTokens(process.env.COUNCIL_API_TOKENS);
+    Object.values(this.apiTokens).forEach(userId => this.approvers.add(String(userId)));
+
+    this.path = options.path || null;
+    this.escalations = new Map();
+    this.timers = new Map();
+    this.load();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════════════════
+
+  escalate(decision, options = {}) {
+    const now = Date.now();
+    const escalation = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      decision,
+      defaultAction: options.defaultAction || this.defaultAction,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + parseDuration(options.timeout || this.timeout)).toISOString(),
+      resolution: null
+    };
+
+    this.escalations.set(escalation.id, escalation);
+    this.schedule(escalation);
+    this.save();
+
+    console.log(`[Escalation] ${escalation.id} awaiting a human: ${decision.topic}`);
+    this.emit('escalation:created', escalation);
+    return escalation;
+  }
+
+  resolve(id, { action, by, note = '' }) {
+    if (!Actions.includes(action)) {
+      throw escalationError(`Unknown action: ${action}`, 'invalid');
+    }
+    if (!this.isAuthorised(by)) {
+      throw escalationError(`${by || 'Anonymous user'} is not authorised to decide escalations`, 'forbidden');
+    }
+
+    const escalation = this.pending(id);
+    return this.settle(escalation, action === 'approve' ? 'approved' : 'rejected', {
+      action,
+      by,
+      note
+    });
+  }
+
+  expire(id) {
+    const escalation = this.escalations.get(id);
+    if (!escalation || escalation.status !== 'pending') return null;
+
+    console.log(`[Escalation] ${id} expired - applying default action: ${escalation.defaultAction}`);
+    return this.settle(escalation, 'expired', {
+      action: escalation.defaultAction,
+      by: 'timeout',
+      note: 'No decision before the escalation expired'
+    });
+  }
+
+  settle(escalation, status, resolution) {
+    clearTimeout(this.timers.get(escalation.id));
+    this.timers.delete(escalation.id);
+
+    escalation.status = status;
+    escalation.resolution = { ...resolution, at: new Date().toISOString() };
+    this.save();
+
+    this.emit('escalation:resolved', escalation);
+    return escalation;
+  }
+
+  schedule(escalation) {
+    const delay = Math.max(0, new Date(escalation.expiresAt).getTime() - Date.now());
+    // setTimeout overflows past ~24.8 days; re-check until the real deadline
+    const timer = setTimeout(() => {
+      if (Date.now() >= new Date(escalation.expiresAt).getTime()) {
+        this.expire(escalation.id);
+      } else {
+        this.schedule(escalation);
+      }
+    }, Math.min(delay, 2 ** 31 - 1));
+    timer.unref();
+    this.timers.set(escalation.id, timer);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // LOOKUP
+  // ═══════════════════════════════════════════════════════════════════════
+
+  get(id) {
+    return this.escalations.get(id) || null;
+  }
+
+  list(filters = {}) {
+    return Array.from(this.escalations.values())
+      .filter(e => !filters.status || e.status === filters.status);
+  }
+
+  // Pending escalation by full id or a unique prefix (chat users type short ids)
+  pending(idOrPrefix) {
+    let escalation = this.escalations.get(idOrPrefix);
+    if (!escalation && idOrPrefix && idOrPrefix.length >= 4) {
+      const matches = this.list({ status: 'pending' }).filter(e => e.id.startsWith(idOrPrefix));
+      if (matches.length > 1) {
+        throw escalationError(`Escalation id ${idOrPrefix} is ambiguous`, 'invalid');
+      }
+      escalation = matches[0];
+    }
+
+    if (!escalation) {
+      throw escalationError(`Escalation ${idOrPrefix} not found`, 'not_found');
+    }
+    if (escalation.status !== 'pending') {
+      throw escalationError(`Escalation ${escalation.id} is already ${escalation.status}`, 'conflict');
+    }
+    return escalation;
+  }
+
+  isAuthorised(userId) {
+    return !!userId && this.approvers.has(String(userId));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PERSISTENCE (optional JSON file so pending escalations survive restarts)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+
+    const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    for (const escalation of saved) {
+      this.escalations.set(escalation.id, escalation);
+    }
+    // Schedule after loading so anything that expired while we were down
+    // is settled (and emitted) once listeners are attached
+    setImmediate(() => {
+      this.list({ status: 'pending' }).forEach(escalation => this.schedule(escalation));
+    });
+  }
+
+  save() {
+    if (!this.path) return;
+
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(this.escalations.values()), null, 2));
+    fs.renameSync(tmp, this.path);
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CHAT COMMANDS
+  //   /escalations                 list pending escalations
+  //   /approve <id> [note]
+  //   /reject <id> [note]
+  // Returns the reply text, or null if the message is not a command.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  handleChatCommand(text, user = {}) {
+    const [command, id, ...rest] = String(text || '').trim().split(/\s+/);
+
+    switch (command) {
+      case '/escalations':
+        if (!this.isAuthorised(user.id)) {
+          return `⚠️ ${user.name || user.id || 'Anonymous user'} is not authorised to view escalations`;
+        }
+        return this.formatPending();
+      case '/approve':
+      case '/reject':
+        if (!id) return `Usage: ${command} <escalation id> [note]`;
+        try {
+          const escalation = this.resolve(id, {
+            action: command.slice(1),
+            by: user.id,
+            note: rest.join(' ')
+          });
+          return `✅ Escalation ${shortId(escalation.id)} ${escalation.status} by ${user.name || user.id}`;
+        } catch (error) {
+          return `⚠️ ${error.message}`;
+        }
+      default:
+        return null;
+    }
+  }
+
+  formatPending() {
+    const pending = this.list({ status: 'pending' });
+    if (pending.length === 0) return 'No escalations are waiting for a decision.';
+
+    return pending.map(e => {
+      const { topic, costEstimate } = e.decision;
+      return `• ${shortId(e.id)} - ${topic} ($${costEstimate}) - expires ${e.expiresAt}, then ${e.defaultAction}`;
+    }).join('\n');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // HTTP API (Authorization: Bearer <token>)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  setupRoutes(app) {
+    const requireToken = (req, res, next) => {
+      req.councilUser = this.authenticate(req);
+      if (!req.councilUser) {
+        return res.status(401).json({ success: false, error: 'A valid API token is required' });
+      }
+      next();
+    };
+
+    app.get('/api/council/escalations', requireToken, (req, res) => {
+      res.json({ escalations: this.list({ status: req.query.status }) });
+    });
+
+    app.get('/api/council/escalations/:id', requireToken, (req, res) => {
+      const escalation = this.get(req.params.id);
+      if (!escalation) {
+        return res.status(404).json({ error: 'Escalation not found' });
+      }
+      res.json(escalation);
+    });
+
+    for (const action of Actions) {
+      app.post(`/api/council/escalations/:id/${action}`, requireToken, (req, res) => {
+        try {
+          const escalation = this.resolve(req.params.id, {
+            action,
+            by: req.councilUser,
+            note: req.body?.note
+          });
+          res.json({ success: true, escalation });
+        } catch (error) {
+          res.status(HTTP_STATUS[error.code] || 500).json({ success: false, error: error.message });
+        }
+      });
+    }
+
+    console.log('[Escalation] Routes configured:');
+    console.log('  - GET /api/council/escalations');
+    console.log('  - GET /api/council/escalations/:id');
+    console.log('  - POST /api/council/escalations/:id/approve');
+    console.log('  - POST /api/council/escalations/:id/reject');
+  }
+
+  authenticate(req) {
+    const header = req.headers?.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!token) return null;
+
+    const supplied = Buffer.from(token);
+    for (const [candidate, userId] of Object.entries(this.apiTokens)) {
+      const expected = Buffer.from(candidate);
+      if (expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied)) {
+        return userId;
+      }
+    }
+    return null;
+  }
+}
+
+const HTTP_STATUS = {
+  invalid: 400,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409
+};
+
+function escalationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function shortId(id) {
+  return id.slice(0, 8);
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+// "token:user,token:user"; user ids have colons of their own (discord:81234)
+function parseTokens(value) {
+  const tokens = {};
+  splitList(value).forEach(pair => {
+    const index = pair.indexOf(':');
+    if (index > 0) tokens[pair.slice(0, index)] = pair.slice(index + 1);
+  });
+  return tokens;
+}
+
+module.exports = { EscalationQueue };
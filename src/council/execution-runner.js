@@ -0,0 +1,268 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COUNCIL EXECUTION RUNNER
+ * Carries out approved decisions exactly once
+ *
+ * - Idempotency-Key derived from the decision id, so retries and restarts
+ *   cannot execute a decision twice. Dry runs get their own key, so a real
+ *   run is never answered with a cached dry-run result
+ * - Retries network errors, timeouts, 408/429/5xx with exponential backoff
+ * - Every status change (pending, succeeded, failed, compensated) goes to
+ *   the decision ledger
+ * - Dry-run mode flags the request so the API validates without acting;
+ *   point `endpoint` at the mock below to test end to end:
+ *     node src/council/execution-runner.js mock [port]
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_ENDPOINT = process.env.COUNCIL_EXECUTE_URL || 'http://continental-api:3000/v1/autonomous/execute';
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const ExecutionStatus = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  COMPENSATED: 'compensated'
+};
+
+class ExecutionRunner {
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+    this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    this.compensateEndpoint = options.compensateEndpoint || this.endpoint.replace(/\/execute$/, '/compensate');
+    this.dryRun = options.dryRun ?? process.env.COUNCIL_DRY_RUN === 'true';
+    this.maxAttempts = options.maxAttempts || 4;
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay || 10000;
+    this.timeout = options.timeout || 10000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.inFlight = new Map(); // decisionId -> promise
+  }
+
+  idempotencyKey(decisionId, operation = 'execute', dryRun = this.dryRun) {
+    const mode = dryRun ? 'dry-run' : 'live';
+    const digest = crypto.createHash('sha256').update(`council:${operation}:${mode}:${decisionId}`).digest('hex');
+    return `council-${operation}${dryRun ? '-dry-run' : ''}-${digest.slice(0, 32)}`;
+  }
+
+  // Latest execution status recorded for a decision, or null
+  lastExecution(decisionId) {
+    if (!this.ledger) return null;
+    const executions = this.ledger.history(decisionId).filter(entry => entry.type === 'execution');
+    return executions.length > 0 ? executions[executions.length - 1].result : null;
+  }
+
+  async run(decision) {
+    // Concurrent calls for the same decision share one execution
+    if (this.inFlight.has(decision.id)) {
+      return this.inFlight.get(decision.id);
+    }
+
+    const previous = this.lastExecution(decision.id);
+    if (previous && [ExecutionStatus.SUCCEEDED, ExecutionStatus.COMPENSATED].includes(previous.status) && !previous.dryRun) {
+      console.log(`[Execution] ${decision.id} already ${previous.status} - skipping`);
+      return { ...previous, skipped: true };
+    }
+
+    const execution = this.execute(decision).finally(() => this.inFlight.delete(decision.id));
+    this.inFlight.set(decision.id, execution);
+    return execution;
+  }
+
+  async execute(decision) {
+    const idempotencyKey = this.idempotencyKey(decision.id);
+    this.record(decision.id, { status: ExecutionStatus.PENDING, idempotencyKey, dryRun: this.dryRun });
+
+    console.log(`[Execution] ${this.dryRun ? 'Dry run of' : 'Executing'}: ${decision.proposedAction}`);
+    const outcome = await this.request(this.endpoint, idempotencyKey, {
+      action: decision.proposedAction,
+      cost: decision.costEstimate,
+      approvedBy: 'continental-council',
+      decisionId: decision.id,
+      dryRun: this.dryRun
+    });
+
+    return this.record(decision.id, {
+      ...outcome,
+      status: outcome.ok ? ExecutionStatus.SUCCEEDED : ExecutionStatus.FAILED,
+      idempotencyKey,
+      dryRun: this.dryRun
+    });
+  }
+
+  // Reverse a succeeded execution (e.g. a refund after a bad purchase)
+  async compensate(decision, reason) {
+    const previous = this.lastExecution(decision.id);
+    if (!previous || previous.status !== ExecutionStatus.SUCCEEDED) {
+      throw new Error(`Decision ${decision.id} has no successful execution to compensate`);
+    }
+
+    const idempotencyKey = this.idempotencyKey(decision.id, 'compensate');
+    const outcome = await this.request(this.compensateEndpoint, idempotencyKey, {
+      decisionId: decision.id,
+      action: decision.proposedAction,
+      reason,
+      dryRun: this.dryRun
+    });
+
+    if (!outcome.ok) {
+      this.record(decision.id, { ...previous, compensation: { ...outcome, reason, idempotencyKey } });
+      throw new Error(`Compensation of ${decision.id} failed: ${outcome.error}`);
+    }
+    return this.record(decision.id, {
+      ...outcome,
+      status: ExecutionStatus.COMPENSATED,
+      reason,
+      idempotencyKey,
+      dryRun: this.dryRun
+    });
+  }
+
+  // POST with retries. Resolves with { ok, attempts, httpStatus, response | error }
+  async request(url, idempotencyKey, body) {
+    let last = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await this.fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+            ...(this.dryRun ? { 'X-Dry-Run': 'true' } : {})
+          },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        const payload = await readBody(response);
+        if (response.ok) {
+          return { ok: true, attempts: attempt, httpStatus: response.status, response: payload };
+        }
+
+        last = { ok: false, attempts: attempt, httpStatus: response.status, error: `HTTP ${response.status}`, response: payload };
+        if (!RETRYABLE_STATUS.has(response.status)) {
+          return last;
+        }
+        await this.backoff(attempt, response.headers?.get?.('retry-after'));
+      } catch (error) {
+        const message = error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message;
+        last = { ok: false, attempts: attempt, error: message };
+        await this.backoff(attempt);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    return last;
+  }
+
+  async backoff(attempt, retryAfter = null) {
+    if (attempt >= this.maxAttempts) return;
+
+    const seconds = retryAfter === null || retryAfter === undefined ? NaN : Number(retryAfter);
+    const delay = Number.isFinite(seconds) && seconds >= 0
+      ? seconds * 1000
+      : Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+
+    console.log(`[Execution] Attempt ${attempt} failed - retrying in ${Math.round(delay)}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  record(decisionId, result) {
+    if (this.ledger) {
+      this.ledger.recordExecution(decisionId, result);
+    }
+    return result;
+  }
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text || null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MOCK ENDPOINT
+// Local stand-in for /v1/autonomous/execute. Replays the stored response for
+// a repeated Idempotency-Key; `failFirst` makes the first N requests 503.
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createMockEndpoint(options = {}) {
+  const responses = new Map();
+  const requests = [];
+  let failures = options.failFirst || 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const key = req.headers['idempotency-key'];
+      res.setHeader('Content-Type', 'application/json');
+
+      let payload;
+      try {
+        payload = body ? JSON.parse(body) : {};
+      } catch (error) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: 'Request body is not valid JSON' }));
+      }
+      requests.push({ path: req.url, idempotencyKey: key, dryRun: req.headers['x-dry-run'] === 'true', body: payload });
+
+      if (failures > 0) {
+        failures--;
+        res.statusCode = 503;
+        return res.end(JSON.stringify({ error: 'Service unavailable' }));
+      }
+      if (!key) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: 'Idempotency-Key header required' }));
+      }
+
+      if (!responses.has(key)) {
+        responses.set(key, {
+          executionId: crypto.randomUUID(),
+          decisionId: payload.decisionId,
+          dryRun: !!payload.dryRun,
+          executedAt: new Date().toISOString()
+        });
+      }
+      res.end(JSON.stringify({ ...responses.get(key), replayed: requests.filter(r => r.idempotencyKey === key).length > 1 }));
+    });
+  });
+
+  return {
+    server,
+    requests,
+    listen: (port = 0) => new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => {
+        const address = server.address();
+        resolve(`http://127.0.0.1:${address.port}/v1/autonomous/execute`);
+      });
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+if (require.main === module) {
+  const [command, port] = process.argv.slice(2);
+  if (command !== 'mock') {
+    console.error('Usage: execution-runner.js mock [port]');
+    process.exitCode = 2;
+  } else {
+    const mock = createMockEndpoint();
+    mock.listen(Number(port) || 3999).then(url => console.log(`[Execution] Mock endpoint listening on ${url}`));
+  }
+}
+
+module.exports = { ExecutionRunner, ExecutionStatus, createMockEndpoint };
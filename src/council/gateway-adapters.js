@@ -0,0 +1,209 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COUNCIL GATEWAY ADAPTERS
+ * Carry council traffic between chat platforms and the CouncilService
+ *
+ * Outbound: decisions are posted to the platform's council channel.
+ * Inbound:  messages in that channel are passed to council.handleCommand()
+ *           and the reply is posted back.
+ *
+ * Users are identified as "<platform>:<user id>" (e.g. discord:81234,
+ * telegram:5550001), so COUNCIL_APPROVERS must use the same form.
+ *
+ * The Telegram webhook is only registered with TELEGRAM_WEBHOOK_SECRET set
+ * (the secret_token given to setWebhook); every update must carry it.
+ *
+ * createAdapters() builds them from the `channels` section of config.yml:
+ * Telegram when enabled with a token, Discord when enabled and given a
+ * logged-in discord.js client.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+class GatewayAdapter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.channels = options.channels || {}; // council channel name -> platform id
+    this.council = null;
+  }
+
+  attach(council) {
+    this.council = council;
+  }
+
+  async sendToChannel(channel, text) {
+    const target = this.channels[channel];
+    if (!target) {
+      throw new Error(`No ${this.name} channel configured for '${channel}'`);
+    }
+    for (const chunk of splitMessage(text, this.maxLength)) {
+      await this.send(target, chunk);
+    }
+  }
+
+  async send(target, text) {
+    throw new Error('send method must be implemented');
+  }
+
+  // Council commands only count in a configured channel
+  async handleText(target, text, user) {
+    if (!this.council || !Object.values(this.channels).includes(String(target))) {
+      return null;
+    }
+
+    let reply;
+    try {
+      reply = await this.council.handleCommand(text, user);
+    } catch (error) {
+      reply = `⚠️ ${error.message}`;
+    }
+    if (reply) {
+      await this.send(target, reply);
+    }
+    return reply;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DISCORD (discord.js client)
+// ═══════════════════════════════════════════════════════════════════════════
+
+class DiscordAdapter extends GatewayAdapter {
+  constructor(client, options = {}) {
+    super('discord', {
+      channels: options.channels || { council: process.env.DISCORD_COUNCIL_CHANNEL_ID }
+    });
+    this.client = client;
+    this.maxLength = 2000;
+  }
+
+  attach(council) {
+    super.attach(council);
+    this.client.on('messageCreate', (message) => {
+      if (message.author?.bot) return;
+
+      this.handleText(message.channelId, message.content, {
+        id: `discord:${message.author.id}`,
+        name: message.author.username
+      }).catch(error => {
+        console.error('[Gateway:discord] Could not handle message:', error.message);
+      });
+    });
+  }
+
+  async send(channelId, text) {
+    const channel = await this.client.channels.fetch(channelId);
+    await channel.send(text);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TELEGRAM (Bot API over HTTPS; updates arrive on a webhook)
+// ═══════════════════════════════════════════════════════════════════════════
+
+class TelegramAdapter extends GatewayAdapter {
+  constructor(options = {}) {
+    super('telegram', {
+      channels: options.channels || { council: process.env.TELEGRAM_COUNCIL_CHAT_ID }
+    });
+    this.token = options.token || process.env.TELEGRAM_BOT_TOKEN_CONTINENTAL;
+    this.secret = options.secret || process.env.TELEGRAM_WEBHOOK_SECRET || null;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.maxLength = 4096;
+  }
+
+  async send(chatId, text) {
+    const response = await this.fetch(`https://api.telegram.org/bot${this.token}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, text })
+    });
+    if (!response.ok) {
+      throw new Error(`Telegram sendMessage failed: HTTP ${response.status}`);
+    }
+  }
+
+  async handleUpdate(update) {
+    const message = update?.message;
+    if (!message?.text || !message.from) return null;
+
+    // "/approve@ContinentalBot abc123" -> "/approve abc123"
+    const text = message.text.replace(/^(\/\w+)@\w+/, '$1');
+    return this.handleText(message.chat.id, text, {
+      id: `telegram:${message.from.id}`,
+      name: message.from.username || message.from.first_name
+    });
+  }
+
+  // Anyone who finds the URL could otherwise post as a council member
+  setupRoutes(app, path = '/webhooks/telegram/council') {
+    if (!this.secret) {
+      console.warn(`[Gateway:telegram] TELEGRAM_WEBHOOK_SECRET is not set - not registering POST ${path}`);
+      return false;
+    }
+
+    app.post(path, (req, res) => {
+      if (!this.verifySecret(req.headers['x-telegram-bot-api-secret-token'])) {
+        return res.status(401).json({ error: 'Invalid secret token' });
+      }
+
+      // Acknowledge at once; Telegram retries slow webhooks
+      res.json({ ok: true });
+      this.handleUpdate(req.body).catch(error => {
+        console.error('[Gateway:telegram] Could not handle update:', error.message);
+      });
+    });
+
+    console.log('[Gateway] Routes configured:');
+    console.log(`  - POST ${path}`);
+    return true;
+  }
+
+  verifySecret(token) {
+    if (!this.secret || typeof token !== 'string') return false;
+    const expected = Buffer.from(this.secret);
+    const supplied = Buffer.from(token);
+    return expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied);
+  }
+}
+
+// config.yml `channels` -> adapters for the council
+function createAdapters(channels = {}, options = {}) {
+  const adapters = [];
+  const { discord, telegram } = channels;
+
+  if (discord?.enabled && options.discordClient) {
+    adapters.push(new DiscordAdapter(options.discordClient, {
+      channels: { council: discord.channels?.council }
+    }));
+  } else if (discord?.enabled) {
+    console.warn('[Gateway:discord] Enabled but no discord.js client was given - not posting to Discord');
+  }
+
+  if (telegram?.enabled && telegram.token) {
+    adapters.push(new TelegramAdapter({
+      token: telegram.token,
+      secret: telegram.webhookSecret,
+      channels: { council: telegram.councilChatId },
+      fetch: options.fetch
+    }));
+  }
+
+  return adapters;
+}
+
+function splitMessage(text, maxLength = 2000) {
+  const chunks = [];
+  let rest = String(text);
+  while (rest.length > maxLength) {
+    const cut = rest.lastIndexOf('\n', maxLength);
+    const at = cut > 0 ? cut : maxLength;
+    chunks.push(rest.slice(0, at));
+    rest = rest.slice(at).replace(/^\n/, '');
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+module.exports = { GatewayAdapter, DiscordAdapter, TelegramAdapter, createAdapters };
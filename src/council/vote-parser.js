@@ -0,0 +1,231 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * COUNCIL VOTE PARSER
+ * Structured verdicts from LLM council members
+ *
+ * Members are asked for a JSON verdict:
+ *   { "vote": "approve" | "reject" | "abstain", "confidence": 0..1,
+ *     "reasoning": "...", "conditions": ["..."], "risks": ["..."] }
+ *
+ * Answers are schema-checked and tested for contradictions (e.g. "vote":
+ * "approve" with "I cannot approve this" in the reasoning). Bad answers are
+ * sent back for repair; after maxAttempts the member abstains and the reason
+ * is kept on the vote.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const VOTE_CHOICES = ['approve', 'reject', 'abstain'];
+
+const VERDICT_FORMAT = `Respond with ONLY a JSON object, no other text:
+{
+  "vote": "approve" | "reject" | "abstain",
+  "confidence": number between 0 and 1,
+  "reasoning": "one or two sentences",
+  "conditions": ["conditions attached to your vote, if any"],
+  "risks": ["main risks you see, if any"]
+}`;
+
+// Phrases that contradict the vote they appear next to
+const CONTRADICTIONS = {
+  approve: /\b(cannot|can't|can not|do not|don't|won't|will not|would not|should not|shouldn't|unable to|refuse to)\s+(support|approve|endorse|recommend|back)\b/i,
+  reject: /\b(cannot|can't|can not|do not|don't|won't|will not|would not|should not|shouldn't|see no reason to)\s+(reject|oppose|object to|block)\b/i
+};
+
+// "My vote is reject", "Vote: approve" in prose or reasoning
+const DECLARED_VOTE = /\bvote\s*(?:is|:|=|-)?\s*(?:to\s+)?["']?(approve|reject|abstain)\b/gi;
+
+function buildVotePrompt(message) {
+  return `${message}\n\n${VERDICT_FORMAT}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Returns { verdict, errors, contradictions }. verdict is null when the
+// answer could not be used at all.
+function parseVerdict(text) {
+  const raw = String(text || '');
+  const candidates = extractJsonObjects(raw);
+  if (candidates.length === 0) {
+    return { verdict: null, errors: ['No JSON object found in the answer'], contradictions: [] };
+  }
+
+  const voting = candidates.filter(c => c && typeof c === 'object' && 'vote' in c);
+  const [candidate] = voting.length > 0 ? voting : candidates;
+
+  const { verdict, errors } = validateVerdict(candidate);
+  if (!verdict) {
+    return { verdict: null, errors, contradictions: [] };
+  }
+
+  return { verdict, errors, contradictions: findContradictions(verdict, raw, voting) };
+}
+
+function validateVerdict(candidate) {
+  const errors = [];
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { verdict: null, errors: ['Verdict must be a JSON object'] };
+  }
+
+  const vote = typeof candidate.vote === 'string' ? candidate.vote.trim().toLowerCase() : null;
+  if (!VOTE_CHOICES.includes(vote)) {
+    errors.push(`"vote" must be one of ${VOTE_CHOICES.join(', ')}`);
+  }
+
+  const confidence = Number(candidate.confidence);
+  if (candidate.confidence === undefined || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+    errors.push('"confidence" must be a number between 0 and 1');
+  }
+
+  if (typeof candidate.reasoning !== 'string' || candidate.reasoning.trim() === '') {
+    errors.push('"reasoning" must be a non-empty string');
+  }
+
+  for (const field of ['conditions', 'risks']) {
+    const value = candidate[field];
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      errors.push(`"${field}" must be an array of strings`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { verdict: null, errors };
+  }
+
+  return {
+    verdict: {
+      vote,
+      confidence,
+      reasoning: candidate.reasoning.trim(),
+      conditions: candidate.conditions || [],
+      risks: candidate.risks || []
+    },
+    errors
+  };
+}
+
+function findContradictions(verdict, raw, voting) {
+  const contradictions = [];
+
+  const votes = new Set(voting.map(c => String(c.vote).trim().toLowerCase()));
+  if (votes.size > 1) {
+    contradictions.push(`Answer contains conflicting votes: ${Array.from(votes).join(', ')}`);
+  }
+
+  for (const match of raw.matchAll(DECLARED_VOTE)) {
+    const declared = match[1].toLowerCase();
+    if (declared !== verdict.vote) {
+      contradictions.push(`Answer says "${match[0].trim()}" but the verdict is ${verdict.vote}`);
+    }
+  }
+
+  const pattern = CONTRADICTIONS[verdict.vote];
+  const phrase = pattern && verdict.reasoning.match(pattern);
+  if (phrase) {
+    contradictions.push(`Reasoning ("${phrase[0]}") contradicts the ${verdict.vote} vote`);
+  }
+
+  return contradictions;
+}
+
+// Every top-level {...} in the text that parses as JSON. Handles code
+// fences and prose around the object.
+function extractJsonObjects(text) {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          objects.push(JSON.parse(text.slice(start, i + 1)));
+        } catch (error) {
+          // Not JSON - keep scanning
+        }
+      }
+    }
+  }
+
+  return objects;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ASK / REPAIR LOOP
+// ═══════════════════════════════════════════════════════════════════════════
+
+class VoteParser {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+  }
+
+  // agent.ask({ message, system }) -> text. Resolves with a verdict plus
+  // `attempts`; falls back to abstain with `fallback` explaining why.
+  async ask(agent, { message, system }) {
+    const attempts = [];
+    let prompt = buildVotePrompt(message);
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let answer;
+      try {
+        answer = await agent.ask({ message: prompt, system });
+      } catch (error) {
+        attempts.push({ attempt, problems: [`Request failed: ${error.message}`] });
+        continue;
+      }
+
+      const { verdict, errors, contradictions } = parseVerdict(answer);
+      const problems = [...errors, ...contradictions];
+      if (verdict && problems.length === 0) {
+        return { ...verdict, attempts: attempt };
+      }
+
+      attempts.push({ attempt, problems, answer });
+      prompt = this.repairPrompt(message, answer, problems);
+    }
+
+    const last = attempts[attempts.length - 1];
+    return {
+      vote: 'abstain',
+      confidence: 0,
+      reasoning: `No valid vote after ${attempts.length} attempts: ${last.problems.join('; ')}`,
+      conditions: [],
+      risks: [],
+      attempts: attempts.length,
+      fallback: {
+        reason: last.problems.join('; '),
+        history: attempts
+      }
+    };
+  }
+
+  repairPrompt(message, answer, problems) {
+    return `${message}\n\nYour previous answer could not be used:\n${problems.map(p => `- ${p}`).join('\n')}\n\n` +
+      `Previous answer:\n${answer}\n\n${VERDICT_FORMAT}`;
+  }
+}
+
+module.exports = {
+  VoteParser,
+  parseVerdict,
+  buildVotePrompt,
+  VERDICT_FORMAT,
+  VOTE_CHOICES
+};
@@ -15,6 +15,21 @@ class PaymentAgentIntegration {
       ...paymentConfig,
       swarm: swarm // Pass swarm for approval workflows
     });
+    this.budgets = this.payments.budgets;
+
+    // Payments held for a human decision on a council escalation
+    this.pendingPayments = new Map(); // escalationId -> { agent, params }
+    this.budgets.on('budget:approved', event => this.resumePayment(event));
+    this.budgets.on('budget:declined', ({ escalationId, resolution }) => {
+      if (this.pendingPayments.delete(escalationId)) {
+        console.log(`[PaymentAgent] Escalation ${escalationId} ${resolution?.action === 'reject' ? 'rejected' : 'not approved'} - payment dropped`);
+      }
+    });
+
+    // For skill handlers (e.g. paystack.create_refund)
+    if (swarm.skills) {
+      Object.assign(swarm.skills.context, { payments: this.payments, budgets: this.budgets });
+    }
     
     // Extend agents with payment capabilities
     this.extendAgents();
@@ -44,57 +59,93 @@ class PaymentAgentIntegration {
     return async (params) => {
       console.log(`[${agent.codename}] Processing payment:`, params);
 
-      // Check agent authority
-      if (!this.canProcessPayment(agent, params.amount)) {
+      // Reserve against the agent's budget; amounts over their authority
+      // or any budget cap go to the council first
+      const budget = await this.budgets.authorize({
+        agent,
+        category: params.category || params.metadata?.category || params.type || 'general',
+        amount: params.amount,
+        description: `Payment processing by ${agent.codename}`
+      });
+
+      if (!budget.ok) {
+        // Made by resumePayment if a human approves the escalation
+        if (budget.pending) {
+          this.pendingPayments.set(budget.escalationId, { agent, params });
+        }
         return {
           success: false,
-          error: 'Insufficient authority for this amount',
-          required_approval: true
+          pending: budget.pending,
+          escalationId: budget.escalationId,
+          error: budget.error,
+          breaches: budget.breaches,
+          approval: budget.approval
         };
       }
 
-      // For large amounts, get council approval
-      if (params.amount > agent.decisionAuthority?.spending || 0) {
-        const approval = await this.swarm.submitTask({
-          type: 'financial_approval',
-          amount: params.amount,
-          description: `Payment processing by ${agent.codename}`,
-          agent: agent.id
-        });
-
-        if (!approval.approved) {
-          return {
-            success: false,
-            error: 'Payment not approved by council',
-            approval: approval
-          };
-        }
-      }
+      return this.makePayment(agent, params, budget.reservation, budget.approval);
+    };
+  }
 
-      // Process payment
-      const result = await this.payments.processPayment({
+  // Send a payment reserved against the budget. The budget decision stands
+  // for the payment: a council approval of the budget request, or (within
+  // budget and the agent's authority) the reservation itself
+  async makePayment(agent, params, reservation, approval = null) {
+    approval = approval || { status: 'approved', source: 'budget', reservationId: reservation.id };
+
+    let result;
+    try {
+      result = await this.payments.processPayment({
         ...params,
         metadata: {
           ...params.metadata,
           processedBy: agent.id,
-          processedByName: agent.codename
+          processedByName: agent.codename,
+          budgetReservationId: reservation.id
         }
-      });
+      }, { approval });
+    } catch (error) {
+      this.budgets.release(reservation.id, error.message);
+      throw error;
+    }
 
-      // Log transaction
-      agent.remember(`payment:${result.transactionId}`, {
-        ...result,
-        timestamp: Date.now()
-      });
+    // Committed or released when the provider confirms the payment
+    if (result.success && result.transactionId) {
+      this.budgets.attach(reservation.id, result.transactionId);
+    } else {
+      this.budgets.release(reservation.id, result.error || 'Payment was not initiated');
+    }
 
-      return {
-        ...result,
-        processedBy: agent.codename,
-        quote: agent.getQuote()
-      };
+    // Log transaction
+    await agent.remember(`payment:${result.transactionId}`, {
+      ...result,
+      timestamp: Date.now()
+    });
+
+    return {
+      ...result,
+      processedBy: agent.codename,
+      quote: agent.getQuote()
     };
   }
 
+  async resumePayment({ escalationId, reservation, resolution }) {
+    const pending = this.pendingPayments.get(escalationId);
+    if (!pending) {
+      this.budgets.release(reservation.id, 'No payment was waiting on the escalation');
+      return null;
+    }
+    this.pendingPayments.delete(escalationId);
+
+    console.log(`[PaymentAgent] ${resolution.by} approved escalation ${escalationId} - resuming payment`);
+    try {
+      return await this.makePayment(pending.agent, pending.params, reservation, { status: 'approved', escalationId });
+    } catch (error) {
+      console.error(`[PaymentAgent] Resumed payment for escalation ${escalationId} failed:`, error.message);
+      return null;
+    }
+  }
+
   createVerificationHandler(agent) {
     return async (transactionId) => {
       console.log(`[${agent.codename}] Verifying payment:`, transactionId);
@@ -140,13 +191,12 @@ class PaymentAgentIntegration {
     };
   }
 
-  canProcessPayment(agent, amount) {
-    // Check if agent has spending authority
+  // Whether the agent can make this payment without going to the council
+  canProcessPayment(agent, amount, category = 'general') {
     const authority = agent.decisionAuthority?.spending || 0;
-    
-    // Agents can process up to their limit without council approval
-    // Above that, council approval is needed (handled separately)
-    return true; // Allow all, council approval handles large amounts
+    if (amount > authority) return false;
+
+    return this.budgets.check({ agentId: agent.id, category, amount, agent }).ok;
   }
 
   // Helper methods for specific agents
@@ -247,9 +297,23 @@ class PaymentAgentIntegration {
       }
     });
 
+    app.get('/api/agents/:agentId/budget', (req, res) => {
+      const agent = this.swarm.getAgent(req.params.agentId);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      res.json({
+        agent: agent.id,
+        authority: agent.decisionAuthority?.spending || 0,
+        usage: this.budgets.usage('agent', agent.id, agent)
+      });
+    });
+
     console.log('[PaymentAgent] Routes configured:');
     console.log('  - POST /api/agents/:agentId/payments');
     console.log('  - GET /api/agents/:agentId/payments/:transactionId');
+    console.log('  - GET /api/agents/:agentId/budget');
   }
 
   getStatus() {
@@ -0,0 +1,430 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BUDGET MANAGER
+ * Rolling spending caps per agent and per category
+ *
+ * Every payment reserves its amount before it is sent. The reservation counts
+ * against the caps until the payment settles: committed on success, released
+ * on failure (or when it goes stale). Windows are rolling:
+ *   daily 24h, weekly 7d, monthly 30d
+ *
+ * Agents without configured caps get a daily cap equal to their
+ * decisionAuthority.spending. Anything over an agent's authority, or over any
+ * cap, is put to the council; an approval lets the reservation through. When
+ * the council escalates, the request waits for the human: their approval
+ * reserves it then and emits 'budget:approved' (else 'budget:declined').
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseDuration } = require('../swarm/history-store');
+
+const WINDOWS = {
+  daily: parseDuration('24h'),
+  weekly: parseDuration('7d'),
+  monthly: parseDuration('30d')
+};
+
+const ReservationStatus = {
+  RESERVED: 'reserved',
+  COMMITTED: 'committed',
+  RELEASED: 'released'
+};
+
+class BudgetManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.swarm = options.swarm || null;
+    this.agentCaps = options.agents || {};
+    this.categoryCaps = options.categories || {};
+    this.reservationTtl = parseDuration(options.reservationTtl || '30m');
+    this.awaiting = new Map(); // escalationId -> request waiting for a human
+    this.escalations = null; // the council's EscalationQueue, once watched
+    this.path = options.path || null;
+
+    this.entries = new Map(); // reservationId -> entry
+    this.byTransaction = new Map(); // transactionId -> reservationId
+    this.alerts = new Map(); // category -> { threshold, window, triggered }
+
+    this.validate();
+    this.load();
+  }
+
+  // config.yml: the `budgets` section; emergency.maxSpend caps the
+  // emergency category unless it is configured explicitly
+  static fromConfig(config = {}, options = {}) {
+    const budgets = config.budgets || {};
+    const maxSpend = config.agents?.emergency?.maxSpend;
+    const categories = { ...budgets.categories };
+    if (maxSpend !== undefined && !categories.emergency) {
+      categories.emergency = { daily: maxSpend };
+    }
+
+    return new BudgetManager({
+      ...options,
+      agents: budgets.agents,
+      categories,
+      reservationTtl: budgets.reservationTtl
+    });
+  }
+
+  validate() {
+    const scopes = [...Object.values(this.agentCaps), ...Object.values(this.categoryCaps)];
+    for (const caps of scopes) {
+      for (const [window, limit] of Object.entries(caps || {})) {
+        if (!WINDOWS[window]) {
+          throw new Error(`Unknown budget window: ${window} (use ${Object.keys(WINDOWS).join(', ')})`);
+        }
+        if (typeof limit !== 'number' || limit < 0) {
+          throw new Error(`Budget ${window} cap must be a non-negative number, got ${limit}`);
+        }
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CAPS AND USAGE
+  // ═══════════════════════════════════════════════════════════════════════
+
+  capsFor(scope, id, agent = null) {
+    if (scope === 'category') {
+      return this.categoryCaps[id] || {};
+    }
+    if (this.agentCaps[id]) {
+      return this.agentCaps[id];
+    }
+    const authority = (agent || this.swarm?.getAgent(id))?.decisionAuthority?.spending;
+    return typeof authority === 'number' ? { daily: authority } : {};
+  }
+
+  // Reserved plus committed spend in the rolling window
+  spent(scope, id, window) {
+    const since = Date.now() - WINDOWS[window];
+    const key = scope === 'agent' ? 'agentId' : 'category';
+
+    let committed = 0;
+    let reserved = 0;
+    for (const entry of this.entries.values()) {
+      if (entry[key] !== id || new Date(entry.createdAt).getTime() < since) continue;
+      if (entry.status === ReservationStatus.COMMITTED) committed += entry.amount;
+      if (entry.status === ReservationStatus.RESERVED) reserved += entry.amount;
+    }
+    return { committed, reserved, total: committed + reserved };
+  }
+
+  usage(scope, id, agent = null) {
+    const caps = this.capsFor(scope, id, agent);
+    const usage = {};
+    for (const window of Object.keys(WINDOWS)) {
+      const spent = this.spent(scope, id, window);
+      const limit = caps[window] ?? null;
+      usage[window] = {
+        ...spent,
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - spent.total)
+      };
+    }
+    return usage;
+  }
+
+  // Every cap the amount would take past its limit
+  check({ agentId, category, amount, agent = null }) {
+    const breaches = [];
+    const scopes = [['agent', agentId], ['category', category]];
+
+    for (const [scope, id] of scopes) {
+      if (!id) continue;
+      for (const [window, limit] of Object.entries(this.capsFor(scope, id, agent))) {
+        const { total } = this.spent(scope, id, window);
+        if (total + amount > limit) {
+          breaches.push({ scope, id, window, limit, spent: total, requested: amount });
+        }
+      }
+    }
+
+    return { ok: breaches.length === 0, breaches };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // RESERVATIONS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Check, put breaches or amounts over the agent's authority to the council,
+  // then reserve. Resolves with { ok, reservation, breaches, approval, error }
+  async authorize({ agent, category = 'general', amount, description = '' }) {
+    const agentId = agent.id;
+    const { breaches } = this.check({ agentId, category, amount, agent });
+    const authority = agent.decisionAuthority?.spending || 0;
+
+    if (breaches.length > 0) {
+      console.log(`[Budget] ${agent.codename || agentId} would breach ${breaches.map(describeBreach).join(', ')}`);
+      this.emit('budget:breach', { agentId, category, amount, breaches });
+    }
+
+    let approval = null;
+    if (breaches.length > 0 || amount > authority) {
+      approval = await this.requestApproval({ agent, category, amount, description, breaches });
+      if (approval?.status !== 'approved') {
+        const pending = approval?.status === 'escalated' &&
+          this.awaitEscalation(approval.escalationId, { agentId, category, amount, description });
+        return {
+          ok: false,
+          pending,
+          escalationId: pending ? approval.escalationId : null,
+          error: pending
+            ? 'Escalated by the council - waiting for a human decision'
+            : breaches.length > 0 ? 'Budget exceeded and not approved by council' : 'Payment not approved by council',
+          breaches,
+          approval
+        };
+      }
+    }
+
+    const reservation = this.reserve({
+      agentId,
+      category,
+      amount,
+      description,
+      approvedBy: approval ? approval.proposalId : null,
+      force: !!approval
+    });
+    return { ok: true, reservation, breaches, approval };
+  }
+
+  async requestApproval({ agent, category, amount, description, breaches }) {
+    if (!this.swarm) return null;
+
+    return this.swarm.submitTask({
+      type: 'financial_approval',
+      amount,
+      category,
+      description: description || `Payment by ${agent.codename || agent.id}`,
+      agent: agent.id,
+      requiresCouncil: true,
+      budgetBreaches: breaches
+    });
+  }
+
+  // Hold an escalated request until the council's human decides it
+  awaitEscalation(escalationId, request) {
+    const escalations = this.swarm?.orchestrator?.getCouncil?.()?.escalations;
+    if (!escalationId || !escalations) return false;
+
+    if (this.escalations !== escalations) {
+      this.escalations = escalations;
+      escalations.on('escalation:resolved', escalation => this.resolveEscalation(escalation));
+    }
+    this.awaiting.set(escalationId, request);
+    return true;
+  }
+
+  resolveEscalation(escalation) {
+    const request = this.awaiting.get(escalation.id);
+    if (!request) return null;
+    this.awaiting.delete(escalation.id);
+
+    const { resolution } = escalation;
+    if (resolution?.action !== 'approve') {
+      this.emit('budget:declined', { escalationId: escalation.id, request, resolution });
+      return null;
+    }
+
+    const reservation = this.reserve({ ...request, approvedBy: escalation.id, force: true });
+    this.emit('budget:approved', { escalationId: escalation.id, request, reservation, resolution });
+    return reservation;
+  }
+
+  // Reserve without asking anyone. Throws a 'budget_exceeded' error on a
+  // breach unless `force` is set (the council approved it)
+  reserve({ agentId, category = 'general', amount, description = '', approvedBy = null, force = false }) {
+    if (typeof amount !== 'number' || amount <= 0) {
+      throw budgetError(`Invalid amount: ${amount}`, 'invalid');
+    }
+
+    this.expireStale();
+    const { breaches } = this.check({ agentId, category, amount });
+    if (breaches.length > 0 && !force) {
+      const error = budgetError(`Budget exceeded: ${breaches.map(describeBreach).join(', ')}`, 'budget_exceeded');
+      error.breaches = breaches;
+      throw error;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      agentId,
+      category,
+      amount,
+      description,
+      approvedBy,
+      status: ReservationStatus.RESERVED,
+      transactionId: null,
+      createdAt: new Date().toISOString(),
+      settledAt: null
+    };
+    this.entries.set(entry.id, entry);
+    this.save();
+    return entry;
+  }
+
+  // Link a reservation to the provider transaction that will settle it
+  attach(reservationId, transactionId) {
+    const entry = this.reservation(reservationId);
+    entry.transactionId = transactionId;
+    this.byTransaction.set(transactionId, entry.id);
+    this.save();
+    return entry;
+  }
+
+  commit(reservationId) {
+    const entry = this.settle(reservationId, ReservationStatus.COMMITTED);
+    this.checkAlerts(entry.category);
+    return entry;
+  }
+
+  release(reservationId, reason = '') {
+    return this.settle(reservationId, ReservationStatus.RELEASED, { reason });
+  }
+
+  // Settle by provider transaction id (payment webhooks). Returns null when
+  // the transaction was not reserved against a budget; repeated webhooks
+  // leave an already settled reservation alone.
+  commitTransaction(transactionId) {
+    const entry = this.forTransaction(transactionId);
+    return entry?.status === ReservationStatus.RESERVED ? this.commit(entry.id) : entry;
+  }
+
+  releaseTransaction(transactionId, reason = '') {
+    const entry = this.forTransaction(transactionId);
+    return entry?.status === ReservationStatus.RESERVED ? this.release(entry.id, reason) : entry;
+  }
+
+  forTransaction(transactionId) {
+    const id = this.byTransaction.get(transactionId);
+    return id ? this.entries.get(id) || null : null;
+  }
+
+  settle(reservationId, status, fields = {}) {
+    const entry = this.reservation(reservationId);
+    if (entry.status !== ReservationStatus.RESERVED) {
+      throw budgetError(`Reservation ${reservationId} is already ${entry.status}`, 'conflict');
+    }
+
+    Object.assign(entry, fields);
+    entry.status = status;
+    entry.settledAt = new Date().toISOString();
+    this.save();
+
+    console.log(`[Budget] ${status} ${entry.amount} for ${entry.agentId} (${entry.category})`);
+    this.emit(`budget:${status}`, entry);
+    return entry;
+  }
+
+  reservation(reservationId) {
+    const entry = this.entries.get(reservationId);
+    if (!entry) {
+      throw budgetError(`Reservation ${reservationId} not found`, 'not_found');
+    }
+    return entry;
+  }
+
+  // Release reservations whose payment never settled, and forget anything
+  // older than the longest window
+  expireStale() {
+    const now = Date.now();
+    for (const entry of this.entries.values()) {
+      const age = now - new Date(entry.createdAt).getTime();
+      if (entry.status === ReservationStatus.RESERVED && age > this.reservationTtl) {
+        this.release(entry.id, 'Reservation expired before the payment settled');
+      } else if (entry.status !== ReservationStatus.RESERVED && age > WINDOWS.monthly) {
+        this.entries.delete(entry.id);
+        if (entry.transactionId) this.byTransaction.delete(entry.transactionId);
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ALERTS (treasury set_budget_alert)
+  // Emits 'budget:alert' once when a category's committed spend in the
+  // window reaches the threshold, and re-arms when it drops back below.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  setAlert(category, threshold, window = 'monthly') {
+    if (!WINDOWS[window]) {
+      throw budgetError(`Unknown budget window: ${window}`, 'invalid');
+    }
+    if (typeof threshold !== 'number' || threshold <= 0) {
+      throw budgetError(`Alert threshold must be a positive number, got ${threshold}`, 'invalid');
+    }
+
+    const alert = { category, threshold, window, triggered: false };
+    this.alerts.set(category, alert);
+    this.checkAlerts(category);
+    this.save();
+    return alert;
+  }
+
+  checkAlerts(category) {
+    const alert = this.alerts.get(category);
+    if (!alert) return;
+
+    const { committed } = this.spent('category', category, alert.window);
+    if (committed >= alert.threshold && !alert.triggered) {
+      alert.triggered = true;
+      console.log(`[Budget] ALERT: ${category} spent ${committed} of ${alert.threshold} (${alert.window})`);
+      this.emit('budget:alert', { ...alert, spent: committed });
+    } else if (committed < alert.threshold) {
+      alert.triggered = false;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PERSISTENCE (optional JSON file so reservations survive restarts)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+
+    const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    for (const entry of saved.entries || []) {
+      this.entries.set(entry.id, entry);
+      if (entry.transactionId) this.byTransaction.set(entry.transactionId, entry.id);
+    }
+    for (const alert of saved.alerts || []) {
+      this.alerts.set(alert.category, alert);
+    }
+  }
+
+  save() {
+    if (!this.path) return;
+
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      entries: Array.from(this.entries.values()),
+      alerts: Array.from(this.alerts.values())
+    }, null, 2));
+    fs.renameSync(tmp, this.path);
+  }
+
+  getStatus() {
+    const entries = Array.from(this.entries.values());
+    return {
+      reserved: entries.filter(e => e.status === ReservationStatus.RESERVED).length,
+      committed: entries.filter(e => e.status === ReservationStatus.COMMITTED).length,
+      alerts: Array.from(this.alerts.values())
+    };
+  }
+}
+
+function describeBreach(breach) {
+  return `${breach.scope} ${breach.id} ${breach.window} cap (${breach.spent} + ${breach.requested} > ${breach.limit})`;
+}
+
+function budgetError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = { BudgetManager, ReservationStatus, WINDOWS };
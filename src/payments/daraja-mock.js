@@ -0,0 +1,262 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DARAJA MOCK
+ * Local stand-in for Safaricom's Daraja API: OAuth, STK push (and query),
+ * B2C, C2B and Transaction Status. Accepted requests are answered like
+ * Daraja does, then reported to the request's callback URL after `delay`
+ * ms. C2B simulate asks the registered ValidationURL, then confirms if it
+ * was accepted; Transaction Status knows the receipts simulate handed out.
+ *
+ *   settings.resultCode   0 (success) or a Daraja ResultCode, e.g. 1032
+ *                         (STK cancelled) or 2001 (B2C wrong credential)
+ *   settings.b2cTimeout   report B2C requests to QueueTimeOutURL instead
+ *
+ * A body that is not JSON gets a 400 with an errorCode, as from Daraja.
+ *
+ * Point MpesaService at it with baseUrl (MPESA_BASE_URL):
+ *   node src/payments/daraja-mock.js [port]
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+function createDarajaMock(options = {}) {
+  const settings = { resultCode: 0, b2cTimeout: false, delay: 50, ...options };
+  const requests = [];
+  const callbacks = [];
+  const pending = new Set();
+  const registrations = new Map(); // shortcode -> { ValidationURL, ConfirmationURL, ResponseType }
+  const payments = new Map(); // TransID -> C2B payment
+  const fetchFn = options.fetch || ((...args) => fetch(...args));
+
+  const post = async (url, body) => {
+    try {
+      const response = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const answer = await response.json().catch(() => null);
+      callbacks.push({ url, body, status: response.status, answer });
+      return answer;
+    } catch (error) {
+      callbacks.push({ url, body, error: error.message });
+      console.error(`[Daraja mock] Callback to ${url} failed:`, error.message);
+      return null;
+    }
+  };
+
+  const later = (fn) => {
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      fn();
+    }, settings.delay);
+    pending.add(timer);
+  };
+
+  const report = (url, body) => later(() => post(url, body));
+
+  const routes = {
+    'GET /oauth/v1/generate': () => ({ access_token: `mock-${crypto.randomBytes(8).toString('hex')}`, expires_in: '3599' }),
+
+    'POST /mpesa/stkpush/v1/processrequest': (body) => {
+      const checkoutRequestId = `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`;
+      const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`;
+      const success = Number(settings.resultCode) === 0;
+      report(body.CallBackURL, {
+        Body: {
+          stkCallback: {
+            MerchantRequestID: merchantRequestId,
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: Number(settings.resultCode),
+            ResultDesc: success ? 'The service request is processed successfully.' : 'Request cancelled by user',
+            ...(success && {
+              CallbackMetadata: {
+                Item: [
+                  { Name: 'Amount', Value: body.Amount },
+                  { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+                  { Name: 'TransactionDate', Value: Number(body.Timestamp) },
+                  { Name: 'PhoneNumber', Value: Number(body.PhoneNumber) }
+                ]
+              }
+            })
+          }
+        }
+      });
+      return {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      };
+    },
+
+    'POST /mpesa/stkpushquery/v1/query': (body) => ({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      CheckoutRequestID: body.CheckoutRequestID,
+      ResultCode: String(settings.resultCode),
+      ResultDesc: Number(settings.resultCode) === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user'
+    }),
+
+    'POST /mpesa/b2c/v3/paymentrequest': (body) => {
+      const conversationId = `AG_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}_${crypto.randomBytes(10).toString('hex')}`;
+      const transactionId = receiptNumber();
+      const result = {
+        ResultType: 0,
+        ResultCode: Number(settings.resultCode),
+        ResultDesc: Number(settings.resultCode) === 0 ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+        OriginatorConversationID: body.OriginatorConversationID,
+        ConversationID: conversationId,
+        TransactionID: transactionId
+      };
+      if (settings.b2cTimeout) {
+        report(body.QueueTimeOutURL, { Result: { ...result, ResultCode: 1, ResultDesc: 'The service request timed out.' } });
+      } else {
+        if (result.ResultCode === 0) {
+          result.ResultParameters = {
+            ResultParameter: [
+              { Key: 'TransactionAmount', Value: body.Amount },
+              { Key: 'TransactionReceipt', Value: transactionId },
+              { Key: 'ReceiverPartyPublicName', Value: `${body.PartyB} - Mock Customer` },
+              { Key: 'TransactionCompletedDateTime', Value: new Date().toISOString() },
+              { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000 }
+            ]
+          };
+        }
+        report(body.ResultURL, { Result: result });
+      }
+      return {
+        ConversationID: conversationId,
+        OriginatorConversationID: body.OriginatorConversationID,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      };
+    },
+
+    'POST /mpesa/c2b/v1/registerurl': (body) => {
+      registrations.set(String(body.ShortCode), body);
+      // sic: Daraja spells it this way
+      return { OriginatorCoversationID: crypto.randomUUID(), ResponseCode: '0', ResponseDescription: 'Success' };
+    },
+
+    // Sandbox only: a customer paying the paybill (BillRefNumber) or till
+    'POST /mpesa/c2b/v1/simulate': (body) => {
+      const registration = registrations.get(String(body.ShortCode));
+      if (!registration) {
+        return { ResponseCode: '1', ResponseDescription: `No URLs registered for ${body.ShortCode}` };
+      }
+      const payment = {
+        TransactionType: body.CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+        TransID: receiptNumber(),
+        TransTime: new Date().toISOString().replace(/\D/g, '').slice(0, 14),
+        TransAmount: Number(body.Amount).toFixed(2),
+        BusinessShortCode: String(body.ShortCode),
+        BillRefNumber: body.BillRefNumber || '',
+        InvoiceNumber: '',
+        OrgAccountBalance: '',
+        ThirdPartyTransID: '',
+        MSISDN: String(body.Msisdn),
+        FirstName: 'John',
+        MiddleName: '',
+        LastName: 'Doe'
+      };
+      later(async () => {
+        const validation = await post(registration.ValidationURL, payment);
+        const accepted = validation ? String(validation.ResultCode) === '0' : registration.ResponseType === 'Completed';
+        if (accepted) {
+          payments.set(payment.TransID, payment);
+          await post(registration.ConfirmationURL, payment);
+        }
+      });
+      return { OriginatorCoversationID: crypto.randomUUID(), ResponseCode: '0', ResponseDescription: 'Accept the service request successfully.' };
+    },
+
+    'POST /mpesa/transactionstatus/v1/query': (body) => {
+      const conversationId = `AG_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}_${crypto.randomBytes(10).toString('hex')}`;
+      const payment = payments.get(body.TransactionID);
+      const result = {
+        ResultType: 0,
+        ResultCode: payment ? 0 : 1, // the mock's own code for an unknown receipt
+        ResultDesc: payment ? 'The service request is processed successfully.' : 'The transaction receipt number does not exist.',
+        OriginatorConversationID: body.OriginatorConversationID,
+        ConversationID: conversationId,
+        TransactionID: receiptNumber()
+      };
+      if (payment) {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: 'ReceiptNo', Value: payment.TransID },
+            { Key: 'Amount', Value: Number(payment.TransAmount) },
+            { Key: 'TransactionStatus', Value: 'Completed' },
+            { Key: 'DebitPartyName', Value: `${payment.MSISDN} - ${payment.FirstName} ${payment.LastName}` },
+            { Key: 'CreditPartyName', Value: `${payment.BusinessShortCode} - Mock Business` },
+            { Key: 'FinalisedTime', Value: Number(payment.TransTime) }
+          ]
+        };
+      }
+      report(body.ResultURL, { Result: result });
+      return {
+        OriginatorConversationID: body.OriginatorConversationID,
+        ConversationID: conversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const route = `${req.method} ${req.url.split('?')[0]}`;
+      res.setHeader('Content-Type', 'application/json');
+
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        requests.push({ route, raw, error: 'invalid_json' });
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ requestId: crypto.randomUUID(), errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid JSON' }));
+      }
+      requests.push({ route, body });
+
+      if (!routes[route]) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ errorCode: '404.001.01', errorMessage: `Resource not found: ${route}` }));
+      }
+      res.end(JSON.stringify(routes[route](body)));
+    });
+  });
+
+  return {
+    server,
+    settings,
+    requests,
+    callbacks,
+    registrations,
+    payments,
+    listen: (port = 0) => new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    }),
+    close: () => new Promise(resolve => {
+      pending.forEach(clearTimeout);
+      server.close(resolve);
+    })
+  };
+}
+
+function receiptNumber() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  return Array.from({ length: 10 }, () => chars[crypto.randomInt(chars.length)]).join('');
+}
+
+if (require.main === module) {
+  const mock = createDarajaMock();
+  mock.listen(Number(process.argv[2]) || 4010).then(url => console.log(`[Daraja mock] Listening on ${url}`));
+}
+
+module.exports = { createDarajaMock };
@@ -9,18 +9,46 @@ const { MpesaService } = require('./mpesa');
 const { PaystackService } = require('./paystack');
 const { PaymentWebhookHandler } = require('./webhooks');
 const { TransactionProcessor } = require('./transaction-processor');
+const { BudgetManager } = require('./budget-manager');
+const { InvoiceReconciler } = require('./invoice-reconciler');
+const { InMemoryTransactionStore, SqliteTransactionStore, createTransactionStore } = require('./transaction-store');
+const { PaymentStatus, TRANSITIONS } = require('./payment-states');
+const { loadConfig } = require('../config');
 
 class KenyaClawPayments {
   constructor(config = {}) {
+    // Whatever is not passed in comes from the swarm's config.yml (or from
+    // config.yml itself without a swarm)
+    let instanceConfig = config.swarm?.config || null;
+    const fromFile = () => (instanceConfig = instanceConfig || loadConfig());
+    const transactionConfig = config.transactions || fromFile().payments?.transactions || {};
+
+    // One transaction store for every provider: config.transactionStore, or
+    // SQLite at payments.transactions.path
+    this.transactions = config.transactionStore || createTransactionStore(transactionConfig);
+
+    // Matches payments to invoices in config.db (payments.c2b: allowPartial)
+    this.reconciler = new InvoiceReconciler({
+      ...(config.c2b || fromFile().payments?.c2b),
+      db: config.db,
+      transactions: this.transactions
+    });
+
     // Initialize services
-    this.mpesa = new MpesaService(config.mpesa);
-    this.paystack = new PaystackService(config.paystack);
+    this.mpesa = new MpesaService({
+      ...config.mpesa,
+      transactions: this.transactions,
+      c2bValidator: payment => this.reconciler.validate(payment)
+    });
+    this.paystack = new PaystackService({ ...config.paystack, transactions: this.transactions });
+    // Spending caps: the `budgets` section, unless a BudgetManager is passed in
+    this.budgets = config.budgets || BudgetManager.fromConfig(fromFile(), { swarm: config.swarm });
     
     // Initialize processor
     this.processor = new TransactionProcessor(
       this.mpesa,
       this.paystack,
-      { swarm: config.swarm, db: config.db }
+      { swarm: config.swarm, db: config.db, transactions: this.transactions, pendingTtl: transactionConfig.pendingTtl }
     );
     
     // Initialize webhook handler
@@ -28,8 +56,11 @@ class KenyaClawPayments {
       this.mpesa,
       this.paystack,
       {
+        transactions: this.transactions,
         onPaymentSuccess: this.handlePaymentSuccess.bind(this),
-        onPaymentFailed: this.handlePaymentFailed.bind(this)
+        onPaymentFailed: this.handlePaymentFailed.bind(this),
+        onPayoutSuccess: this.handlePayoutSettled.bind(this),
+        onPayoutFailed: this.handlePayoutSettled.bind(this)
       }
     );
   }
@@ -60,8 +91,8 @@ class KenyaClawPayments {
   }
 
   // Smart payment - auto-select provider
-  async processPayment(params) {
-    return this.processor.processPayment(params);
+  async processPayment(params, options = {}) {
+    return this.processor.processPayment(params, options);
   }
 
   // Verify payment status
@@ -69,7 +100,7 @@ class KenyaClawPayments {
     return this.processor.getTransactionStatus(transactionId);
   }
 
-  // Refund payment
+  // Refund payment: `amount`, or all that is still refundable
   async refund(transactionId, amount, reason) {
     return this.processor.processRefund({
       originalTransactionId: transactionId,
@@ -78,15 +109,34 @@ class KenyaClawPayments {
     });
   }
 
+  // Register the paybill's C2B validation and confirmation URLs with Daraja
+  async registerC2BUrls(options = {}) {
+    return this.mpesa.registerC2BUrls(options);
+  }
+
+  // Match a payment (e.g. an unmatched paybill payment) to an invoice by hand
+  async reconcile(transactionId, invoiceId) {
+    const transaction = this.transactions.lookup(transactionId);
+    if (!transaction) {
+      return { success: false, error: 'Transaction not found' };
+    }
+    if (transaction.status !== PaymentStatus.COMPLETED) {
+      return { success: false, error: `Cannot reconcile a ${transaction.status} transaction` };
+    }
+    const result = await this.reconciler.reconcile(transaction, invoiceId);
+    if (!result?.matched) {
+      return { success: false, error: transaction.invoiceId ? `Already reconciled with ${transaction.invoiceId}` : `No open invoice '${invoiceId}'` };
+    }
+    return { success: true, ...result };
+  }
+
   // Handle successful payment
   async handlePaymentSuccess(provider, transaction) {
     console.log(`[Payments] Success: ${provider} - ${transaction.id}`);
+    this.budgets.commitTransaction(transaction.id);
     
-    // Update invoice if applicable
-    if (transaction.metadata?.invoiceId) {
-      console.log(`[Payments] Updating invoice: ${transaction.metadata.invoiceId}`);
-      // Update database
-    }
+    // Update invoice if applicable (invoice payments and paybill account numbers)
+    await this.reconciler.reconcile(transaction);
     
     // Notify customer
     if (transaction.customerPhone || transaction.customerEmail) {
@@ -98,9 +148,10 @@ class KenyaClawPayments {
   // Handle failed payment
   async handlePaymentFailed(provider, transaction) {
     console.log(`[Payments] Failed: ${provider} - ${transaction.id}`);
+    this.budgets.releaseTransaction(transaction.id, `Payment ${transaction.status}`);
     
     // Retry logic for certain failures
-    if (transaction.resultCode === '17') { // User cancelled
+    if (transaction.status === PaymentStatus.CANCELLED) {
       console.log('[Payments] User cancelled - no retry');
     } else {
       console.log('[Payments] Scheduling retry');
@@ -108,6 +159,14 @@ class KenyaClawPayments {
     }
   }
 
+  // Handle a payout or refund the provider has paid out (or not)
+  async handlePayoutSettled(provider, transaction) {
+    console.log(`[Payments] Payout ${transaction.status}: ${provider} - ${transaction.id}`);
+    if (transaction.type === 'refund') {
+      this.processor.settleRefund(transaction.id, transaction.status, { source: 'callback' });
+    }
+  }
+
   // Setup Express routes
   setupRoutes(app) {
     this.webhooks.setupRoutes(app);
@@ -157,9 +216,11 @@ class KenyaClawPayments {
     return {
       mpesa: { environment: this.mpesa.environment },
       paystack: { initialized: !!this.paystack.secretKey },
+      budgets: this.budgets.getStatus(),
       transactions: {
-        mpesa: this.mpesa.transactions.size,
-        paystack: this.paystack.transactions.size
+        total: this.transactions.size(),
+        pending: this.transactions.list({ status: 'pending' }).length,
+        unmatched: this.reconciler.unmatched().length
       }
     };
   }
@@ -176,5 +237,12 @@ module.exports = {
   MpesaService,
   PaystackService,
   PaymentWebhookHandler,
-  TransactionProcessor
+  TransactionProcessor,
+  BudgetManager,
+  InvoiceReconciler,
+  InMemoryTransactionStore,
+  SqliteTransactionStore,
+  createTransactionStore,
+  PaymentStatus,
+  TRANSITIONS
 };
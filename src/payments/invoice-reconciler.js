@@ -0,0 +1,111 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * INVOICE RECONCILER
+ * Matches incoming payments to open invoices
+ *
+ * Customers paying the paybill directly enter the invoice number as the
+ * account number (looked up trimmed and upper-cased, without a leading #);
+ * STK pushes carry metadata.invoiceId. Invoices come from the payments db:
+ *   db.getInvoice(idOrNumber)   -> { id, number, amount, amountPaid, currency, status }
+ *   db.updateInvoice(id, fields)
+ * An invoice is open unless it is paid or cancelled. Payments that match no
+ * open invoice are kept as unmatched for someone to reconcile by hand.
+ *
+ * C2B validation rules (Daraja ResultCodes):
+ *   C2B00012  account number is not an open invoice
+ *   C2B00013  amount is more than the invoice's balance, or less than it
+ *             when partial payments are not allowed
+ * Till (Buy Goods) payments carry no account number and are accepted.
+ * Without a db every payment is accepted and nothing is reconciled.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const CLOSED_INVOICE_STATES = ['paid', 'cancelled'];
+
+class InvoiceReconciler {
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.transactions = options.transactions;
+    this.allowPartial = options.allowPartial !== false;
+  }
+
+  // payment: { accountNumber, amount, till } -> { accepted, resultCode, reason, invoice }
+  async validate(payment) {
+    if (!this.db || (payment.till && !payment.accountNumber)) {
+      return { accepted: true };
+    }
+
+    const invoice = await this.findOpenInvoice(normalizeAccount(payment.accountNumber));
+    if (!invoice) {
+      return { accepted: false, resultCode: 'C2B00012', reason: `No open invoice '${payment.accountNumber}'` };
+    }
+
+    const balance = outstanding(invoice);
+    if (!(payment.amount > 0) || payment.amount > balance) {
+      return { accepted: false, resultCode: 'C2B00013', reason: `Invoice ${invoice.id} has ${balance} outstanding, got ${payment.amount}`, invoice };
+    }
+    if (payment.amount < balance && !this.allowPartial) {
+      return { accepted: false, resultCode: 'C2B00013', reason: `Invoice ${invoice.id} must be paid in full (${balance})`, invoice };
+    }
+    return { accepted: true, invoice };
+  }
+
+  // Applies a completed payment to its invoice, once. `invoiceId` matches
+  // it by hand (e.g. an unmatched paybill payment).
+  async reconcile(transaction, invoiceId = null) {
+    if (!this.db || transaction.invoiceId) return null;
+
+    const key = invoiceId || transaction.metadata?.invoiceId ||
+      (transaction.type === 'c2b' ? normalizeAccount(transaction.accountReference) : null);
+    if (!key) return null;
+
+    const invoice = await this.findOpenInvoice(key);
+    if (!invoice) {
+      this.transactions.update(transaction.id, { reconciliation: 'unmatched' });
+      console.log(`[Reconciler] ${transaction.id}: no open invoice '${key}', left unmatched`);
+      return { matched: false, transaction: this.transactions.get(transaction.id) };
+    }
+
+    const amountPaid = (invoice.amountPaid || 0) + transaction.amount;
+    const reconciliation = amountPaid > invoice.amount ? 'overpaid' : amountPaid === invoice.amount ? 'paid' : 'partial';
+    const now = new Date().toISOString();
+
+    await this.db.updateInvoice(invoice.id, {
+      amountPaid,
+      status: reconciliation === 'partial' ? invoice.status : 'paid',
+      paidAt: reconciliation === 'partial' ? invoice.paidAt : now,
+      payments: [...(invoice.payments || []), {
+        transactionId: transaction.id,
+        receiptNumber: transaction.receiptNumber,
+        amount: transaction.amount,
+        at: now
+      }]
+    });
+    const updated = this.transactions.update(transaction.id, { invoiceId: invoice.id, reconciliation });
+
+    console.log(`[Reconciler] ${transaction.id} -> invoice ${invoice.id} (${reconciliation})`);
+    return { matched: true, reconciliation, invoice: { ...invoice, amountPaid }, transaction: updated };
+  }
+
+  // Paybill payments waiting for someone to match them
+  unmatched() {
+    return this.transactions.list({ type: 'c2b' }).filter(tx => tx.reconciliation === 'unmatched');
+  }
+
+  async findOpenInvoice(key) {
+    if (!key) return null;
+    const invoice = await this.db.getInvoice(key);
+    return invoice && !CLOSED_INVOICE_STATES.includes(invoice.status) ? invoice : null;
+  }
+}
+
+function outstanding(invoice) {
+  return invoice.amount - (invoice.amountPaid || 0);
+}
+
+// " #inv-1042" -> "INV-1042"
+function normalizeAccount(account) {
+  return String(account || '').trim().replace(/^#\s*/, '').toUpperCase();
+}
+
+module.exports = { InvoiceReconciler, normalizeAccount };
@@ -6,6 +6,10 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const { InMemoryTransactionStore, newTransactionId } = require('./transaction-store');
+const { PaymentStatus, updateReported, mpesaResultStatus } = require('./payment-states');
 
 class MpesaService {
   constructor(config = {}) {
@@ -15,12 +19,36 @@ class MpesaService {
     this.shortcode = config.shortcode || process.env.MPESA_SHORTCODE;
     this.passkey = config.passkey || process.env.MPESA_PASSKEY;
     this.callbackUrl = config.callbackUrl || process.env.MPESA_CALLBACK_URL;
-    this.baseUrl = this.environment === 'production'
+    // A local stand-in (see daraja-mock.js) can take Safaricom's place
+    this.baseUrl = config.baseUrl || process.env.MPESA_BASE_URL || (this.environment === 'production'
       ? 'https://api.safaricom.co.ke'
-      : 'https://sandbox.safaricom.co.ke';
+      : 'https://sandbox.safaricom.co.ke');
+
+    // B2C (payouts and refunds to phones)
+    this.initiatorName = config.initiatorName || process.env.MPESA_INITIATOR_NAME;
+    this.initiatorPassword = config.initiatorPassword || process.env.MPESA_INITIATOR_PASSWORD;
+    this.certificatePath = config.certificatePath || process.env.MPESA_CERTIFICATE_PATH;
+    this.securityCredential = config.securityCredential || process.env.MPESA_SECURITY_CREDENTIAL || null;
+    this.b2cShortcode = config.b2cShortcode || process.env.MPESA_B2C_SHORTCODE || this.shortcode;
+    this.resultUrl = config.resultUrl || process.env.MPESA_RESULT_URL || this.webhookUrl('b2c/result');
+    this.timeoutUrl = config.timeoutUrl || process.env.MPESA_TIMEOUT_URL || this.webhookUrl('b2c/timeout');
+
+    // C2B (customers paying the paybill or till directly). The registered
+    // URLs, and those for the Transaction Status queries that verify each
+    // confirmation, carry c2bToken; the webhook handler refuses callbacks
+    // without it, and without a token C2B is not registered at all.
+    this.c2bToken = config.c2bToken || process.env.MPESA_C2B_TOKEN || null;
+    this.c2bShortcode = config.c2bShortcode || process.env.MPESA_C2B_SHORTCODE || this.shortcode;
+    this.validationUrl = this.withToken(config.validationUrl || process.env.MPESA_VALIDATION_URL || this.c2bUrl('validate'));
+    this.confirmationUrl = this.withToken(config.confirmationUrl || process.env.MPESA_CONFIRMATION_URL || this.c2bUrl('confirm'));
+    this.statusResultUrl = this.withToken(config.statusResultUrl || process.env.MPESA_STATUS_RESULT_URL || this.webhookUrl('status/result'));
+    this.statusTimeoutUrl = this.withToken(config.statusTimeoutUrl || process.env.MPESA_STATUS_TIMEOUT_URL || this.webhookUrl('status/timeout'));
+    // async (payment) -> { accepted, resultCode, reason }, e.g. InvoiceReconciler#validate
+    this.c2bValidator = config.c2bValidator || null;
+
     this.accessToken = null;
     this.tokenExpiry = null;
-    this.transactions = new Map();
+    this.transactions = config.transactions || new InMemoryTransactionStore(); // see transaction-store.js
   }
 
   async getAccessToken() {
@@ -49,7 +77,7 @@ class MpesaService {
     const formattedPhone = this.formatPhoneNumber(phoneNumber);
     const timestamp = this.generateTimestamp();
     const password = this.generatePassword(timestamp);
-    const transactionId = `MPESA-${Date.now()}`;
+    const transactionId = newTransactionId('MPESA');
     
     const requestBody = {
       BusinessShortCode: this.shortcode,
@@ -65,27 +93,32 @@ class MpesaService {
       TransactionDesc: transactionDesc || 'Payment'
     };
 
+    let created = false;
     try {
+      this.transactions.create({
+        id: transactionId,
+        provider: 'mpesa',
+        type: 'stk_push',
+        phoneNumber: formattedPhone,
+        amount: amount,
+        currency: 'KES',
+        accountReference: accountReference,
+        status: PaymentStatus.INITIATED
+      }, { source: 'request' });
+      created = true;
+
       const token = await this.getAccessToken();
+      // Pending before it is sent: the provider's callback may beat its answer
+      this.transactions.update(transactionId, { status: PaymentStatus.PENDING }, { source: 'request' });
       const response = await axios.post(
         `${this.baseUrl}/mpesa/stkpush/v1/processrequest`,
         requestBody,
         { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
       );
 
-      const transaction = {
-        id: transactionId,
-        type: 'stk_push',
-        phoneNumber: formattedPhone,
-        amount: amount,
-        accountReference: accountReference,
-        checkoutRequestId: response.data.CheckoutRequestID,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
-      
-      this.transactions.set(transactionId, transaction);
-      this.transactions.set(response.data.CheckoutRequestID, transaction);
+      this.transactions.update(transactionId, {
+        checkoutRequestId: response.data.CheckoutRequestID
+      }, { source: 'request' });
       
       return {
         success: true,
@@ -94,7 +127,12 @@ class MpesaService {
         message: 'STK Push sent to customer phone'
       };
     } catch (error) {
-      return { success: false, error: error.response?.data?.errorMessage || error.message };
+      const message = error.response?.data?.errorMessage || error.message;
+      // Not ours to fail if the record could not be created (a duplicate id)
+      if (created) {
+        updateReported(this.transactions, transactionId, { status: PaymentStatus.FAILED, error: message }, { source: 'request' });
+      }
+      return { success: false, transactionId, error: message };
     }
   }
 
@@ -115,16 +153,22 @@ class MpesaService {
         { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
       );
 
-      const isSuccess = response.data.ResultCode === '0';
-      const transaction = this.transactions.get(checkoutRequestId);
+      const status = mpesaResultStatus(response.data.ResultCode);
+      let transaction = this.transactions.findByCheckoutRequestId(checkoutRequestId);
       
       if (transaction) {
-        transaction.status = isSuccess ? 'completed' : 'failed';
-        transaction.resultCode = response.data.ResultCode;
-        transaction.resultDesc = response.data.ResultDesc;
+        transaction = updateReported(this.transactions, transaction.id, {
+          status,
+          resultCode: response.data.ResultCode,
+          resultDesc: response.data.ResultDesc
+        }, { source: 'query' });
       }
       
-      return { success: isSuccess, status: transaction?.status, resultDesc: response.data.ResultDesc };
+      return {
+        success: status === PaymentStatus.COMPLETED,
+        status: transaction?.status || status,
+        resultDesc: response.data.ResultDesc
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -134,25 +178,413 @@ class MpesaService {
     const { Body } = data;
     const checkoutRequestId = Body.stkCallback.CheckoutRequestID;
     const resultCode = Body.stkCallback.ResultCode;
-    const transaction = this.transactions.get(checkoutRequestId);
+    let transaction = this.transactions.findByCheckoutRequestId(checkoutRequestId);
     
     if (transaction) {
-      transaction.status = resultCode === 0 ? 'completed' : 'failed';
-      transaction.resultCode = resultCode;
-      transaction.resultDesc = Body.stkCallback.ResultDesc;
+      const fields = {
+        status: mpesaResultStatus(resultCode),
+        resultCode: resultCode,
+        resultDesc: Body.stkCallback.ResultDesc
+      };
       
       if (resultCode === 0) {
         const metadata = Body.stkCallback.CallbackMetadata?.Item || [];
         metadata.forEach(item => {
-          if (item.Name === 'MpesaReceiptNumber') transaction.mpesaReceiptNumber = item.Value;
-          if (item.Name === 'TransactionDate') transaction.transactionDate = item.Value;
+          if (item.Name === 'MpesaReceiptNumber') fields.receiptNumber = String(item.Value);
+          if (item.Name === 'TransactionDate') fields.transactionDate = item.Value;
         });
       }
+      // A callback for a payment already settled (e.g. by a query) is ignored
+      transaction = updateReported(this.transactions, transaction.id, fields, { source: 'callback' });
     }
     
     return { success: true, transaction };
   }
 
+  // ═══════════════════════════════════════════════════════════════════════
+  // B2C
+  // The request is only queued; Daraja reports the outcome to resultUrl, or
+  // to timeoutUrl if it gave up on the queue. Both carry the ConversationID
+  // and our OriginatorConversationID (the transaction id).
+  // ═══════════════════════════════════════════════════════════════════════
+
+  async b2cPayment(params) {
+    const { phoneNumber, amount, remarks, occasion, commandId = 'BusinessPayment' } = params;
+    const formattedPhone = this.formatPhoneNumber(phoneNumber);
+    const transactionId = params.transactionId || newTransactionId('B2C');
+
+    // B2C pays whole shillings; rounding would pay out a different amount
+    // from the one recorded
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { success: false, error: `M-Pesa pays out whole shillings, got ${amount}` };
+    }
+
+    let created = false;
+    try {
+      this.transactions.create({
+        id: transactionId,
+        provider: 'mpesa',
+        type: params.type || 'payout',
+        phoneNumber: formattedPhone,
+        amount: amount,
+        currency: 'KES',
+        remarks: remarks,
+        originalTransactionId: params.originalTransactionId,
+        originatorConversationId: transactionId,
+        status: PaymentStatus.INITIATED
+      }, { source: 'request' });
+      created = true;
+
+      const token = await this.getAccessToken();
+      const securityCredential = this.getSecurityCredential();
+      // Pending before it is sent: the provider's callback may beat its answer
+      this.transactions.update(transactionId, { status: PaymentStatus.PENDING }, { source: 'request' });
+      const response = await axios.post(
+        `${this.baseUrl}/mpesa/b2c/v3/paymentrequest`,
+        {
+          OriginatorConversationID: transactionId,
+          InitiatorName: this.initiatorName,
+          SecurityCredential: securityCredential,
+          CommandID: commandId,
+          Amount: amount,
+          PartyA: this.b2cShortcode,
+          PartyB: formattedPhone,
+          Remarks: (remarks || 'Payment').slice(0, 100),
+          QueueTimeOutURL: this.timeoutUrl,
+          ResultURL: this.resultUrl,
+          Occasion: occasion || ''
+        },
+        { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
+      );
+
+      if (response.data.ResponseCode !== '0') {
+        throw new Error(response.data.ResponseDescription || `B2C request rejected (${response.data.ResponseCode})`);
+      }
+
+      this.transactions.update(transactionId, {
+        conversationId: response.data.ConversationID
+      }, { source: 'request' });
+
+      return {
+        success: true,
+        transactionId: transactionId,
+        conversationId: response.data.ConversationID,
+        originatorConversationId: transactionId,
+        message: 'Payout queued'
+      };
+    } catch (error) {
+      const message = error.response?.data?.errorMessage || error.message;
+      // Not ours to fail if the record could not be created (a duplicate id)
+      if (created) {
+        updateReported(this.transactions, transactionId, { status: PaymentStatus.FAILED, error: message }, { source: 'request' });
+      }
+      return { success: false, transactionId, error: message };
+    }
+  }
+
+  handleB2CResult(data) {
+    const result = data.Result;
+    let transaction = this.findB2CTransaction(result);
+
+    if (transaction) {
+      const fields = {
+        status: Number(result.ResultCode) === 0 ? PaymentStatus.COMPLETED : PaymentStatus.FAILED,
+        resultCode: result.ResultCode,
+        resultDesc: result.ResultDesc,
+        conversationId: result.ConversationID || undefined
+      };
+
+      if (Number(result.ResultCode) === 0) {
+        fields.receiptNumber = result.TransactionID;
+        const parameters = result.ResultParameters?.ResultParameter || [];
+        parameters.forEach(item => {
+          if (item.Key === 'ReceiverPartyPublicName') fields.recipientName = item.Value;
+          if (item.Key === 'TransactionCompletedDateTime') fields.transactionDate = item.Value;
+          if (item.Key === 'B2CUtilityAccountAvailableFunds') fields.utilityBalance = item.Value;
+        });
+      }
+      transaction = updateReported(this.transactions, transaction.id, fields, { source: 'callback' });
+    } else {
+      console.warn(`[M-Pesa] B2C result for unknown conversation ${result.ConversationID}`);
+    }
+
+    return { success: true, transaction };
+  }
+
+  // Daraja never processed the request: no money moved
+  handleB2CTimeout(data) {
+    const result = data.Result || data;
+    let transaction = this.findB2CTransaction(result);
+
+    if (transaction) {
+      transaction = updateReported(this.transactions, transaction.id, {
+        status: PaymentStatus.EXPIRED,
+        resultDesc: result.ResultDesc || 'Request timed out in the Daraja queue'
+      }, { source: 'callback' });
+    }
+
+    return { success: true, transaction };
+  }
+
+  findB2CTransaction(result = {}) {
+    return (result.ConversationID && this.transactions.findByConversationId(result.ConversationID)) ||
+      (result.OriginatorConversationID && this.transactions.findByConversationId(result.OriginatorConversationID)) ||
+      null;
+  }
+
+  // The initiator password encrypted with Safaricom's certificate (RSA,
+  // PKCS#1 v1.5), unless a precomputed credential is configured
+  getSecurityCredential() {
+    if (this.securityCredential) return this.securityCredential;
+    if (!this.initiatorPassword || !this.certificatePath) {
+      throw new Error('M-Pesa B2C needs MPESA_SECURITY_CREDENTIAL, or MPESA_INITIATOR_PASSWORD and MPESA_CERTIFICATE_PATH');
+    }
+
+    const certificate = fs.readFileSync(this.certificatePath);
+    this.securityCredential = crypto.publicEncrypt(
+      { key: crypto.createPublicKey(certificate), padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(this.initiatorPassword)
+    ).toString('base64');
+    return this.securityCredential;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // C2B
+  // Once the URLs are registered, Daraja asks validationUrl before taking a
+  // paybill payment (if external validation is enabled for the shortcode)
+  // and reports every completed payment to confirmationUrl, retrying until
+  // it is acknowledged. A confirmation is only a claim until the Transaction
+  // Status API confirms its TransID: the payment stays pending until then.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // `responseType` is what Daraja does when validationUrl cannot be
+  // reached: 'Completed' takes the payment, 'Cancelled' refuses it
+  async registerC2BUrls({ responseType = 'Completed' } = {}) {
+    if (!this.c2bToken) {
+      return { success: false, error: 'MPESA_C2B_TOKEN is not set - C2B callbacks would be refused' };
+    }
+
+    try {
+      const token = await this.getAccessToken();
+      const response = await axios.post(
+        `${this.baseUrl}/mpesa/c2b/v1/registerurl`,
+        {
+          ShortCode: this.c2bShortcode,
+          ResponseType: responseType,
+          ConfirmationURL: this.confirmationUrl,
+          ValidationURL: this.validationUrl
+        },
+        { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
+      );
+
+      console.log(`[M-Pesa] C2B URLs registered for ${this.c2bShortcode}`);
+      return {
+        success: true,
+        shortcode: this.c2bShortcode,
+        validationUrl: this.validationUrl,
+        confirmationUrl: this.confirmationUrl,
+        message: response.data.ResponseDescription
+      };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.errorMessage || error.message };
+    }
+  }
+
+  // Returns { accepted, reason, response }; `response` is Daraja's answer.
+  // A validator that fails accepts the payment, as ResponseType 'Completed'
+  // would; the confirmation is reconciled (or left unmatched) later.
+  async handleC2BValidation(data) {
+    const payment = this.parseC2BPayment(data);
+    let decision = { accepted: true };
+
+    if (this.c2bValidator) {
+      try {
+        decision = await this.c2bValidator(payment);
+      } catch (error) {
+        console.error(`[M-Pesa] C2B validation failed for ${payment.receiptNumber}:`, error.message);
+      }
+    }
+
+    if (!decision.accepted) {
+      console.log(`[M-Pesa] Rejected C2B ${payment.receiptNumber}: ${decision.reason}`);
+      return {
+        accepted: false,
+        reason: decision.reason,
+        response: { ResultCode: decision.resultCode || 'C2B00016', ResultDesc: 'Rejected' }
+      };
+    }
+    return { accepted: true, response: { ResultCode: '0', ResultDesc: 'Accepted' } };
+  }
+
+  // Recorded pending and sent to the Transaction Status API; the payment
+  // completes (and is reconciled) once handleTransactionStatusResult has
+  // verified it. A repeated confirmation returns the same record.
+  async handleC2BConfirmation(data) {
+    const payment = this.parseC2BPayment(data);
+    if (!payment.receiptNumber) {
+      return { success: false, error: 'Confirmation without a TransID' };
+    }
+    const existing = this.transactions.findByReceiptNumber(payment.receiptNumber);
+    if (existing) {
+      return { success: true, transaction: existing };
+    }
+
+    const transactionId = `C2B-${payment.receiptNumber}`;
+    this.transactions.create({
+      id: transactionId,
+      provider: 'mpesa',
+      type: 'c2b',
+      phoneNumber: payment.phoneNumber,
+      customerName: payment.customerName || undefined,
+      amount: payment.amount,
+      currency: 'KES',
+      accountReference: payment.accountNumber || undefined,
+      receiptNumber: payment.receiptNumber,
+      shortcode: payment.shortcode,
+      transactionType: payment.transactionType,
+      transactionDate: payment.transactionDate,
+      verification: 'pending',
+      status: PaymentStatus.PENDING
+    }, { source: 'callback' });
+
+    return { success: true, transaction: await this.queryTransactionStatus(transactionId) };
+  }
+
+  // Ask Daraja about a C2B payment's receipt; the answer is reported to
+  // statusResultUrl. Call again to retry an unanswered query.
+  async queryTransactionStatus(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    const originatorConversationId = newTransactionId('STATUS');
+
+    try {
+      const token = await this.getAccessToken();
+      const securityCredential = this.getSecurityCredential();
+      // Before it is sent: the result may beat Daraja's answer
+      this.transactions.update(transactionId, { originatorConversationId, verification: 'requested' }, { source: 'request' });
+      const response = await axios.post(
+        `${this.baseUrl}/mpesa/transactionstatus/v1/query`,
+        {
+          Initiator: this.initiatorName,
+          SecurityCredential: securityCredential,
+          CommandID: 'TransactionStatusQuery',
+          TransactionID: transaction.receiptNumber,
+          OriginatorConversationID: originatorConversationId,
+          PartyA: this.c2bShortcode,
+          IdentifierType: '4', // organisation shortcode
+          ResultURL: this.statusResultUrl,
+          QueueTimeOutURL: this.statusTimeoutUrl,
+          Remarks: 'C2B confirmation',
+          Occasion: ''
+        },
+        { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' } }
+      );
+
+      if (response.data.ResponseCode !== '0') {
+        throw new Error(response.data.ResponseDescription || `Transaction status query rejected (${response.data.ResponseCode})`);
+      }
+      return this.transactions.update(transactionId, { conversationId: response.data.ConversationID }, { source: 'request' });
+    } catch (error) {
+      const message = error.response?.data?.errorMessage || error.message;
+      console.error(`[M-Pesa] Could not verify C2B ${transaction.receiptNumber}:`, message);
+      return this.transactions.update(transactionId, { verification: 'unavailable', verificationError: message }, { source: 'request' });
+    }
+  }
+
+  // Completes the payment only if Daraja has the receipt as completed, for
+  // the amount confirmed, paid to our shortcode. A failed query leaves it
+  // pending (to retry, or expire); a mismatch fails it.
+  handleTransactionStatusResult(data) {
+    const result = data.Result || {};
+    const transaction = this.findB2CTransaction(result);
+    if (!transaction || transaction.type !== 'c2b') {
+      console.warn(`[M-Pesa] Transaction status result for unknown conversation ${result.ConversationID}`);
+      return { success: true, transaction: null };
+    }
+
+    if (Number(result.ResultCode) !== 0) {
+      const reason = result.ResultDesc || `ResultCode ${result.ResultCode}`;
+      console.warn(`[M-Pesa] C2B ${transaction.receiptNumber} could not be verified: ${reason}`);
+      return {
+        success: true,
+        transaction: this.transactions.update(transaction.id, { verification: 'failed', verificationError: reason }, { source: 'query' })
+      };
+    }
+
+    const reported = Object.fromEntries((result.ResultParameters?.ResultParameter || []).map(item => [item.Key, item.Value]));
+    const mismatch = reported.ReceiptNo !== transaction.receiptNumber ? `receipt is ${reported.ReceiptNo}`
+      : reported.TransactionStatus !== 'Completed' ? `transaction is ${reported.TransactionStatus}`
+      : Number(reported.Amount) !== transaction.amount ? `amount is ${reported.Amount}, not ${transaction.amount}`
+      : !String(reported.CreditPartyName || '').startsWith(String(this.c2bShortcode)) ? `paid to ${reported.CreditPartyName}`
+      : null;
+
+    if (mismatch) {
+      console.warn(`[M-Pesa] C2B ${transaction.receiptNumber} rejected: ${mismatch}`);
+    }
+    return {
+      success: true,
+      transaction: updateReported(this.transactions, transaction.id, mismatch
+        ? { status: PaymentStatus.FAILED, verification: 'rejected', verificationError: mismatch }
+        : { status: PaymentStatus.COMPLETED, verification: 'verified', verificationError: null }, { source: 'query' })
+    };
+  }
+
+  // Nobody answered the query; the payment stays pending
+  handleTransactionStatusTimeout(data) {
+    const result = data.Result || data;
+    let transaction = this.findB2CTransaction(result);
+
+    if (transaction?.type === 'c2b') {
+      transaction = this.transactions.update(transaction.id, {
+        verification: 'timed_out',
+        verificationError: result.ResultDesc || 'Transaction status query timed out in the Daraja queue'
+      }, { source: 'query' });
+    }
+
+    return { success: true, transaction };
+  }
+
+  // Timing-safe; with no token configured nothing passes
+  verifyC2BToken(token) {
+    if (!this.c2bToken || typeof token !== 'string') return false;
+    const expected = Buffer.from(this.c2bToken);
+    const supplied = Buffer.from(token);
+    return expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied);
+  }
+
+  withToken(url) {
+    if (!url || !this.c2bToken) return url;
+    const parsed = new URL(url);
+    parsed.searchParams.set('token', this.c2bToken);
+    return parsed.toString();
+  }
+
+  parseC2BPayment(data) {
+    return {
+      receiptNumber: data.TransID,
+      transactionType: data.TransactionType,
+      till: /buy ?goods/i.test(data.TransactionType || ''),
+      amount: Number(data.TransAmount),
+      shortcode: String(data.BusinessShortCode || ''),
+      accountNumber: String(data.BillRefNumber || '').trim(),
+      phoneNumber: data.MSISDN,
+      customerName: [data.FirstName, data.MiddleName, data.LastName].filter(Boolean).join(' '),
+      transactionDate: data.TransTime
+    };
+  }
+
+  // Sibling of the STK callback URL, e.g. .../webhooks/mpesa/b2c/result
+  webhookUrl(path) {
+    if (!this.callbackUrl) return null;
+    return `${this.callbackUrl.replace(/\/(stk\/?)?$/, '')}/${path}`;
+  }
+
+  // Daraja refuses to register URLs containing "mpesa" or "safaricom", so
+  // C2B uses /webhooks/c2b/* on the callback URL's host
+  c2bUrl(path) {
+    if (!this.callbackUrl) return null;
+    return new URL(`/webhooks/c2b/${path}`, this.callbackUrl).toString();
+  }
+
   formatPhoneNumber(phone) {
     let cleaned = phone.replace(/\D/g, '');
     if (cleaned.startsWith('0')) cleaned = '254' + cleaned.substring(1);
@@ -169,7 +601,11 @@ class MpesaService {
     return Buffer.from(this.shortcode + this.passkey + timestamp).toString('base64');
   }
 
-  getTransaction(id) { return this.transactions.get(id); }
+  // By transaction id, CheckoutRequestID or receipt number
+  getTransaction(id) {
+    const transaction = this.transactions.lookup(id);
+    return transaction?.provider === 'mpesa' ? transaction : null;
+  }
 }
 
 module.exports = { MpesaService };
@@ -0,0 +1,151 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PAYMENT STATES
+ * The one set of statuses a transaction can have, and how it may move
+ *
+ *   initiated ─► pending ─► completed ─► refunded
+ *       │           │           ├──────► partially_refunded ─► refunded
+ *       │           │           └──────► reversed
+ *       │           ├─► failed
+ *       └───────────┼─► cancelled
+ *                   └─► expired ─► completed
+ *
+ * Transaction stores enforce this on every update: anything else (e.g. a
+ * late "failed" callback for a completed payment) is rejected with code
+ * invalid_transition. Setting the current status again is not a
+ * transition and is ignored. An expired payment can still complete: the
+ * money arrived after we stopped waiting for it. A request is initiated
+ * until it is sent and pending from just before: a provider callback can
+ * arrive before the provider's answer to the request, and finds it pending.
+ * Each transition is stored with its source:
+ *   request    the provider's answer to our API call
+ *   callback   a provider webhook / callback
+ *   query      a status query (STK query, Paystack verify)
+ *   timeout    nobody reported back in time
+ *   manual     anyone else (API, admin)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const PaymentStatus = {
+  INITIATED: 'initiated',
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REVERSED: 'reversed'
+};
+
+const TRANSITIONS = {
+  initiated: ['pending', 'failed', 'cancelled'],
+  pending: ['completed', 'failed', 'cancelled', 'expired'],
+  completed: ['refunded', 'partially_refunded', 'reversed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'reversed'],
+  failed: [],
+  cancelled: [],
+  expired: ['completed'],
+  refunded: [],
+  reversed: []
+};
+
+const INITIAL_STATES = ['initiated', 'pending'];
+const UNSUCCESSFUL_STATES = ['failed', 'cancelled', 'expired'];
+const SOURCES = ['request', 'callback', 'query', 'timeout', 'manual'];
+
+// Paystack transaction statuses
+const PAYSTACK_STATUS = {
+  success: 'completed',
+  failed: 'failed',
+  abandoned: 'cancelled',
+  reversed: 'reversed'
+};
+
+// Paystack refund statuses (pending, processing and needs-attention wait)
+const PAYSTACK_REFUND_STATUS = {
+  processed: 'completed',
+  failed: 'failed'
+};
+
+// Daraja ResultCodes for an STK push; anything else non-zero is a failure
+const MPESA_RESULT_STATUS = {
+  0: 'completed',
+  1032: 'cancelled', // cancelled by the customer
+  1037: 'expired'    // customer's phone could not be reached in time
+};
+
+function isStatus(status) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+function canTransition(from, to) {
+  return isStatus(to) && (TRANSITIONS[from] || []).includes(to);
+}
+
+// Throws (and logs) unless `from` may become `to`; the same status is fine
+function assertTransition(transaction, to, details = {}) {
+  const from = transaction.status;
+  if (from === to) return;
+  if (!isStatus(to)) {
+    throw stateError('invalid_status', `Unknown payment status '${to}' for ${transaction.id} (use ${Object.keys(TRANSITIONS).join(', ')})`);
+  }
+  if (!canTransition(from, to)) {
+    console.warn(`[Transactions] Rejected ${transaction.id}: ${from} -> ${to} (source: ${details.source || 'manual'})`);
+    const error = stateError('invalid_transition', `Transaction ${transaction.id} cannot go from ${from} to ${to}`);
+    error.from = from;
+    error.to = to;
+    throw error;
+  }
+}
+
+function assertInitialStatus(transaction) {
+  if (!INITIAL_STATES.includes(transaction.status)) {
+    throw stateError('invalid_status', `Transaction ${transaction.id} must start as ${INITIAL_STATES.join(' or ')}, got '${transaction.status}'`);
+  }
+}
+
+// For provider reports, which may arrive late or twice: a rejected
+// transition leaves the transaction as it is
+function updateReported(store, id, fields, details) {
+  try {
+    return store.update(id, fields, details);
+  } catch (error) {
+    if (error.code !== 'invalid_transition') throw error;
+    return store.get(id);
+  }
+}
+
+function paystackStatus(status) {
+  return PAYSTACK_STATUS[status] || PaymentStatus.PENDING;
+}
+
+function paystackRefundStatus(status) {
+  return PAYSTACK_REFUND_STATUS[status] || PaymentStatus.PENDING;
+}
+
+function mpesaResultStatus(resultCode) {
+  return MPESA_RESULT_STATUS[Number(resultCode)] || PaymentStatus.FAILED;
+}
+
+function stateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  PaymentStatus,
+  TRANSITIONS,
+  INITIAL_STATES,
+  UNSUCCESSFUL_STATES,
+  SOURCES,
+  isStatus,
+  canTransition,
+  assertTransition,
+  assertInitialStatus,
+  updateReported,
+  paystackStatus,
+  paystackRefundStatus,
+  mpesaResultStatus
+};
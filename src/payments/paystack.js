@@ -6,6 +6,8 @@
  */
 
 const axios = require('axios');
+const { InMemoryTransactionStore, newTransactionId } = require('./transaction-store');
+const { PaymentStatus, updateReported, paystackStatus, paystackRefundStatus } = require('./payment-states');
 
 class PaystackService {
   constructor(config = {}) {
@@ -13,7 +15,7 @@ class PaystackService {
     this.publicKey = config.publicKey || process.env.PAYSTACK_PUBLIC_KEY;
     this.baseUrl = 'https://api.paystack.co';
     this.callbackUrl = config.callbackUrl || process.env.PAYSTACK_CALLBACK_URL;
-    this.transactions = new Map();
+    this.transactions = config.transactions || new InMemoryTransactionStore(); // see transaction-store.js
   }
 
   getHeaders() {
@@ -43,29 +45,33 @@ class PaystackService {
 
     if (channels) requestBody.channels = channels;
 
+    const transactionId = newTransactionId('PAYSTACK');
+    let created = false;
     try {
+      this.transactions.create({
+        id: transactionId,
+        provider: 'paystack',
+        type: 'initialization',
+        email: email,
+        amount: amount,
+        currency: currency,
+        status: PaymentStatus.INITIATED
+      }, { source: 'request' });
+      created = true;
+
+      // Pending before it is sent: the provider's callback may beat its answer
+      this.transactions.update(transactionId, { status: PaymentStatus.PENDING }, { source: 'request' });
       const response = await axios.post(
         `${this.baseUrl}/transaction/initialize`,
         requestBody,
         { headers: this.getHeaders() }
       );
 
-      const transactionId = `PAYSTACK-${Date.now()}`;
-      const transaction = {
-        id: transactionId,
-        type: 'initialization',
-        email: email,
-        amount: amount,
-        currency: currency,
+      this.transactions.update(transactionId, {
         reference: response.data.data.reference,
         accessCode: response.data.data.access_code,
-        authorizationUrl: response.data.data.authorization_url,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
-
-      this.transactions.set(transactionId, transaction);
-      this.transactions.set(response.data.data.reference, transaction);
+        authorizationUrl: response.data.data.authorization_url
+      }, { source: 'request' });
 
       return {
         success: true,
@@ -76,7 +82,12 @@ class PaystackService {
         message: 'Payment link generated'
       };
     } catch (error) {
-      return { success: false, error: error.response?.data?.message || error.message };
+      const message = error.response?.data?.message || error.message;
+      // Not ours to fail if the record could not be created (a duplicate id)
+      if (created) {
+        updateReported(this.transactions, transactionId, { status: PaymentStatus.FAILED, error: message }, { source: 'request' });
+      }
+      return { success: false, transactionId, error: message };
     }
   }
 
@@ -89,19 +100,24 @@ class PaystackService {
       );
 
       const data = response.data.data;
-      const transaction = this.transactions.get(reference);
+      const status = paystackStatus(data.status);
+      let transaction = this.transactions.findByReference(reference);
 
       if (transaction) {
-        transaction.status = data.status;
-        transaction.gatewayResponse = data.gateway_response;
-        transaction.paidAt = data.paid_at;
-        transaction.channel = data.channel;
-        transaction.fees = data.fees / 100;
+        transaction = updateReported(this.transactions, transaction.id, {
+          status,
+          gatewayResponse: data.gateway_response,
+          paidAt: data.paid_at,
+          channel: data.channel,
+          fees: data.fees / 100,
+          receiptNumber: data.receipt_number || undefined
+        }, { source: 'query' });
       }
 
       return {
-        success: data.status === 'success',
-        status: data.status,
+        success: status === PaymentStatus.COMPLETED,
+        status: transaction?.status || status,
+        paystackStatus: data.status,
         amount: data.amount / 100,
         currency: data.currency,
         reference: data.reference,
@@ -128,6 +144,12 @@ class PaystackService {
         return this.handleTransferSuccess(data);
       case 'transfer.failed':
         return this.handleTransferFailed(data);
+      case 'refund.pending':
+      case 'refund.processing':
+      case 'refund.needs-attention':
+      case 'refund.processed':
+      case 'refund.failed':
+        return this.handleRefund(event, data);
       default:
         return { received: true, event, processed: false };
     }
@@ -135,13 +157,15 @@ class PaystackService {
 
   handleChargeSuccess(data) {
     const reference = data.reference;
-    const transaction = this.transactions.get(reference);
+    let transaction = this.transactions.findByReference(reference);
 
     if (transaction) {
-      transaction.status = 'success';
-      transaction.paidAt = data.paid_at;
-      transaction.channel = data.channel;
-      transaction.customer = data.customer;
+      transaction = updateReported(this.transactions, transaction.id, {
+        status: PaymentStatus.COMPLETED,
+        paidAt: data.paid_at,
+        channel: data.channel,
+        customer: data.customer
+      }, { source: 'callback', event: 'charge.success' });
     }
 
     return {
@@ -156,11 +180,13 @@ class PaystackService {
 
   handleChargeFailed(data) {
     const reference = data.reference;
-    const transaction = this.transactions.get(reference);
+    let transaction = this.transactions.findByReference(reference);
 
     if (transaction) {
-      transaction.status = 'failed';
-      transaction.failMessage = data.message;
+      transaction = updateReported(this.transactions, transaction.id, {
+        status: PaymentStatus.FAILED,
+        failMessage: data.message
+      }, { source: 'callback', event: 'charge.failed' });
     }
 
     return {
@@ -180,6 +206,104 @@ class PaystackService {
     return { success: false, event: 'transfer.failed', reason: data.reason };
   }
 
+  // ═══════════════════════════════════════════════════════════════════════
+  // REFUNDS
+  // Paystack queues a refund and reports it with refund.* webhooks; the
+  // refund is its own transaction, linked by originalTransactionId
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Full refund unless `amount` is given; the processor checks it against
+  // what is still refundable
+  async refundTransaction(params) {
+    const { reference, amount, currency, reason } = params;
+    const transactionId = params.transactionId || newTransactionId('REFUND');
+
+    let created = false;
+    try {
+      this.transactions.create({
+        id: transactionId,
+        provider: 'paystack',
+        type: 'refund',
+        amount: amount,
+        currency: currency,
+        reason: reason,
+        originalTransactionId: params.originalTransactionId,
+        originalReference: reference,
+        status: PaymentStatus.INITIATED
+      }, { source: 'request' });
+      created = true;
+
+      const requestBody = { transaction: reference, merchant_note: reason };
+      if (amount) requestBody.amount = Math.round(amount * 100);
+
+      // Pending before it is sent: the provider's callback may beat its answer
+      this.transactions.update(transactionId, { status: PaymentStatus.PENDING }, { source: 'request' });
+      const response = await axios.post(
+        `${this.baseUrl}/refund`,
+        requestBody,
+        { headers: this.getHeaders() }
+      );
+
+      const refund = response.data.data;
+      this.transactions.update(transactionId, {
+        amount: refund.amount / 100,
+        currency: refund.currency,
+        paystackRefundId: refund.id
+      }, { source: 'request' });
+      const transaction = updateReported(this.transactions, transactionId, {
+        status: paystackRefundStatus(refund.status)
+      }, { source: 'request' });
+
+      return {
+        success: true,
+        transactionId: transactionId,
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        status: transaction.status,
+        message: 'Refund queued'
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      // Not ours to fail if the record could not be created (a duplicate id)
+      if (created) {
+        updateReported(this.transactions, transactionId, { status: PaymentStatus.FAILED, error: message }, { source: 'request' });
+      }
+      return { success: false, transactionId, error: message };
+    }
+  }
+
+  handleRefund(event, data) {
+    let transaction = this.findRefund(data);
+
+    if (transaction) {
+      transaction = updateReported(this.transactions, transaction.id, {
+        status: paystackRefundStatus(data.status || event.slice('refund.'.length)),
+        refundReference: data.refund_reference || undefined
+      }, { source: 'callback', event });
+    } else {
+      console.warn(`[Paystack] ${event} for an unknown refund of ${data.transaction_reference}`);
+    }
+
+    return {
+      success: event !== 'refund.failed',
+      event: event,
+      reference: data.transaction_reference,
+      amount: data.amount / 100,
+      transaction: transaction
+    };
+  }
+
+  // By Paystack's refund id, else the oldest unsettled refund of that
+  // amount against the same charge
+  findRefund(data = {}) {
+    const refunds = this.transactions.list({ provider: 'paystack', type: 'refund' });
+    return refunds.find(refund => data.id && String(refund.paystackRefundId) === String(data.id)) ||
+      refunds.find(refund => refund.originalReference === data.transaction_reference &&
+        Math.round(refund.amount * 100) === Number(data.amount) &&
+        [PaymentStatus.INITIATED, PaymentStatus.PENDING].includes(refund.status)) ||
+      null;
+  }
+
   // Create transfer recipient (for B2C payments)
   async createTransferRecipient(params) {
     const { type = 'mobile_money', name, accountNumber, bankCode, currency = 'NGN' } = params;
@@ -274,8 +398,10 @@ class PaystackService {
     }
   }
 
+  // By transaction id, reference or receipt number
   getTransaction(id) {
-    return this.transactions.get(id);
+    const transaction = this.transactions.lookup(id);
+    return transaction?.provider === 'paystack' ? transaction : null;
   }
 }
 
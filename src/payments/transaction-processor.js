@@ -6,12 +6,25 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const { parseDuration } = require('../swarm/history-store');
+const { PaymentStatus, UNSUCCESSFUL_STATES, canTransition, updateReported } = require('./payment-states');
+const { newTransactionId } = require('./transaction-store');
+
+// Money going out: the provider reports back on its own schedule
+const OUTGOING_TYPES = ['refund', 'payout'];
+// Paybill payments the customer already made: pending until Daraja's
+// Transaction Status API verifies them (or someone looks at them)
+const RECEIVED_TYPES = ['c2b'];
+
 class TransactionProcessor {
   constructor(mpesaService, paystackService, options = {}) {
     this.mpesa = mpesaService;
     this.paystack = paystackService;
     this.swarm = options.swarm || null;
-    this.db = options.db || null; // Database connection
+    this.db = options.db || null; // Database connection (invoices)
+    // Shared with the provider services, see transaction-store.js
+    this.transactions = options.transactions || mpesaService.transactions;
+    this.pendingTtl = parseDuration(options.pendingTtl || '30m'); // then expired
     this.processors = new Map();
     
     // Register processors
@@ -25,8 +38,10 @@ class TransactionProcessor {
     this.processors.set(type, handler);
   }
 
-  // Main entry point for payment processing
-  async processPayment(params) {
+  // Main entry point for payment processing. options.approval: the payment
+  // is already approved, by the council (e.g. a budget breach a human signed
+  // off) or by BudgetManager within the agent's authority
+  async processPayment(params, options = {}) {
     const {
       type,           // 'invoice_payment', 'subscription', 'refund', 'payout'
       provider,       // 'mpesa', 'paystack', 'auto'
@@ -45,9 +60,11 @@ class TransactionProcessor {
       : provider;
 
     console.log(`[Transaction] Processing ${type} via ${selectedProvider} for ${country}`);
+    this.expirePending();
 
-    // Pre-process with agents if swarm available
-    if (this.swarm) {
+    // Put the payment to the council if swarm available; only an approval
+    // lets it through (rejected, escalated and no quorum do not)
+    if (this.swarm && options.approval?.status !== 'approved') {
       const approval = await this.swarm.submitTask({
         type: 'payment_processing',
         amount: amount,
@@ -55,8 +72,12 @@ class TransactionProcessor {
         riskLevel: this.assessRisk(params)
       });
 
-      if (!approval.approved) {
-        return { success: false, error: 'Payment not approved by council' };
+      if (approval.status !== 'approved') {
+        return {
+          success: false,
+          error: 'Payment not approved by council',
+          approval: { status: approval.status, proposalId: approval.proposalId, escalationId: approval.escalationId || null }
+        };
       }
     }
 
@@ -129,7 +150,6 @@ class TransactionProcessor {
         type: params.type,
         amount: amount,
         currency: 'KES',
-        status: 'pending',
         customerPhone: customerPhone,
         metadata: metadata,
         checkoutRequestId: result.checkoutRequestId
@@ -168,7 +188,6 @@ class TransactionProcessor {
         type: params.type,
         amount: amount,
         currency: currency,
-        status: 'pending',
         customerEmail: customerEmail,
         metadata: metadata,
         reference: result.reference
@@ -202,44 +221,118 @@ class TransactionProcessor {
     return result;
   }
 
+  // Refunds `amount`, or whatever is still refundable
   async processRefund(params) {
-    const { originalTransactionId, amount, reason } = params;
+    const { originalTransactionId, reason } = params;
     
-    // Get original transaction
-    const original = this.mpesa.getTransaction(originalTransactionId) || 
-                    this.paystack.getTransaction(originalTransactionId);
+    // Get original transaction (by id, CheckoutRequestID, reference or receipt)
+    const original = this.transactions.lookup(originalTransactionId);
 
     if (!original) {
       return { success: false, error: 'Original transaction not found' };
     }
+    if (!canTransition(original.status, PaymentStatus.PARTIALLY_REFUNDED)) {
+      return { success: false, error: `Cannot refund a ${original.status} transaction` };
+    }
+
+    const refundable = this.refundableBalance(original);
+    const amount = params.amount ?? refundable;
+    if (!(amount > 0) || amount > refundable) {
+      return { success: false, error: `Cannot refund ${amount}: ${refundable} of ${original.amount} is refundable`, refundable };
+    }
+    if (original.provider === 'mpesa' && !Number.isInteger(amount)) {
+      return { success: false, error: `M-Pesa refunds are whole shillings, got ${amount}`, refundable };
+    }
 
     // Process refund via same provider
+    const refundId = newTransactionId('REFUND');
     let result;
     if (original.provider === 'paystack') {
-      // Paystack refund API
-      result = await this.paystack.refundTransaction(originalTransactionId, amount);
+      // Paystack refund API; refund.* webhooks settle it
+      result = await this.paystack.refundTransaction({
+        transactionId: refundId,
+        originalTransactionId: original.id,
+        reference: original.reference,
+        amount: amount,
+        currency: original.currency,
+        reason: reason
+      });
     } else {
-      // M-Pesa B2C for refunds
+      // M-Pesa B2C for refunds; the result callback settles it
       result = await this.mpesa.b2cPayment({
+        transactionId: refundId,
+        type: 'refund',
+        originalTransactionId: original.id,
         phoneNumber: original.phoneNumber,
         amount: amount,
         remarks: `Refund: ${reason}`
       });
     }
 
+    // Accepted, not yet paid out: the provider reports back (settleRefund)
     if (result.success) {
       await this.saveTransaction({
+        id: refundId,
+        provider: original.provider,
         type: 'refund',
-        originalTransactionId: originalTransactionId,
+        currency: original.currency,
+        originalTransactionId: original.id,
         amount: amount,
         reason: reason,
-        status: 'completed'
+        status: PaymentStatus.PENDING
       });
+      if (result.status === PaymentStatus.COMPLETED) {
+        this.settleRefund(refundId, PaymentStatus.COMPLETED, { source: 'request' });
+      }
     }
 
     return result;
   }
 
+  // The original amount less refunds that have not failed (pending ones
+  // included, so the same money cannot be refunded twice)
+  refundableBalance(original) {
+    const refunded = this.transactions.list({ type: 'refund', originalTransactionId: original.id })
+      .filter(tx => !UNSUCCESSFUL_STATES.includes(tx.status))
+      .reduce((sum, tx) => sum + (tx.amount || 0), 0);
+    return Math.max(0, roundAmount(original.amount - refunded));
+  }
+
+  // A refund the provider has completed (or not); once completed, the
+  // original becomes refunded or partially_refunded
+  settleRefund(refundId, status, details = {}) {
+    const refund = updateReported(this.transactions, refundId, { status }, details);
+    if (refund.status !== PaymentStatus.COMPLETED) return refund;
+
+    const original = this.transactions.get(refund.originalTransactionId);
+    const refundedAmount = roundAmount(
+      this.transactions.list({ type: 'refund', status: PaymentStatus.COMPLETED, originalTransactionId: original.id })
+        .reduce((sum, tx) => sum + (tx.amount || 0), 0)
+    );
+
+    updateReported(this.transactions, original.id, {
+      status: refundedAmount >= original.amount ? PaymentStatus.REFUNDED : PaymentStatus.PARTIALLY_REFUNDED,
+      refundedAmount
+    }, { ...details, refundId });
+    return refund;
+  }
+
+  // Payments nobody reported on within `maxAge` ms (e.g. an STK push the
+  // customer never saw) are expired; refunds, payouts and paybill payments
+  // are not
+  expirePending(maxAge = this.pendingTtl) {
+    const cutoff = Date.now() - maxAge;
+    const stale = this.transactions.list({ status: PaymentStatus.PENDING, to: cutoff })
+      .filter(transaction => !OUTGOING_TYPES.includes(transaction.type) && !RECEIVED_TYPES.includes(transaction.type));
+    for (const transaction of stale) {
+      updateReported(this.transactions, transaction.id, { status: PaymentStatus.EXPIRED }, { source: 'timeout' });
+    }
+    if (stale.length > 0) {
+      console.log(`[Transaction] Expired ${stale.length} pending payments`);
+    }
+    return stale.length;
+  }
+
   async processPayout(params) {
     const { recipientPhone, recipientEmail, amount, country, reason } = params;
     
@@ -282,13 +375,20 @@ class TransactionProcessor {
     return { success: false, error: 'Unknown provider' };
   }
 
+  // The provider service records a payment as it sends the request; this
+  // adds what the processor knows (type, customer, metadata)
   async saveTransaction(transaction) {
-    if (this.db) {
-      return await this.db.saveTransaction(transaction);
+    if (!this.transactions.get(transaction.id)) {
+      const saved = this.transactions.create(transaction, { source: 'request' });
+      console.log('[Transaction] Saved:', saved.id);
+      return saved;
     }
-    // In-memory fallback
-    console.log('[Transaction] Saved:', transaction.id);
-    return transaction;
+
+    // A callback may already have settled it; status is the service's to set
+    const { status, ...fields } = transaction;
+    const saved = this.transactions.update(transaction.id, fields);
+    console.log('[Transaction] Saved:', saved.id);
+    return saved;
   }
 
   async scheduleNextPayment(params) {
@@ -296,37 +396,39 @@ class TransactionProcessor {
     console.log('[Transaction] Scheduling next payment for', params.metadata?.subscriptionId);
   }
 
-  // Get transaction status across all providers
+  // Get transaction status across all providers, with its status history
+  // and its refunds (each with its own history)
   async getTransactionStatus(transactionId) {
-    // Try M-Pesa
-    const mpesaTx = this.mpesa.getTransaction(transactionId);
-    if (mpesaTx) return { provider: 'mpesa', ...mpesaTx };
+    const transaction = this.transactions.lookup(transactionId);
+    if (!transaction) return null;
 
-    // Try Paystack
-    const paystackTx = this.paystack.getTransaction(transactionId);
-    if (paystackTx) return { provider: 'paystack', ...paystackTx };
+    const refunds = this.transactions.list({ type: 'refund', originalTransactionId: transaction.id })
+      .map(refund => ({ ...refund, history: this.transactions.history(refund.id) }));
 
-    // Query database
-    if (this.db) {
-      return await this.db.getTransaction(transactionId);
-    }
-
-    return null;
+    return {
+      ...transaction,
+      history: this.transactions.history(transaction.id),
+      refunds,
+      refundable: canTransition(transaction.status, PaymentStatus.PARTIALLY_REFUNDED) ? this.refundableBalance(transaction) : 0
+    };
   }
 
   // Generate payment report
-  async generateReport(startDate, endDate) {
-    const mpesaTxs = this.mpesa.getAllTransactions({ startDate, endDate });
-    // Similar for paystack...
+  async generateReport(startDate, endDate, provider) {
+    const transactions = this.transactions.list({ from: startDate, to: endDate, provider });
 
     return {
-      totalTransactions: mpesaTxs.length,
-      totalAmount: mpesaTxs.reduce((sum, tx) => sum + (tx.amount || 0), 0),
-      successful: mpesaTxs.filter(tx => tx.status === 'completed').length,
-      failed: mpesaTxs.filter(tx => tx.status === 'failed').length,
-      pending: mpesaTxs.filter(tx => tx.status === 'pending').length
+      totalTransactions: transactions.length,
+      totalAmount: transactions.reduce((sum, tx) => sum + (tx.amount || 0), 0),
+      successful: transactions.filter(tx => tx.status === PaymentStatus.COMPLETED).length,
+      failed: transactions.filter(tx => UNSUCCESSFUL_STATES.includes(tx.status)).length,
+      pending: transactions.filter(tx => [PaymentStatus.INITIATED, PaymentStatus.PENDING].includes(tx.status)).length
     };
   }
 }
 
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
 module.exports = { TransactionProcessor };
@@ -0,0 +1,420 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TRANSACTION STORES
+ * Every payment, refund and payout, and how its status changed
+ *
+ * Stores are synchronous and interchangeable:
+ *   create(transaction, details) new record, initiated or pending; its first
+ *                                status starts the history
+ *   update(id, fields, details)  merge fields; a status change must be allowed
+ *                                by payment-states.js and is appended to the
+ *                                history with `details` ({ source, ... })
+ *   get(id)
+ *   findByCheckoutRequestId(id)  M-Pesa STK push
+ *   findByReference(reference)   Paystack
+ *   findByReceiptNumber(receipt) M-Pesa receipt / Paystack receipt
+ *   findByConversationId(id)     M-Pesa B2C ConversationID or
+ *                                OriginatorConversationID
+ *   lookup(anyId)                any of the above
+ *   list(filters)                provider, status, type, originalTransactionId
+ *                                (a payment's refunds), from, to, limit
+ *   history(id)                  [{ status, at, source, ...details }], oldest first
+ *   size()
+ *
+ * A record looks like:
+ *   { id, provider, type, status, amount, currency, phoneNumber, email,
+ *     accountReference, checkoutRequestId, reference, receiptNumber,
+ *     conversationId, originatorConversationId, originalTransactionId,
+ *     metadata, createdAt, updatedAt, ... }
+ * Fields not listed are kept as they are. Ids come from newTransactionId()
+ * (PREFIX-<uuid>), so requests started in the same millisecond don't collide.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { assertTransition, assertInitialStatus } = require('./payment-states');
+
+const LOOKUPS = ['checkoutRequestId', 'reference', 'receiptNumber', 'conversationId', 'originatorConversationId'];
+
+class InMemoryTransactionStore {
+  constructor() {
+    this.records = new Map(); // id -> record
+    this.events = new Map(); // id -> history
+    this.indexes = Object.fromEntries(LOOKUPS.map(field => [field, new Map()]));
+  }
+
+  create(transaction, details = {}) {
+    const record = newRecord(transaction);
+    if (this.records.has(record.id)) {
+      throw transactionError('duplicate_transaction', `Transaction ${record.id} already exists`);
+    }
+    this.records.set(record.id, record);
+    this.events.set(record.id, [{ status: record.status, at: record.createdAt, ...eventDetails(details) }]);
+    this.index(record);
+    return clone(record);
+  }
+
+  update(id, fields, details = {}) {
+    const current = this.records.get(id);
+    if (!current) {
+      throw transactionError('transaction_not_found', `Transaction ${id} not found`);
+    }
+    const record = merge(current, fields, details);
+    this.records.set(id, record);
+    if (record.status !== current.status) {
+      this.events.get(id).push({ status: record.status, at: record.updatedAt, ...eventDetails(details) });
+    }
+    this.index(record);
+    return clone(record);
+  }
+
+  index(record) {
+    for (const field of LOOKUPS) {
+      if (record[field]) this.indexes[field].set(record[field], record.id);
+    }
+  }
+
+  get(id) {
+    const record = this.records.get(id);
+    return record ? clone(record) : null;
+  }
+
+  findBy(field, value) {
+    const id = this.indexes[field].get(value);
+    return id ? this.get(id) : null;
+  }
+
+  findByCheckoutRequestId(checkoutRequestId) {
+    return this.findBy('checkoutRequestId', checkoutRequestId);
+  }
+
+  findByReference(reference) {
+    return this.findBy('reference', reference);
+  }
+
+  findByReceiptNumber(receiptNumber) {
+    return this.findBy('receiptNumber', receiptNumber);
+  }
+
+  findByConversationId(conversationId) {
+    return this.findBy('conversationId', conversationId) || this.findBy('originatorConversationId', conversationId);
+  }
+
+  lookup(anyId) {
+    return this.get(anyId) || LOOKUPS.map(field => this.findBy(field, anyId)).find(Boolean) || null;
+  }
+
+  list(filters = {}) {
+    const matches = Array.from(this.records.values())
+      .filter(record => matchesFilters(record, filters))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return (filters.limit ? matches.slice(0, filters.limit) : matches).map(clone);
+  }
+
+  history(id) {
+    return (this.events.get(id) || []).map(event => ({ ...event }));
+  }
+
+  size() {
+    return this.records.size;
+  }
+
+  close() {}
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SQLITE STORE
+// Durable local store (better-sqlite3): pending STK pushes and Paystack
+// references survive a restart, so late callbacks still find them
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SqliteTransactionStore {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+
+    this.path = options.path || ':memory:';
+    this.db = options.database || new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT INTO transactions (id, provider, type, status, amount, currency, checkout_request_id,
+          reference, receipt_number, conversation_id, originator_conversation_id, created_at, updated_at, data)
+        VALUES (@id, @provider, @type, @status, @amount, @currency, @checkoutRequestId,
+          @reference, @receiptNumber, @conversationId, @originatorConversationId, @createdAt, @updatedAt, @data)
+      `),
+      update: this.db.prepare(`
+        UPDATE transactions SET provider = @provider, type = @type, status = @status, amount = @amount,
+          currency = @currency, checkout_request_id = @checkoutRequestId, reference = @reference,
+          receipt_number = @receiptNumber, conversation_id = @conversationId,
+          originator_conversation_id = @originatorConversationId, updated_at = @updatedAt, data = @data
+        WHERE id = @id
+      `),
+      insertEvent: this.db.prepare(
+        'INSERT INTO transaction_events (transaction_id, status, at, details) VALUES (?, ?, ?, ?)'
+      ),
+      get: this.db.prepare('SELECT data FROM transactions WHERE id = ?'),
+      byCheckoutRequestId: this.db.prepare('SELECT data FROM transactions WHERE checkout_request_id = ?'),
+      byReference: this.db.prepare('SELECT data FROM transactions WHERE reference = ?'),
+      byReceiptNumber: this.db.prepare('SELECT data FROM transactions WHERE receipt_number = ?'),
+      byConversationId: this.db.prepare(
+        'SELECT data FROM transactions WHERE conversation_id = ? OR originator_conversation_id = ? ORDER BY conversation_id = ? DESC'
+      ),
+      history: this.db.prepare('SELECT status, at, details FROM transaction_events WHERE transaction_id = ? ORDER BY seq'),
+      size: this.db.prepare('SELECT COUNT(*) AS count FROM transactions')
+    };
+
+    this.createTransaction = this.db.transaction((record, details) => {
+      this.statements.insert.run(toRow(record));
+      this.statements.insertEvent.run(record.id, record.status, record.createdAt, JSON.stringify(eventDetails(details)));
+    });
+
+    this.updateTransaction = this.db.transaction((id, fields, details) => {
+      const current = this.get(id);
+      if (!current) {
+        throw transactionError('transaction_not_found', `Transaction ${id} not found`);
+      }
+      const record = merge(current, fields, details);
+      this.statements.update.run(toRow(record));
+      if (record.status !== current.status) {
+        this.statements.insertEvent.run(id, record.status, record.updatedAt, JSON.stringify(eventDetails(details)));
+      }
+      return record;
+    });
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT PRIMARY KEY,
+        provider TEXT,
+        type TEXT,
+        status TEXT NOT NULL,
+        amount REAL,
+        currency TEXT,
+        checkout_request_id TEXT UNIQUE,
+        reference TEXT UNIQUE,
+        receipt_number TEXT UNIQUE,
+        conversation_id TEXT UNIQUE,
+        originator_conversation_id TEXT UNIQUE,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_transactions_created ON transactions (created_at);
+      CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (provider, status);
+
+      CREATE TABLE IF NOT EXISTS transaction_events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id TEXT NOT NULL REFERENCES transactions (id) ON DELETE CASCADE,
+        status TEXT NOT NULL,
+        at TEXT NOT NULL,
+        details TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_transaction_events ON transaction_events (transaction_id, seq);
+    `);
+
+    // Databases from before B2C payouts
+    const columns = this.db.prepare('PRAGMA table_info(transactions)').all().map(column => column.name);
+    for (const column of ['conversation_id', 'originator_conversation_id']) {
+      if (!columns.includes(column)) {
+        this.db.exec(`
+          ALTER TABLE transactions ADD COLUMN ${column} TEXT;
+          CREATE UNIQUE INDEX idx_transactions_${column} ON transactions (${column});
+        `);
+      }
+    }
+  }
+
+  create(transaction, details = {}) {
+    const record = newRecord(transaction);
+    try {
+      this.createTransaction(record, details);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw transactionError('duplicate_transaction', `Transaction ${record.id} already exists`);
+      }
+      throw error;
+    }
+    return record;
+  }
+
+  update(id, fields, details = {}) {
+    return this.updateTransaction(id, fields, details);
+  }
+
+  get(id) {
+    return parse(this.statements.get.get(id));
+  }
+
+  findByCheckoutRequestId(checkoutRequestId) {
+    return parse(this.statements.byCheckoutRequestId.get(checkoutRequestId));
+  }
+
+  findByReference(reference) {
+    return parse(this.statements.byReference.get(reference));
+  }
+
+  findByReceiptNumber(receiptNumber) {
+    return parse(this.statements.byReceiptNumber.get(receiptNumber));
+  }
+
+  findByConversationId(conversationId) {
+    return parse(this.statements.byConversationId.get(conversationId, conversationId, conversationId));
+  }
+
+  lookup(anyId) {
+    return this.get(anyId) ||
+      this.findByCheckoutRequestId(anyId) ||
+      this.findByReference(anyId) ||
+      this.findByReceiptNumber(anyId) ||
+      this.findByConversationId(anyId);
+  }
+
+  list(filters = {}) {
+    const clauses = [];
+    const params = [];
+    for (const field of ['provider', 'status', 'type']) {
+      if (filters[field]) {
+        clauses.push(`${field} = ?`);
+        params.push(filters[field]);
+      }
+    }
+    if (filters.originalTransactionId) {
+      clauses.push("json_extract(data, '$.originalTransactionId') = ?");
+      params.push(filters.originalTransactionId);
+    }
+    if (filters.from) {
+      clauses.push('created_at >= ?');
+      params.push(toIso(filters.from));
+    }
+    if (filters.to) {
+      clauses.push('created_at <= ?');
+      params.push(toIso(filters.to));
+    }
+
+    let sql = `SELECT data FROM transactions ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''} ORDER BY created_at, rowid`;
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+    return this.db.prepare(sql).all(...params).map(parse);
+  }
+
+  history(id) {
+    return this.statements.history.all(id).map(row => ({ status: row.status, at: row.at, ...JSON.parse(row.details) }));
+  }
+
+  size() {
+    return this.statements.size.get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toRow(record) {
+  return {
+    id: record.id,
+    provider: record.provider || null,
+    type: record.type || null,
+    status: record.status,
+    amount: record.amount ?? null,
+    currency: record.currency || null,
+    checkoutRequestId: record.checkoutRequestId || null,
+    reference: record.reference || null,
+    receiptNumber: record.receiptNumber || null,
+    conversationId: record.conversationId || null,
+    originatorConversationId: record.originatorConversationId || null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    data: JSON.stringify(record)
+  };
+}
+
+function parse(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// From the payments.transactions section of config.yml: SQLite at `path`,
+// else process memory
+function createTransactionStore(config = {}) {
+  if (config.path) {
+    fs.mkdirSync(path.dirname(config.path), { recursive: true });
+    return new SqliteTransactionStore({ path: config.path });
+  }
+  return new InMemoryTransactionStore();
+}
+
+function newRecord(transaction) {
+  if (!transaction.id) {
+    throw transactionError('invalid_transaction', 'Transaction needs an id');
+  }
+  const now = new Date().toISOString();
+  const record = {
+    ...transaction,
+    status: transaction.status || 'pending',
+    createdAt: transaction.createdAt || now,
+    updatedAt: now
+  };
+  assertInitialStatus(record);
+  return record;
+}
+
+// Undefined fields leave the current value alone
+function merge(current, fields, details) {
+  const changes = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  if (changes.status !== undefined) {
+    assertTransition(current, changes.status, details);
+  }
+  return { ...current, ...changes, id: current.id, createdAt: current.createdAt, updatedAt: new Date().toISOString() };
+}
+
+// Every history entry says who reported it
+function eventDetails(details) {
+  return { ...details, source: details.source || 'manual' };
+}
+
+function matchesFilters(record, filters) {
+  if (filters.provider && record.provider !== filters.provider) return false;
+  if (filters.status && record.status !== filters.status) return false;
+  if (filters.type && record.type !== filters.type) return false;
+  if (filters.originalTransactionId && record.originalTransactionId !== filters.originalTransactionId) return false;
+  if (filters.from && record.createdAt < toIso(filters.from)) return false;
+  if (filters.to && record.createdAt > toIso(filters.to)) return false;
+  return true;
+}
+
+function toIso(value) {
+  return new Date(value).toISOString();
+}
+
+function clone(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+function transactionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function newTransactionId(prefix) {
+  return `${prefix}-${crypto.randomUUID()}`;
+}
+
+module.exports = {
+  InMemoryTransactionStore,
+  SqliteTransactionStore,
+  createTransactionStore,
+  newTransactionId
+};
@@ -2,19 +2,27 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * PAYMENT WEBHOOK HANDLERS
  * Express middleware for M-Pesa and Paystack webhooks
+ *
+ * M-Pesa C2B and transaction status callbacks must carry MPESA_C2B_TOKEN
+ * (?token=, see MpesaService#withToken); nothing else authenticates them.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 const crypto = require('crypto');
+const { PaymentStatus, UNSUCCESSFUL_STATES } = require('./payment-states');
 
 class PaymentWebhookHandler {
   constructor(mpesaService, paystackService, options = {}) {
     this.mpesa = mpesaService;
     this.paystack = paystackService;
+    // Shared with the services; tells a status change from a repeated callback
+    this.transactions = options.transactions || mpesaService.transactions;
     this.options = {
       validateSignatures: true,
       onPaymentSuccess: null,
       onPaymentFailed: null,
+      onPayoutSuccess: null, // M-Pesa B2C payouts and refunds, Paystack refunds
+      onPayoutFailed: null,
       ...options
     };
   }
@@ -24,30 +32,49 @@ class PaymentWebhookHandler {
     return async (req, res) => {
       try {
         console.log('[Webhook] M-Pesa callback received:', req.path);
+
+        if (/\/(c2b|status)\//.test(req.path) && !this.mpesa.verifyC2BToken(req.query?.token)) {
+          console.error('[Webhook] M-Pesa callback without a valid token:', req.path);
+          return res.status(401).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+        }
+
+        // C2B validation is a question: Daraja waits for the answer
+        if (req.path.includes('c2b/validate')) {
+          const validation = await this.mpesa.handleC2BValidation(req.body);
+          return res.status(200).json(validation.response);
+        }
         
         // Always acknowledge receipt quickly
         res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
 
         const data = req.body;
+        const before = this.findMpesaTransaction(data);
+        const payout = req.path.includes('b2c');
         let result;
 
         // Route based on path
         if (req.path.includes('stk')) {
           result = this.mpesa.handleStkCallback(data);
-        } else if (req.path.includes('c2b/validate')) {
-          result = this.mpesa.handleC2BValidation(data);
         } else if (req.path.includes('c2b/confirm')) {
-          result = this.mpesa.handleC2BConfirmation(data);
+          result = await this.mpesa.handleC2BConfirmation(data);
+        } else if (req.path.includes('status/timeout')) {
+          result = this.mpesa.handleTransactionStatusTimeout(data);
+        } else if (req.path.includes('status/result')) {
+          result = this.mpesa.handleTransactionStatusResult(data);
+        } else if (req.path.includes('b2c/timeout')) {
+          result = this.mpesa.handleB2CTimeout(data);
         } else if (req.path.includes('b2c')) {
           result = this.mpesa.handleB2CResult(data);
         }
 
-        // Trigger callback handlers
-        if (result?.transaction) {
-          if (result.transaction.status === 'completed' && this.options.onPaymentSuccess) {
-            await this.options.onPaymentSuccess('mpesa', result.transaction);
-          } else if (result.transaction.status === 'failed' && this.options.onPaymentFailed) {
-            await this.options.onPaymentFailed('mpesa', result.transaction);
+        // Trigger callback handlers once per status change
+        if (result?.transaction && result.transaction.status !== before?.status) {
+          const onSuccess = payout ? this.options.onPayoutSuccess : this.options.onPaymentSuccess;
+          const onFailed = payout ? this.options.onPayoutFailed : this.options.onPaymentFailed;
+          if (result.transaction.status === PaymentStatus.COMPLETED && onSuccess) {
+            await onSuccess('mpesa', result.transaction);
+          } else if (UNSUCCESSFUL_STATES.includes(result.transaction.status) && onFailed) {
+            await onFailed('mpesa', result.transaction);
           }
         }
 
@@ -84,14 +111,18 @@ class PaymentWebhookHandler {
         const data = req.body.data;
 
         // Process webhook
+        const refund = String(event).startsWith('refund.');
+        const before = refund ? this.paystack.findRefund(data) : this.transactions.findByReference(data?.reference);
         const result = this.paystack.handleWebhook(event, data);
 
-        // Trigger callback handlers
-        if (result.transaction) {
-          if (result.event === 'charge.success' && this.options.onPaymentSuccess) {
-            await this.options.onPaymentSuccess('paystack', result.transaction);
-          } else if (result.event === 'charge.failed' && this.options.onPaymentFailed) {
-            await this.options.onPaymentFailed('paystack', result.transaction);
+        // Trigger callback handlers once per status change
+        if (result.transaction && result.transaction.status !== before?.status) {
+          const onSuccess = refund ? this.options.onPayoutSuccess : this.options.onPaymentSuccess;
+          const onFailed = refund ? this.options.onPayoutFailed : this.options.onPaymentFailed;
+          if (result.transaction.status === PaymentStatus.COMPLETED && onSuccess) {
+            await onSuccess('paystack', result.transaction);
+          } else if (UNSUCCESSFUL_STATES.includes(result.transaction.status) && onFailed) {
+            await onFailed('paystack', result.transaction);
           }
         }
 
@@ -101,14 +132,28 @@ class PaymentWebhookHandler {
     };
   }
 
+  // STK callbacks carry a CheckoutRequestID, C2B confirmations a TransID
+  // (the receipt), B2C and transaction status results a ConversationID
+  findMpesaTransaction(data) {
+    const checkoutRequestId = data?.Body?.stkCallback?.CheckoutRequestID;
+    if (checkoutRequestId) return this.transactions.findByCheckoutRequestId(checkoutRequestId);
+    if (data?.TransID) return this.transactions.findByReceiptNumber(data.TransID);
+    return this.mpesa.findB2CTransaction(data?.Result || data);
+  }
+
   // Combined router setup helper
   setupRoutes(app) {
     // M-Pesa webhooks
     app.post('/webhooks/mpesa/stk', this.mpesaMiddleware());
     app.post('/webhooks/mpesa/c2b/validate', this.mpesaMiddleware());
     app.post('/webhooks/mpesa/c2b/confirm', this.mpesaMiddleware());
+    // Registered C2B URLs may not mention M-Pesa (see MpesaService#c2bUrl)
+    app.post('/webhooks/c2b/validate', this.mpesaMiddleware());
+    app.post('/webhooks/c2b/confirm', this.mpesaMiddleware());
     app.post('/webhooks/mpesa/b2c/result', this.mpesaMiddleware());
     app.post('/webhooks/mpesa/b2c/timeout', this.mpesaMiddleware());
+    app.post('/webhooks/mpesa/status/result', this.mpesaMiddleware());
+    app.post('/webhooks/mpesa/status/timeout', this.mpesaMiddleware());
 
     // Paystack webhooks
     app.post('/webhooks/paystack', this.paystackMiddleware());
@@ -117,6 +162,12 @@ class PaymentWebhookHandler {
     console.log('  - POST /webhooks/mpesa/stk');
     console.log('  - POST /webhooks/mpesa/c2b/validate');
     console.log('  - POST /webhooks/mpesa/c2b/confirm');
+    console.log('  - POST /webhooks/c2b/validate');
+    console.log('  - POST /webhooks/c2b/confirm');
+    console.log('  - POST /webhooks/mpesa/b2c/result');
+    console.log('  - POST /webhooks/mpesa/b2c/timeout');
+    console.log('  - POST /webhooks/mpesa/status/result');
+    console.log('  - POST /webhooks/mpesa/status/timeout');
     console.log('  - POST /webhooks/paystack');
   }
 }
@@ -0,0 +1,363 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AGENT LOADER
+ * Builds swarm agents from YAML definitions
+ *
+ *   id, name, role, codename, description
+ *   model, system_prompt
+ *   personality     { traits, communicationStyle, quotes }
+ *   skills          skill tags used to pick agents for tasks; naming a
+ *                   workspace skill (skills/<name>) grants its tools
+ *   decisionAuthority  { spending: <amount>, <power>: true, ... }
+ *   channels        message bus channels to join (everyone is on council)
+ *   class           built-in implementation to start from (optional)
+ *   handlers        payload type -> one of
+ *                     reply: <text | object>
+ *                     vote: <choice>, reasoning: <text>
+ *                     vote: { approveBelow, otherwise, reasoning }
+ *                     skill: <skill>, tool: <tool>, params: { ... }
+ *                       (the skill must be in the agent's skills)
+ *                     method: <method of the class>
+ *                   'default' answers anything else
+ *
+ * All problems in a definition are reported together, with the file name.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BaseAgent, VOTE_CHOICES } = require('./base-agent');
+const { SwarmOrchestrator } = require('./orchestrator');
+const { JohnWickAgent, AdjudicatorAgent } = require('./agents/executive-agents');
+const { DoctorAgent, CharonAgent } = require('./agents/operations-agents');
+const { SkillRegistry } = require('./skill-registry');
+
+const DEFINITIONS_DIR = path.join(__dirname, 'agents', 'definitions');
+
+const CLASSES = {
+  SwarmOrchestrator,
+  JohnWickAgent,
+  AdjudicatorAgent,
+  DoctorAgent,
+  CharonAgent
+};
+
+const KNOWN_KEYS = [
+  'id', 'name', 'display_name', 'role', 'codename', 'description', 'model', 'system_prompt',
+  'personality', 'skills', 'responsibilities', 'decisionAuthority', 'channels', 'class', 'handlers'
+];
+const HANDLER_KINDS = ['reply', 'vote', 'skill', 'method'];
+
+// Agent that answers entirely from its definition's handlers
+class DeclarativeAgent extends BaseAgent {
+  async processMessage(message) {
+    return {
+      response: `${this.codename || this.name} has no handler for ${message.payload?.type || message.type}.`,
+      status: 'unhandled'
+    };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADING AND VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Definitions from a directory, or a list of files and directories.
+// Skill handlers are checked against options.skills (a SkillRegistry).
+function loadAgentDefinitions(sources = DEFINITIONS_DIR, options = {}) {
+  const yaml = require('js-yaml');
+  const skills = options.skills || new SkillRegistry({ skillsDir: options.skillsDir });
+  const files = [].concat(sources).flatMap(source => {
+    if (fs.statSync(source).isDirectory()) {
+      return fs.readdirSync(source)
+        .filter(name => /\.ya?ml$/.test(name))
+        .sort()
+        .map(name => path.join(source, name));
+    }
+    return [source];
+  });
+
+  const definitions = files.map(file => {
+    let raw;
+    try {
+      raw = yaml.load(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw definitionError(file, [`could not be parsed: ${error.message}`]);
+    }
+    return validateDefinition(raw, file, { ...options, skills });
+  });
+
+  const seen = new Map();
+  for (const definition of definitions) {
+    if (seen.has(definition.id)) {
+      throw definitionError(definition.file, [`id '${definition.id}' is already defined in ${seen.get(definition.id)}`]);
+    }
+    seen.set(definition.id, definition.file);
+  }
+
+  return definitions;
+}
+
+// Returns the normalised definition or throws with every problem found
+function validateDefinition(raw, file = '<definition>', options = {}) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw definitionError(file, ['must be a YAML mapping']);
+  }
+
+  Object.keys(raw)
+    .filter(key => !KNOWN_KEYS.includes(key))
+    .forEach(key => errors.push(`unknown field '${key}'`));
+
+  // Customer agents (agents/*.yml) only have name/display_name
+  const id = raw.id || (typeof raw.name === 'string' ? toId(raw.name) : null);
+  if (!id || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(id)) {
+    errors.push(`id must be lower-case words joined by dashes, got ${JSON.stringify(raw.id ?? id)}`);
+  }
+  for (const key of ['name', 'role']) {
+    if (typeof raw[key] !== 'string' || raw[key].trim() === '') {
+      errors.push(`${key} is required`);
+    }
+  }
+  for (const key of ['display_name', 'codename', 'description', 'model', 'system_prompt']) {
+    if (raw[key] !== undefined && typeof raw[key] !== 'string') {
+      errors.push(`${key} must be a string`);
+    }
+  }
+
+  const personality = raw.personality || {};
+  if (typeof personality !== 'object' || Array.isArray(personality)) {
+    errors.push('personality must be a mapping');
+  } else {
+    checkStrings(personality.traits, 'personality.traits', errors);
+    checkStrings(personality.quotes, 'personality.quotes', errors);
+    if (personality.communicationStyle !== undefined && typeof personality.communicationStyle !== 'string') {
+      errors.push('personality.communicationStyle must be a string');
+    }
+  }
+
+  checkStrings(raw.skills, 'skills', errors);
+  checkStrings(raw.responsibilities, 'responsibilities', errors);
+  checkStrings(raw.channels, 'channels', errors);
+
+  const authority = raw.decisionAuthority || {};
+  if (typeof authority !== 'object' || Array.isArray(authority)) {
+    errors.push('decisionAuthority must be a mapping');
+  } else {
+    for (const [power, value] of Object.entries(authority)) {
+      if (power === 'spending' && (typeof value !== 'number' || value < 0)) {
+        errors.push(`decisionAuthority.spending must be a non-negative number, got ${JSON.stringify(value)}`);
+      } else if (typeof value !== 'boolean' && typeof value !== 'number') {
+        errors.push(`decisionAuthority.${power} must be true/false or an amount`);
+      }
+    }
+  }
+
+  const Class = raw.class ? CLASSES[raw.class] : DeclarativeAgent;
+  if (!Class) {
+    errors.push(`class '${raw.class}' is not a built-in agent (use ${Object.keys(CLASSES).join(', ')})`);
+  } else if (Class === SwarmOrchestrator && raw.handlers) {
+    errors.push('handlers are not supported for the orchestrator; it routes every task itself');
+  }
+
+  const handlers = raw.handlers || {};
+  const skills = Object.values(handlers).some(handler => handler?.skill !== undefined)
+    ? options.skills || new SkillRegistry({ skillsDir: options.skillsDir })
+    : null;
+  if (typeof handlers !== 'object' || Array.isArray(handlers)) {
+    errors.push('handlers must be a mapping of payload type to handler');
+  } else {
+    for (const [type, handler] of Object.entries(handlers)) {
+      validateHandler(type, handler, Class, errors, { skills, granted: raw.skills || [] });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw definitionError(file, errors);
+  }
+
+  return {
+    file,
+    id,
+    class: raw.class || null,
+    channels: raw.channels || [],
+    handlers,
+    // Merged into the agent's llmConfig
+    llm: {
+      ...(raw.model ? { model: raw.model } : {}),
+      ...(raw.system_prompt ? { systemPrompt: raw.system_prompt } : {})
+    },
+    // Only what the file sets, so built-in classes keep their own defaults
+    config: withoutUndefined({
+      id,
+      name: raw.display_name || raw.name,
+      role: raw.role,
+      codename: raw.codename || raw.display_name,
+      description: raw.description,
+      personality: raw.personality,
+      skills: raw.skills,
+      responsibilities: raw.responsibilities,
+      decisionAuthority: raw.decisionAuthority
+    })
+  };
+}
+
+function validateHandler(type, handler, Class, errors, { skills, granted }) {
+  const where = `handlers.${type}`;
+  if (!handler || typeof handler !== 'object' || Array.isArray(handler)) {
+    errors.push(`${where} must be a mapping with one of ${HANDLER_KINDS.join(', ')}`);
+    return;
+  }
+
+  const kinds = HANDLER_KINDS.filter(kind => handler[kind] !== undefined);
+  if (kinds.length !== 1) {
+    errors.push(`${where} must have exactly one of ${HANDLER_KINDS.join(', ')}, got ${kinds.join(', ') || 'none'}`);
+    return;
+  }
+
+  switch (kinds[0]) {
+    case 'vote': {
+      const rule = voteRule(handler);
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${where}.vote must be a choice or a rule mapping`);
+        break;
+      }
+      const choices = [rule.vote, rule.otherwise].filter(choice => choice !== undefined);
+      if (choices.some(choice => !VOTE_CHOICES.includes(choice))) {
+        errors.push(`${where}.vote must be one of ${VOTE_CHOICES.join(', ')}`);
+      }
+      if (rule.approveBelow !== undefined && typeof rule.approveBelow !== 'number') {
+        errors.push(`${where}.vote.approveBelow must be an amount`);
+      }
+      break;
+    }
+    case 'skill': {
+      if (typeof handler.tool !== 'string') {
+        errors.push(`${where} needs the tool of skill '${handler.skill}' to call`);
+        break;
+      }
+      const tool = skills.getTool(`${handler.skill}.${handler.tool}`);
+      if (!skills.getSkill(handler.skill)) {
+        errors.push(`${where}: unknown skill '${handler.skill}'`);
+        break;
+      }
+      if (!tool) {
+        errors.push(`${where}: skill '${handler.skill}' has no tool '${handler.tool}'`);
+        break;
+      }
+      if (!granted.includes(handler.skill)) {
+        errors.push(`${where}: skill '${handler.skill}' must be listed in skills to use its tools`);
+      }
+      if (handler.params !== undefined) {
+        const { errors: invalid = [] } = skills.validate(tool.name, handler.params, { partial: true });
+        invalid.forEach(error => errors.push(`${where}: ${error}`));
+      }
+      break;
+    }
+    case 'method':
+      if (!Class || typeof Class.prototype[handler.method] !== 'function') {
+        errors.push(`${where}: ${Class ? Class.name : 'the agent'} has no method '${handler.method}'`);
+      }
+      break;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BUILDING AGENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Instantiate a validated definition. Skill handlers call their tools
+// through `skills` (a SkillRegistry).
+function createAgent(definition, skills = null) {
+  const Class = definition.class ? CLASSES[definition.class] : DeclarativeAgent;
+  const agent = new Class(definition.config);
+  agent.channels = definition.channels;
+  Object.assign(agent.llmConfig, definition.llm);
+  if (skills) {
+    agent.setTools(skills);
+  }
+
+  if (Object.keys(definition.handlers).length > 0) {
+    bindHandlers(agent, definition.handlers);
+  }
+  return agent;
+}
+
+// Definition handlers first; the class's own processMessage for the rest
+function bindHandlers(agent, handlers) {
+  const fallback = agent.processMessage.bind(agent);
+
+  agent.processMessage = async (message) => {
+    const payload = message.payload || {};
+    const handler = handlers[payload.type] || (agent instanceof DeclarativeAgent ? handlers.default : null);
+    return handler ? runHandler(agent, handler, payload) : fallback(message);
+  };
+}
+
+async function runHandler(agent, handler, payload) {
+  if (handler.reply !== undefined) {
+    const reply = typeof handler.reply === 'string' ? { response: handler.reply } : handler.reply;
+    return { ...reply, quote: agent.getQuote() };
+  }
+
+  if (handler.vote !== undefined) {
+    const rule = voteRule(handler);
+    const vote = rule.approveBelow === undefined || (payload.amount || 0) < rule.approveBelow
+      ? rule.vote || 'approve'
+      : rule.otherwise || 'abstain';
+    return { vote, reasoning: rule.reasoning || '', quote: agent.getQuote() };
+  }
+
+  if (handler.method !== undefined) {
+    return agent[handler.method](payload);
+  }
+
+  // The payload fields the tool declares, over the definition's params
+  const name = `${handler.skill}.${handler.tool}`;
+  const declared = agent.tools?.getTool(name)?.parameters || {};
+  const params = Object.fromEntries(Object.entries(payload).filter(([key]) => key in declared));
+  try {
+    return await agent.callTool(name, { ...handler.params, ...params });
+  } catch (error) {
+    // Registry refusals (not granted, invalid params, ...) answer like a failed skill
+    if (!error.code) throw error;
+    return { success: false, error: error.message, code: error.code };
+  }
+}
+
+// `vote: approve` with an optional `reasoning`, or a rule mapping
+function voteRule(handler) {
+  return typeof handler.vote === 'string'
+    ? { vote: handler.vote, reasoning: handler.reasoning }
+    : handler.vote;
+}
+
+function checkStrings(value, field, errors) {
+  if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+    errors.push(`${field} must be a list of strings`);
+  }
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function toId(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function definitionError(file, errors) {
+  const error = new Error(`Invalid agent definition ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  error.code = 'invalid_agent_definition';
+  error.file = file;
+  error.errors = errors;
+  return error;
+}
+
+module.exports = {
+  loadAgentDefinitions,
+  validateDefinition,
+  createAgent,
+  DeclarativeAgent,
+  DEFINITIONS_DIR
+};
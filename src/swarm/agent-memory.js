@@ -0,0 +1,146 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AGENT MEMORY
+ * What an agent remembers, and for how long
+ *
+ *   Short-term   in the agent's process: the last few reports, outages and
+ *                rulings. Expires after shortTerm.ttl, oldest-used entries
+ *                go first beyond shortTerm.maxEntries.
+ *   Long-term    in a memory store (see memory-store.js), so it survives
+ *                restarts and is shared by the agent's replicas. Entries are
+ *                embedded for search() by meaning; ttl and maxEntries apply
+ *                as above.
+ *
+ * Each agent's memory is its own namespace: Charon's customer notes are
+ * not visible to any other agent.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { parseDuration } = require('./history-store');
+const { InMemoryMemoryStore } = require('./memory-store');
+
+const DEFAULT_TIERS = {
+  shortTerm: { ttl: '1h', maxEntries: 100 },
+  longTerm: { ttl: '365d', maxEntries: 1000 }
+};
+
+class AgentMemory {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.store = options.store || new InMemoryMemoryStore();
+    // { embed({ input }) -> { embeddings } }, e.g. a model provider
+    this.embedder = options.embedder || null;
+    this.shortTerm = tier(DEFAULT_TIERS.shortTerm, options.shortTerm);
+    this.longTerm = tier(DEFAULT_TIERS.longTerm, options.longTerm);
+    this.recent = new Map(); // key -> entry, least recently used first
+  }
+
+  // Short-term only, unless { longTerm: true }. `text` is what search()
+  // matches against (the value as JSON by default); `ttl` overrides the
+  // long-term tier's.
+  async remember(key, value, options = {}) {
+    const now = Date.now();
+    const entry = { key, value, createdAt: now, accessedAt: now, expiresAt: now + this.shortTerm.ttl };
+    this.recent.delete(key);
+    this.recent.set(key, entry);
+    this.evictShortTerm(now);
+
+    if (options.longTerm) {
+      const text = options.text || describe(value);
+      await this.store.put(this.namespace, {
+        ...entry,
+        text,
+        embedding: await this.embed(text),
+        expiresAt: now + (options.ttl ? parseDuration(options.ttl) : this.longTerm.ttl)
+      });
+      await this.store.evict(this.namespace, this.longTerm.maxEntries, now);
+    }
+    return entry;
+  }
+
+  // Short-term first; a long-term hit is brought back into short-term
+  async recall(key) {
+    const now = Date.now();
+    const recent = this.recent.get(key);
+    if (recent && recent.expiresAt > now) {
+      this.recent.delete(key);
+      recent.accessedAt = now;
+      this.recent.set(key, recent);
+      return recent.value;
+    }
+    this.recent.delete(key);
+
+    const stored = await this.store.get(this.namespace, key, now);
+    if (!stored) return null;
+
+    this.recent.set(key, { key, value: stored.value, createdAt: stored.createdAt, accessedAt: now, expiresAt: now + this.shortTerm.ttl });
+    this.evictShortTerm(now);
+    return stored.value;
+  }
+
+  async forget(key) {
+    const recent = this.recent.delete(key);
+    const stored = await this.store.delete(this.namespace, key);
+    return recent || stored;
+  }
+
+  // Long-term entries closest in meaning to `query`, best first. Without an
+  // embedder there is nothing to compare, so nothing is found.
+  async search(query, { limit = 5, minScore = 0 } = {}) {
+    const embedding = await this.embed(query);
+    if (!embedding) return [];
+
+    const results = await this.store.search(this.namespace, embedding, { limit });
+    return results
+      .filter(result => result.score >= minScore)
+      .map(({ key, value, text, score, createdAt }) => ({ key, value, text, score, createdAt }));
+  }
+
+  // Live short-term entries, most recently used first
+  recentEntries(limit = 5) {
+    this.evictShortTerm(Date.now());
+    return Array.from(this.recent.values()).reverse().slice(0, limit);
+  }
+
+  evictShortTerm(now) {
+    for (const [key, entry] of this.recent) {
+      if (entry.expiresAt <= now) this.recent.delete(key);
+    }
+    while (this.recent.size > this.shortTerm.maxEntries) {
+      this.recent.delete(this.recent.keys().next().value);
+    }
+  }
+
+  // A failed embedding costs search recall, not the memory itself
+  async embed(text) {
+    if (!this.embedder) return null;
+    try {
+      const { embeddings } = await this.embedder.embed({ input: [text] });
+      return embeddings[0];
+    } catch (error) {
+      console.error(`[Memory:${this.namespace}] Could not embed:`, error.message);
+      return null;
+    }
+  }
+
+  async getStatus() {
+    return {
+      namespace: this.namespace,
+      shortTerm: this.recent.size,
+      longTerm: await this.store.size(this.namespace),
+      semantic: Boolean(this.embedder)
+    };
+  }
+}
+
+function tier(defaults, options = {}) {
+  const merged = { ...defaults, ...options };
+  return { ttl: parseDuration(merged.ttl), maxEntries: merged.maxEntries };
+}
+
+function describe(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 2000 ? text.slice(0, 2000) : text;
+}
+
+module.exports = { AgentMemory, DEFAULT_TIERS };
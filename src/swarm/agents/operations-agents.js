@@ -34,11 +34,24 @@ class DoctorAgent extends BaseAgent {
         return this.handleIncident(payload);
       case 'vote_request':
         return { vote: 'approve', reasoning: 'Low operational risk.', quote: this.getQuote() };
+      case 'agent_offline':
+      case 'agent_recovered':
+        return this.handleAgentLiveness(payload);
       default:
         return { response: "What seems to be the problem?", status: 'awaiting_diagnosis' };
     }
   }
 
+  async handleAgentLiveness(report) {
+    if (report.type === 'agent_offline') {
+      await this.remember(`outage:${report.agentId}`, report);
+      return { response: `${report.agentId} has flatlined. Preparing to operate.`, status: 'investigating', agentId: report.agentId, quote: "I need to operate." };
+    }
+    const outage = await this.recall(`outage:${report.agentId}`);
+    await this.forget(`outage:${report.agentId}`);
+    return { response: `${report.agentId} is back with us.`, status: 'stable', agentId: report.agentId, outage, quote: "The patient is stable." };
+  }
+
   async handleIncident(incident) {
     if (incident.severity === 'critical') {
       this.emergencyActive = true;
@@ -69,8 +82,11 @@ class CharonAgent extends BaseAgent {
   async processMessage(message) {
     const { payload } = message;
     switch (payload?.type) {
-      case 'customer_inquiry':
-        return { response: "Welcome. How may I assist you?", action: 'offer_help', quote: this.getQuote() };
+      case 'customer_inquiry': {
+        const response = "Welcome. How may I assist you?";
+        await this.noteInquiry(payload, response);
+        return { response, action: 'offer_help', quote: this.getQuote() };
+      }
       case 'vote_request':
         return { vote: 'approve', reasoning: 'Positive customer impact.', quote: this.getQuote() };
       default:
@@ -6,6 +6,11 @@
  */
 
 const { Message, MessageTypes, Priority } = require('./message-bus');
+const { runInContext } = require('./tracing');
+const { VoteParser } = require('../council/vote-parser');
+const { AgentMemory } = require('./agent-memory');
+
+const VOTE_CHOICES = ['approve', 'reject', 'abstain'];
 
 class BaseAgent {
   constructor(config) {
@@ -27,7 +32,7 @@ class BaseAgent {
     this.status = 'idle';
     this.currentTask = null;
     this.taskQueue = [];
-    this.context = new Map();
+    this.memory = config.memory || new AgentMemory(this.id); // see setMemory()
     
     this.metrics = {
       tasksCompleted: 0,
@@ -40,22 +45,30 @@ class BaseAgent {
     };
     
     this.messageBus = null;
+    this.signingKey = null;
     this.subscriptions = new Set();
+    this.pendingQueries = new Map();
+    this.ballots = new Map(); // proposalId -> open ballot we are collecting
+    this.heartbeatTimer = null;
     
     this.llmConfig = config.llmConfig || {
-      model: 'gpt-4o',
+      model: null, // provider default
       temperature: 0.7,
       maxTokens: 2000
     };
+    this.provider = config.provider || null;
+    this.voteParser = config.voteParser || new VoteParser();
+    this.tools = config.tools || null; // SkillRegistry
   }
 
   initialize(messageBus) {
     this.messageBus = messageBus;
-    this.messageBus.registerAgent(this);
+    this.signingKey = this.messageBus.registerAgent(this);
     
     this.subscribe('broadcast');
     this.subscribe(this.id);
     this.subscribe(this.role);
+    this.startHeartbeat(this.messageBus.heartbeat?.interval);
     
     console.log(`[Agent:${this.id}] ${this.codename} initialized`);
     this.emit('initialized');
@@ -77,7 +90,21 @@ class BaseAgent {
 
   async receiveMessage(message) {
     this.metrics.messagesReceived++;
-    
+
+    // Replies to our own queries settle the waiting promise instead of
+    // being processed as new work
+    if (this.handleReply(message)) {
+      return;
+    }
+
+    // Everything sent while handling this message joins its trace as a child
+    return runInContext(
+      { traceId: message.traceId, spanId: message.spanId },
+      () => this.handleMessage(message)
+    );
+  }
+
+  async handleMessage(message) {
     const previousStatus = this.status;
     this.status = 'busy';
     this.currentTask = message;
@@ -85,7 +112,9 @@ class BaseAgent {
     const startTime = Date.now();
     
     try {
-      const result = await this.processMessage(message);
+      const result = this.isCouncilMessage(message)
+        ? await this.handleCouncilMessage(message)
+        : await this.answer(message);
       
       const responseTime = Date.now() - startTime;
       this.updateMetrics(responseTime, true);
@@ -93,7 +122,7 @@ class BaseAgent {
       if (message.type === MessageTypes.QUERY || 
           message.type === MessageTypes.DELEGATE ||
           message.type === MessageTypes.COMMAND) {
-        await this.respond(message.sender, result);
+        await this.respond(message.sender, result, Priority.NORMAL, message.id);
       }
       
       return result;
@@ -101,7 +130,7 @@ class BaseAgent {
       const responseTime = Date.now() - startTime;
       this.updateMetrics(responseTime, false);
       
-      await this.sendError(message.sender, error);
+      await this.sendError(message.sender, error, message.id);
       throw error;
     } finally {
       this.status = previousStatus === 'error' ? 'error' : 'idle';
@@ -109,6 +138,12 @@ class BaseAgent {
     }
   }
 
+  // Run fn in a child span of the current trace (or a new trace), e.g. to
+  // group the messages of one task under a single node
+  async trace(name, fn, attributes = {}) {
+    return this.messageBus.tracer.span(name, { agent: this.id, ...attributes }, fn);
+  }
+
   async processMessage(message) {
     return {
       status: 'received',
@@ -123,25 +158,26 @@ class BaseAgent {
       recipients: Array.isArray(recipients) ? recipients : [recipients],
       type,
       payload,
-      priority
+      priority,
+      signingKey: this.signingKey
     });
 
     this.metrics.messagesSent++;
     return this.messageBus.send(message);
   }
 
-  async respond(to, data, priority = Priority.NORMAL) {
+  async respond(to, data, priority = Priority.NORMAL, inReplyTo = this.currentTask?.id) {
     return this.send(to, MessageTypes.RESPONSE, {
-      inReplyTo: this.currentTask?.id,
+      inReplyTo,
       data,
       agent: this.id,
       codename: this.codename
     }, priority);
   }
 
-  async sendError(to, error) {
+  async sendError(to, error, inReplyTo = this.currentTask?.id) {
     return this.send(to, MessageTypes.ERROR, {
-      inReplyTo: this.currentTask?.id,
+      inReplyTo,
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     }, Priority.HIGH);
@@ -151,24 +187,409 @@ class BaseAgent {
     return this.messageBus.broadcast(channel, {
       sender: this.id,
       type,
-      payload
+      payload,
+      signingKey: this.signingKey
     });
   }
 
-  async query(targetAgent, query, timeout = 30000) {
-    return new Promise(async (resolve, reject) => {
-      const queryId = `${this.id}-${Date.now()}`;
-      
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`Query to ${targetAgent} timed out after ${timeout}ms`));
-      }, timeout);
-
-      await this.send(targetAgent, MessageTypes.QUERY, {
-        id: queryId,
-        query,
-        timeout
-      }, Priority.HIGH);
+  // Send a QUERY and resolve with the matching RESPONSE data.
+  // Replies are correlated by the query message id (echoed back as inReplyTo).
+  // Pass { signal } to cancel a query that is no longer needed.
+  async query(targetAgent, query, timeout = 30000, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      throw createAbortError(targetAgent);
+    }
+
+    const message = new Message({
+      sender: this.id,
+      recipients: [targetAgent],
+      type: MessageTypes.QUERY,
+      payload: { query, timeout },
+      priority: Priority.HIGH,
+      signingKey: this.signingKey
     });
+
+    return new Promise((resolve, reject) => {
+      const pending = {
+        target: targetAgent,
+        resolve,
+        reject,
+        signal,
+        onAbort: () => this.settleQuery(message.id, createAbortError(targetAgent)),
+        timeoutId: setTimeout(() => {
+          this.settleQuery(message.id, new Error(`Query to ${targetAgent} timed out after ${timeout}ms`));
+        }, timeout)
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', pending.onAbort, { once: true });
+      }
+      this.pendingQueries.set(message.id, pending);
+
+      this.metrics.messagesSent++;
+      this.messageBus.send(message)
+        .then(deliveries => {
+          const undelivered = deliveries.find(d => d.status === 'failed' && d.reason === 'agent_not_found');
+          if (undelivered) {
+            this.settleQuery(message.id, new Error(`Query to ${targetAgent} could not be delivered: ${undelivered.reason}`));
+          }
+        })
+        .catch(error => this.settleQuery(message.id, error));
+    });
+  }
+
+  // Settle a pending query exactly once and release its timer and listeners
+  settleQuery(queryId, error, data) {
+    const pending = this.pendingQueries.get(queryId);
+    if (!pending) return false;
+
+    this.pendingQueries.delete(queryId);
+    clearTimeout(pending.timeoutId);
+    if (pending.signal) {
+      pending.signal.removeEventListener('abort', pending.onAbort);
+    }
+
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(data);
+    }
+    return true;
+  }
+
+  isAwaitingReply(message) {
+    if (message.type === MessageTypes.VOTE) {
+      return this.ballots.has(message.payload?.proposalId);
+    }
+    if (message.type !== MessageTypes.RESPONSE && message.type !== MessageTypes.ERROR) {
+      return false;
+    }
+    const pending = this.pendingQueries.get(message.payload?.inReplyTo);
+    return !!pending && pending.target === message.sender;
+  }
+
+  handleReply(message) {
+    if (!this.isAwaitingReply(message)) return false;
+    if (message.type === MessageTypes.VOTE) {
+      return this.recordVote(message);
+    }
+
+    const { inReplyTo } = message.payload;
+    if (message.type === MessageTypes.ERROR) {
+      const error = new Error(message.payload.error);
+      error.agent = message.sender;
+      return this.settleQuery(inReplyTo, error);
+    }
+    return this.settleQuery(inReplyTo, null, message.payload.data);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // COUNCIL VOTING
+  // PROPOSAL (broadcast with a voting window) -> signed VOTEs back to the
+  // proposer -> CONSENSUS (broadcast with the tally)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Broadcast a PROPOSAL and collect VOTEs from `voters` until all of them
+  // have voted or the window closes. Resolves with the accepted votes (Map
+  // keyed by agent id) and the rejected ones.
+  async callVote(proposal, voters, options = {}) {
+    const { channel = 'council', window = 10000 } = options;
+    const proposalId = proposal.id;
+    if (this.ballots.has(proposalId)) {
+      throw new Error(`A vote on proposal ${proposalId} is already open`);
+    }
+
+    const deadline = Date.now() + window;
+    const result = new Promise(resolve => {
+      const ballot = {
+        proposalId,
+        voters: new Set(voters),
+        deadline,
+        votes: new Map(),
+        rejected: [],
+        close: () => {
+          clearTimeout(ballot.timeoutId);
+          this.ballots.delete(proposalId);
+          resolve({ proposalId, deadline, votes: ballot.votes, rejected: ballot.rejected });
+        },
+        timeoutId: setTimeout(() => ballot.close(), window)
+      };
+      this.ballots.set(proposalId, ballot);
+    });
+
+    try {
+      const sent = await this.broadcast(channel, MessageTypes.PROPOSAL, {
+        proposal,
+        voting: { proposalId, voters, deadline }
+      });
+      if (sent.status === 'no_subscribers' || voters.length === 0) {
+        this.ballots.get(proposalId)?.close();
+      }
+    } catch (error) {
+      this.ballots.get(proposalId)?.close();
+      throw error;
+    }
+
+    return result;
+  }
+
+  recordVote(message) {
+    const { proposalId, vote, reasoning, codename } = message.payload;
+    const ballot = this.ballots.get(proposalId);
+
+    const reject = (reason) => {
+      ballot.rejected.push({ agent: message.sender, vote, reason, messageId: message.id });
+      console.log(`[Agent:${this.id}] Rejected ${reason} vote from ${message.sender} on ${proposalId}`);
+      return true;
+    };
+
+    if (!ballot.voters.has(message.sender)) return reject('ineligible');
+    if (Date.now() > ballot.deadline) return reject('late');
+    if (ballot.votes.has(message.sender)) return reject('duplicate');
+    if (!VOTE_CHOICES.includes(vote)) return reject('invalid');
+
+    ballot.votes.set(message.sender, {
+      agent: message.sender,
+      codename,
+      vote,
+      reasoning: reasoning || '',
+      messageId: message.id,
+      castAt: message.timestamp
+    });
+
+    if (ballot.votes.size === ballot.voters.size) {
+      ballot.close();
+    }
+    return true;
+  }
+
+  isCouncilMessage(message) {
+    return (message.type === MessageTypes.PROPOSAL && !!message.payload?.voting) ||
+      message.type === MessageTypes.VOTE ||
+      message.type === MessageTypes.CONSENSUS;
+  }
+
+  async handleCouncilMessage(message) {
+    const { payload } = message;
+
+    switch (message.type) {
+      case MessageTypes.PROPOSAL:
+        return this.castVote(message);
+      case MessageTypes.VOTE:
+        // Open ballots are settled in handleReply; anything left is too late
+        console.log(`[Agent:${this.id}] Rejected late vote from ${message.sender} on ${payload?.proposalId}: voting closed`);
+        return { status: 'rejected', reason: 'voting_closed' };
+      case MessageTypes.CONSENSUS:
+        await this.remember(`consensus:${payload.proposalId}`, payload, { longTerm: true });
+        return { status: 'noted', proposalId: payload.proposalId };
+    }
+  }
+
+  // Deliberate through processMessage as a 'vote_request' and answer the
+  // proposer with a signed VOTE
+  async castVote(message) {
+    const { proposal, voting } = message.payload;
+    if (!voting.voters.includes(this.id)) {
+      return { status: 'not_a_voter', proposalId: voting.proposalId };
+    }
+    if (Date.now() > voting.deadline) {
+      return { status: 'voting_closed', proposalId: voting.proposalId };
+    }
+
+    let decision;
+    try {
+      decision = this.provider
+        ? await this.deliberate(proposal)
+        : await this.processMessage({
+          ...message,
+          payload: { type: 'vote_request', proposal, amount: proposal.amount }
+        });
+    } catch (error) {
+      decision = { vote: 'abstain', reasoning: `Could not deliberate: ${error.message}` };
+    }
+
+    const vote = VOTE_CHOICES.includes(decision?.vote) ? decision.vote : 'abstain';
+    await this.send(message.sender, MessageTypes.VOTE, {
+      proposalId: voting.proposalId,
+      inReplyTo: message.id,
+      vote,
+      reasoning: decision?.reasoning || '',
+      codename: this.codename
+    }, Priority.HIGH);
+
+    return { status: 'voted', proposalId: voting.proposalId, vote };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // REASONING
+  // With a model provider, votes, customer inquiries and pipeline steps are
+  // answered by the model in the agent's own voice. Everything else - and
+  // every agent without a provider - goes through processMessage.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  async answer(message) {
+    // A QUERY carries the request as { query, timeout }; handlers see the request
+    if (message.type === MessageTypes.QUERY && message.payload?.query) {
+      message = { ...message, payload: message.payload.query };
+    }
+
+    const payload = message.payload || {};
+    const task = payload.type === 'concurrent_task' ? payload.task : payload;
+
+    let reason = null;
+    if (this.provider && task?.type === 'customer_inquiry') {
+      reason = () => this.answerInquiry(task);
+    } else if (this.provider && payload.type === 'pipeline_step') {
+      reason = () => this.runPipelineStep(payload);
+    }
+    if (!reason) {
+      return this.processMessage(message);
+    }
+
+    try {
+      return await reason();
+    } catch (error) {
+      console.error(`[Agent:${this.id}] Model unavailable, answering without it:`, error.message);
+      return this.processMessage(message);
+    }
+  }
+
+  // One model call with the agent's persona as the system prompt
+  async ask({ message, system }) {
+    if (!this.provider) {
+      throw new Error(`${this.id} has no model provider`);
+    }
+    system = system || await this.buildSystemPrompt(message);
+
+    const { model, temperature, maxTokens } = this.llmConfig;
+    const complete = () => this.provider.complete({
+      model,
+      temperature,
+      maxTokens,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: message }
+      ]
+    });
+
+    const result = this.messageBus
+      ? await this.trace(`model:${model || this.provider.name}`, complete, { provider: this.provider.name })
+      : await complete();
+    return result.text;
+  }
+
+  async buildSystemPrompt(message = '') {
+    const lines = [this.llmConfig.systemPrompt || `You are ${this.name}, ${this.role} of KenyaClaw.`];
+    if (this.description) lines.push(this.description);
+    if (this.traits.length > 0) lines.push(`Traits: ${this.traits.join(', ')}.`);
+    if (this.communicationStyle) lines.push(`Style: ${this.communicationStyle}`);
+    if (this.quotes.length > 0) lines.push(`Lines you are known for: ${this.quotes.map(q => `"${q}"`).join(' ')}`);
+
+    const recalled = await this.recallContext(message);
+    if (recalled) lines.push(`What you remember:\n${recalled}`);
+    return lines.join('\n');
+  }
+
+  // Recent short-term entries, then long-term ones closest to the message
+  async recallContext(message = '', limit = 5) {
+    const entries = this.memory.recentEntries(limit);
+    if (message) {
+      const related = await this.memory.search(truncate(message, 2000), { limit, minScore: 0.3 });
+      entries.push(...related.filter(entry => !entries.some(e => e.key === entry.key)));
+    }
+    return entries
+      .map(({ key, value }) => `- ${key}: ${truncate(JSON.stringify(value), 200)}`)
+      .join('\n');
+  }
+
+  // Structured JSON verdict (see council/vote-parser); abstains when the
+  // model cannot produce a valid one
+  async deliberate(proposal) {
+    return this.voteParser.ask(this, {
+      message: `COUNCIL VOTE REQUIRED\n\nProposal: ${proposal.description || proposal.type}\n` +
+        `Type: ${proposal.type}\nAmount: $${proposal.amount || 0}\nProposed by: ${proposal.proposedBy}\n\n` +
+        `Vote as the ${this.role}.`
+    });
+  }
+
+  async answerInquiry(inquiry) {
+    const response = await this.ask({
+      message: `A customer needs help.\n\nCustomer: ${inquiry.customerId || 'unknown'}\n` +
+        `Topic: ${inquiry.topic || inquiry.description || 'general'}\n\nReply to the customer directly.`
+    });
+    await this.noteInquiry(inquiry, response);
+    return { response, status: 'answered', agent: this.id };
+  }
+
+  // Customer notes go to long-term memory, in this agent's namespace only.
+  // Losing a note must not lose the answer.
+  async noteInquiry(inquiry, response) {
+    const customerId = inquiry.customerId || 'unknown';
+    const topic = inquiry.topic || inquiry.description || 'general';
+    try {
+      await this.remember(`customer:${customerId}:${Date.now()}`, { customerId, topic, response }, {
+        longTerm: true,
+        text: `Customer ${customerId}: ${topic}`
+      });
+    } catch (error) {
+      console.error(`[Agent:${this.id}] Could not note inquiry from ${customerId}:`, error.message);
+    }
+  }
+
+  async runPipelineStep(step) {
+    const response = await this.ask({
+      message: `You are step ${step.step} of a pipeline working on this input:\n\n` +
+        `${truncate(JSON.stringify(step.input, null, 2), 4000)}\n\nAdd your analysis as the ${this.role}. Be concise.`
+    });
+    return { response, step: step.step, status: 'completed', agent: this.id };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // TOOLS
+  // Workspace skill tools ("mpesa.stk_push"), granted by the skills list
+  // ═══════════════════════════════════════════════════════════════════════
+
+  setTools(registry) {
+    this.tools = registry;
+  }
+
+  listTools() {
+    return this.tools ? this.tools.toolsFor(this) : [];
+  }
+
+  async callTool(name, params = {}) {
+    if (!this.tools) {
+      throw new Error(`${this.id} has no skill registry`);
+    }
+    return this.tools.call(this, name, params);
+  }
+
+  // Periodic HEARTBEAT so the bus can tell a quiet agent from a dead one
+  startHeartbeat(interval = 10000) {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.sendHeartbeat().catch(error => {
+        console.error(`[Agent:${this.id}] Heartbeat failed:`, error.message);
+      });
+    }, interval);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  async sendHeartbeat() {
+    return this.send([], MessageTypes.HEARTBEAT, {
+      status: this.status,
+      pendingQueries: this.pendingQueries.size
+    }, Priority.BACKGROUND);
   }
 
   getQuote() {
@@ -195,16 +616,29 @@ class BaseAgent {
       this.metrics.tasksCompleted / (this.metrics.tasksCompleted + this.metrics.tasksFailed);
   }
 
-  remember(key, value) {
-    this.context.set(key, {
-      value,
-      timestamp: Date.now()
-    });
+  // ═══════════════════════════════════════════════════════════════════════
+  // MEMORY (see agent-memory.js)
+  // ═══════════════════════════════════════════════════════════════════════
+
+  setMemory(memory) {
+    this.memory = memory;
+  }
+
+  // { longTerm: true, text, ttl } keeps it beyond this process
+  async remember(key, value, options = {}) {
+    return this.memory.remember(key, value, options);
+  }
+
+  async recall(key) {
+    return this.memory.recall(key);
+  }
+
+  async recallSimilar(query, options = {}) {
+    return this.memory.search(query, options);
   }
 
-  recall(key) {
-    const data = this.context.get(key);
-    return data ? data.value : null;
+  async forget(key) {
+    return this.memory.forget(key);
   }
 
   hasSkill(skill) {
@@ -229,6 +663,7 @@ class BaseAgent {
       role: this.role,
       status: this.status,
       skills: this.skills,
+      tools: this.listTools().map(tool => tool.name),
       metrics: this.metrics,
       currentTask: this.currentTask ? {
         id: this.currentTask.id,
@@ -240,6 +675,13 @@ class BaseAgent {
 
   async shutdown() {
     this.status = 'offline';
+    this.stopHeartbeat();
+    for (const queryId of Array.from(this.pendingQueries.keys())) {
+      this.settleQuery(queryId, new Error(`${this.codename} shut down before a reply arrived`));
+    }
+    for (const ballot of Array.from(this.ballots.values())) {
+      ballot.close();
+    }
     if (this.messageBus) {
       this.messageBus.unregisterAgent(this.id);
     }
@@ -251,4 +693,14 @@ class BaseAgent {
   }
 }
 
-module.exports = { BaseAgent };
+function createAbortError(targetAgent) {
+  const error = new Error(`Query to ${targetAgent} was cancelled`);
+  error.name = 'AbortError';
+  return error;
+}
+
+function truncate(text, length) {
+  return text && text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+module.exports = { BaseAgent, VOTE_CHOICES };
@@ -5,6 +5,8 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+const os = require('os');
+const path = require('path');
 const { createSwarm } = require('./index');
 
 async function runDemo() {
@@ -13,8 +15,14 @@ async function runDemo() {
   console.log('  The High Table Collective');
   console.log('='.repeat(70) + '\n');
 
-  // Initialize the swarm
-  const swarm = await createSwarm();
+  // Initialize the swarm: agents keep their scripted answers and remember in
+  // process, so the demo runs without a model endpoint or Redis; council
+  // decisions go to a ledger in the temp directory
+  const swarm = await createSwarm({
+    modelProvider: null,
+    memory: {},
+    council: { ledgerOptions: { path: path.join(os.tmpdir(), 'kenyaclaw-demo', 'council-ledger.jsonl') } }
+  });
   
   console.log('\n' + '-'.repeat(70));
   console.log('SCENARIO 1: Emergency Incident (Emergency Architecture)');
@@ -0,0 +1,371 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MESSAGE HISTORY STORES
+ * Queryable audit trail of every message on the bus
+ *
+ * Stores are synchronous and interchangeable:
+ *   append(message)         record a message (its toJSON() form)
+ *   query(filters)          sender, recipient, type, correlationId, traceId,
+ *                           after, before, plus limit / offset / order
+ *   count(filters)          total matches, ignoring limit / offset
+ *   prune(now)              drop records past their retention; returns count
+ *   size()
+ *
+ * Retention is decided per message type when a record is written, e.g. VOTE
+ * and CONSENSUS records are kept for 7 years, HEARTBEATs for a day.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_RETENTION = {
+  proposal: '7y',
+  vote: '7y',
+  consensus: '7y',
+  heartbeat: '1d',
+  default: '30d'
+};
+
+// '7y', '1d', '12h' or a number of milliseconds
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w|y)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+class RetentionPolicy {
+  constructor(rules = {}) {
+    const merged = { ...DEFAULT_RETENTION, ...rules };
+    this.rules = new Map(Object.entries(merged).map(([type, duration]) => [type, parseDuration(duration)]));
+  }
+
+  retainUntil(message) {
+    const duration = this.rules.has(message.type) ? this.rules.get(message.type) : this.rules.get('default');
+    return toTime(message.timestamp) + duration;
+  }
+}
+
+// Requests and their replies share a correlation id: the request's message id
+function correlationIdOf(message) {
+  return message.payload?.inReplyTo || message.id;
+}
+
+function recipientsOf(message) {
+  return Array.isArray(message.recipients) ? message.recipients : [message.recipients];
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IN-MEMORY STORE
+// Bounded; the oldest records are evicted once maxSize is reached
+// ═══════════════════════════════════════════════════════════════════════════
+
+class InMemoryHistoryStore {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 10000;
+    this.retention = new RetentionPolicy(options.retention);
+    this.records = new Map(); // id -> record, in insertion order
+    this.indexes = {
+      sender: new Map(),
+      recipient: new Map(),
+      type: new Map(),
+      correlationId: new Map(),
+      traceId: new Map()
+    };
+  }
+
+  append(message) {
+    if (this.records.has(message.id)) return;
+
+    const record = {
+      message,
+      time: toTime(message.timestamp),
+      retainUntil: this.retention.retainUntil(message),
+      keys: {
+        sender: [message.sender],
+        recipient: recipientsOf(message),
+        type: [message.type],
+        correlationId: [correlationIdOf(message)],
+        traceId: message.traceId ? [message.traceId] : []
+      }
+    };
+
+    this.records.set(message.id, record);
+    for (const [index, keys] of Object.entries(record.keys)) {
+      keys.forEach(key => addToIndex(this.indexes[index], key, message.id));
+    }
+
+    while (this.records.size > this.maxSize) {
+      this.remove(this.records.keys().next().value);
+    }
+  }
+
+  remove(id) {
+    const record = this.records.get(id);
+    if (!record) return;
+
+    this.records.delete(id);
+    for (const [index, keys] of Object.entries(record.keys)) {
+      keys.forEach(key => removeFromIndex(this.indexes[index], key, id));
+    }
+  }
+
+  query(filters = {}) {
+    let matches = this.match(filters);
+    if (filters.order === 'desc') matches = matches.reverse();
+
+    const offset = filters.offset || 0;
+    const end = filters.limit ? offset + filters.limit : undefined;
+    return matches.slice(offset, end).map(record => record.message);
+  }
+
+  count(filters = {}) {
+    return this.match(filters).length;
+  }
+
+  match(filters) {
+    const after = filters.after ? toTime(filters.after) : null;
+    const before = filters.before ? toTime(filters.before) : null;
+    const types = filters.type ? [].concat(filters.type) : null;
+
+    // Start from the narrowest index that applies
+    const indexed = [
+      ['sender', filters.sender],
+      ['recipient', filters.recipient],
+      ['correlationId', filters.correlationId],
+      ['traceId', filters.traceId],
+      ['type', types && types.length === 1 ? types[0] : null]
+    ].filter(([, key]) => key);
+
+    let ids = this.records.keys();
+    if (indexed.length > 0) {
+      const sets = indexed.map(([index, key]) => this.indexes[index].get(key));
+      if (sets.some(set => !set)) return [];
+      ids = sets.reduce((smallest, set) => (set.size < smallest.size ? set : smallest));
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const record = this.records.get(id);
+      const { message } = record;
+      if (filters.sender && message.sender !== filters.sender) continue;
+      if (filters.recipient && !record.keys.recipient.includes(filters.recipient)) continue;
+      if (types && !types.includes(message.type)) continue;
+      if (filters.correlationId && record.keys.correlationId[0] !== filters.correlationId) continue;
+      if (filters.traceId && message.traceId !== filters.traceId) continue;
+      if (after !== null && record.time < after) continue;
+      if (before !== null && record.time > before) continue;
+      results.push(record);
+    }
+
+    return results.sort((a, b) => a.time - b.time);
+  }
+
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const [id, record] of this.records) {
+      if (record.retainUntil < now) {
+        this.remove(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  size() {
+    return this.records.size;
+  }
+}
+
+function addToIndex(index, key, id) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+function removeFromIndex(index, key, id) {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(id);
+  if (ids.size === 0) index.delete(key);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SQLITE STORE
+// Durable local history (better-sqlite3)
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SqliteHistoryStore {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+
+    this.path = options.path || ':memory:';
+    this.retention = new RetentionPolicy(options.retention);
+    this.db = options.database || new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+
+    this.statements = {
+      insert: this.db.prepare(`
+        INSERT OR IGNORE INTO messages (id, timestamp, sender, type, priority, correlation_id, trace_id, retain_until, data)
+        VALUES (@id, @timestamp, @sender, @type, @priority, @correlationId, @traceId, @retainUntil, @data)
+      `),
+      insertRecipient: this.db.prepare(
+        'INSERT OR IGNORE INTO message_recipients (message_id, recipient) VALUES (?, ?)'
+      ),
+      prune: this.db.prepare('DELETE FROM messages WHERE retain_until < ?'),
+      size: this.db.prepare('SELECT COUNT(*) AS count FROM messages')
+    };
+
+    this.appendTransaction = this.db.transaction((message) => {
+      const result = this.statements.insert.run({
+        id: message.id,
+        timestamp: toTime(message.timestamp),
+        sender: message.sender,
+        type: message.type,
+        priority: message.priority,
+        correlationId: correlationIdOf(message),
+        traceId: message.traceId || null,
+        retainUntil: this.retention.retainUntil(message),
+        data: JSON.stringify(message)
+      });
+      if (result.changes === 0) return;
+
+      recipientsOf(message).forEach(recipient => {
+        this.statements.insertRecipient.run(message.id, recipient);
+      });
+    });
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        sender TEXT NOT NULL,
+        type TEXT NOT NULL,
+        priority INTEGER,
+        correlation_id TEXT,
+        trace_id TEXT,
+        retain_until INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages (sender, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_type ON messages (type, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_messages_correlation ON messages (correlation_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_retention ON messages (retain_until);
+
+      CREATE TABLE IF NOT EXISTS message_recipients (
+        message_id TEXT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+        recipient TEXT NOT NULL,
+        PRIMARY KEY (recipient, message_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_recipients_message ON message_recipients (message_id);
+    `);
+
+    // Databases created before messages carried trace ids
+    const columns = this.db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+    if (!columns.includes('trace_id')) {
+      this.db.exec('ALTER TABLE messages ADD COLUMN trace_id TEXT');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_messages_trace ON messages (trace_id, timestamp)');
+  }
+
+  append(message) {
+    this.appendTransaction(message);
+  }
+
+  query(filters = {}) {
+    const { where, params } = this.buildWhere(filters);
+    const order = filters.order === 'desc' ? 'DESC' : 'ASC';
+    let sql = `SELECT data FROM messages ${where} ORDER BY timestamp ${order}, rowid ${order}`;
+
+    if (filters.limit || filters.offset) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(filters.limit || -1, filters.offset || 0);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  count(filters = {}) {
+    const { where, params } = this.buildWhere(filters);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM messages ${where}`).get(...params).count;
+  }
+
+  buildWhere(filters) {
+    const clauses = [];
+    const params = [];
+
+    if (filters.sender) {
+      clauses.push('sender = ?');
+      params.push(filters.sender);
+    }
+    if (filters.recipient) {
+      clauses.push('id IN (SELECT message_id FROM message_recipients WHERE recipient = ?)');
+      params.push(filters.recipient);
+    }
+    if (filters.type) {
+      const types = [].concat(filters.type);
+      clauses.push(`type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (filters.correlationId) {
+      clauses.push('correlation_id = ?');
+      params.push(filters.correlationId);
+    }
+    if (filters.traceId) {
+      clauses.push('trace_id = ?');
+      params.push(filters.traceId);
+    }
+    if (filters.after) {
+      clauses.push('timestamp >= ?');
+      params.push(toTime(filters.after));
+    }
+    if (filters.before) {
+      clauses.push('timestamp <= ?');
+      params.push(toTime(filters.before));
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  prune(now = Date.now()) {
+    return this.statements.prune.run(now).changes;
+  }
+
+  size() {
+    return this.statements.size.get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  InMemoryHistoryStore,
+  SqliteHistoryStore,
+  RetentionPolicy,
+  DEFAULT_RETENTION,
+  parseDuration
+};
@@ -6,19 +6,86 @@
  */
 
 const { MessageBus, Message, MessageTypes, Priority } = require('./message-bus');
+const { InMemoryTransport } = require('./transports/in-memory');
+const { RedisStreamsTransport } = require('./transports/redis-streams');
+const { InMemoryHistoryStore, SqliteHistoryStore } = require('./history-store');
+const { Tracer } = require('./tracing');
+const { VotingPolicy } = require('./voting-policy');
 const { BaseAgent } = require('./base-agent');
 const { SwarmOrchestrator } = require('./orchestrator');
 const { JohnWickAgent, AdjudicatorAgent } = require('./agents/executive-agents');
 const { DoctorAgent, CharonAgent } = require('./agents/operations-agents');
+const { loadAgentDefinitions, createAgent, DeclarativeAgent } = require('./agent-loader');
+const { SkillRegistry } = require('./skill-registry');
+const { AgentMemory } = require('./agent-memory');
+const { InMemoryMemoryStore, SqliteMemoryStore, RedisMemoryStore, createMemoryStore } = require('./memory-store');
+const { OpenAICompatibleProvider, StubProvider, createProvider } = require('./model-provider');
+const { CouncilService } = require('../council/council-service');
+const { createAdapters } = require('../council/gateway-adapters');
+const { loadConfig } = require('../config');
 
 class KenyaClawSwarm {
   constructor(options = {}) {
+    // config.yml (or options.configPath) unless a parsed config is passed;
+    // votingPolicy overrides its `voting` section
+    this.config = options.config || loadConfig(options.configPath);
     this.messageBus = new MessageBus(options.messageBus);
-    this.orchestrator = new SwarmOrchestrator(options.orchestrator);
+
+    // Workspace skills; skillContext (db, config, budgets, ...) is handed to
+    // every tool handler
+    this.skills = options.skills || new SkillRegistry({
+      skillsDir: options.skillsDir,
+      context: options.skillContext
+    });
+
+    // The High Table from YAML (src/swarm/agents/definitions by default);
+    // the orchestrator's definition must have id 'winston'
+    this.definitions = loadAgentDefinitions(options.definitions, { skills: this.skills });
+    // From the `models` section unless a provider (or null, for the scripted
+    // answers) is passed in; see model-provider.js
+    this.modelProvider = options.modelProvider !== undefined
+      ? options.modelProvider
+      : this.config.models ? createProvider(this.config.models) : null;
+
+    // Agent memory: the `memory` section of config.yml (path, vectorStore,
+    // shortTerm, longTerm) unless options.memory is passed, which may also
+    // carry a ready `store` and `embedder`
+    this.memoryOptions = options.memory || this.config.memory || {};
+    this.memoryStore = this.memoryOptions.store || createMemoryStore(this.memoryOptions);
+    const manager = this.definitions.find(d => d.class === 'SwarmOrchestrator');
+    if (!manager || manager.id !== 'winston') {
+      throw new Error('Agent definitions must include the orchestrator (id: winston, class: SwarmOrchestrator)');
+    }
+
+    this.orchestrator = new SwarmOrchestrator({
+      ...manager.config,
+      votingPolicy: options.votingPolicy || VotingPolicy.fromConfig(this.config),
+      ...options.orchestrator
+    });
+    this.orchestrator.channels = manager.channels;
+    this.orchestrator.setTools(this.skills);
+    Object.assign(this.orchestrator.llmConfig, manager.llm);
+
+    // Every council ruling is settled by the CouncilService: escalation to a
+    // human, the decision ledger, execution and the gateways of the `channels`
+    // section. options.council: CouncilService options (ledgerOptions,
+    // escalation, execution, adapters); options.discordClient: a logged-in
+    // discord.js client for the Discord gateway
+    this.council = new CouncilService(this, {
+      adapters: createAdapters(this.config.channels, { discordClient: options.discordClient }),
+      ...options.council
+    });
     this.agents = new Map();
+    // Messages from outside the swarm are signed as 'user'
+    this.messageBus.issueKey('user');
     this.initialized = false;
   }
 
+  // Current rather than issued: joining other nodes may move it to a newer version
+  get userKey() {
+    return this.messageBus.keyRing.currentKey('user');
+  }
+
   // Initialize the swarm with all agents
   async initialize() {
     if (this.initialized) {
@@ -32,22 +99,35 @@ class KenyaClawSwarm {
     this.orchestrator.initialize(this.messageBus);
     this.agents.set('winston', this.orchestrator);
 
-    // Create and initialize all agents
-    const agentConfigs = [
-      { Class: JohnWickAgent, id: 'john-wick' },
-      { Class: AdjudicatorAgent, id: 'adjudicator' },
-      { Class: DoctorAgent, id: 'doctor' },
-      { Class: CharonAgent, id: 'charon' }
-    ];
+    // Create and initialize every other defined agent
+    for (const definition of this.definitions) {
+      if (definition.id === this.orchestrator.id) continue;
 
-    for (const config of agentConfigs) {
-      const agent = new config.Class();
+      const agent = createAgent(definition, this.skills);
       agent.initialize(this.messageBus);
-      this.agents.set(config.id, agent);
+      this.agents.set(definition.id, agent);
+    }
+
+    // Without a provider agents keep their scripted answers
+    if (this.modelProvider) {
+      this.agents.forEach(agent => agent.setProvider(this.modelProvider));
     }
 
+    // Every agent remembers in its own namespace of the shared store
+    const embedder = this.memoryOptions.embedder || (this.modelProvider?.embed ? this.modelProvider : null);
+    this.agents.forEach(agent => agent.setMemory(new AgentMemory(agent.id, {
+      store: this.memoryStore,
+      embedder,
+      shortTerm: this.memoryOptions.shortTerm,
+      longTerm: this.memoryOptions.longTerm
+    })));
+
     // Subscribe agents to relevant channels
     this.setupChannels();
+    this.setupLivenessAlerts();
+
+    // Join the transport last so other nodes see a fully wired swarm
+    await this.messageBus.connect();
 
     this.initialized = true;
     console.log('[Swarm] The High Table Collective is operational');
@@ -56,18 +136,37 @@ class KenyaClawSwarm {
     return this.getStatus();
   }
 
+  // Channels come from each definition; the council channel has everyone
   setupChannels() {
-    // Executive channel
-    this.messageBus.channels.set('executive', new Set(['winston', 'john-wick', 'adjudicator']));
-    
-    // Operations channel
-    this.messageBus.channels.set('operations', new Set(['winston', 'doctor', 'charon']));
-    
-    // Council channel (all agents)
+    for (const [id, agent] of this.agents) {
+      for (const channel of agent.channels || []) {
+        if (!this.messageBus.channels.has(channel)) {
+          this.messageBus.channels.set(channel, new Set());
+        }
+        this.messageBus.channels.get(channel).add(id);
+      }
+    }
+
     this.messageBus.channels.set('council', new Set(this.agents.keys()));
-    
-    // Emergency channel
-    this.messageBus.channels.set('emergency', new Set(['winston', 'doctor', 'john-wick']));
+  }
+
+  // Tell the Doctor when an agent goes dark or comes back
+  setupLivenessAlerts() {
+    const notifyDoctor = (type) => ({ agentId, lastSeen, silentFor }) => {
+      if (agentId === 'doctor' || !this.agents.has('doctor')) return;
+
+      this.orchestrator.send('doctor', MessageTypes.REPORT, {
+        type,
+        agentId,
+        lastSeen: new Date(lastSeen || Date.now()).toISOString(),
+        silentFor
+      }, type === 'agent_offline' ? Priority.CRITICAL : Priority.NORMAL).catch(error => {
+        console.error(`[Swarm] Could not notify the Doctor about ${agentId}:`, error.message);
+      });
+    };
+
+    this.messageBus.on('agent:offline', notifyDoctor('agent_offline'));
+    this.messageBus.on('agent:recovered', notifyDoctor('agent_recovered'));
   }
 
   // Submit a task to the swarm
@@ -116,6 +215,21 @@ class KenyaClawSwarm {
     });
   }
 
+  // Call a workspace skill tool as one of the agents, e.g.
+  // callTool('charon', 'mpesa.stk_push', { phoneNumber, amount, accountReference })
+  async callTool(agentId, name, params = {}) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
+    return agent.callTool(name, params);
+  }
+
+  // Council escalation API and gateway webhooks (e.g. Telegram)
+  setupRoutes(app) {
+    this.council.setupRoutes(app);
+  }
+
   // Get full swarm status
   getStatus() {
     return {
@@ -143,7 +257,8 @@ class KenyaClawSwarm {
       recipients: [agentId],
       type: MessageTypes.COMMAND,
       payload: message,
-      priority: Priority.NORMAL
+      priority: Priority.NORMAL,
+      signingKey: this.userKey
     });
 
     return this.messageBus.send(msg);
@@ -154,7 +269,8 @@ class KenyaClawSwarm {
     return this.messageBus.broadcast('council', {
       sender: 'user',
       type: MessageTypes.BROADCAST,
-      payload: message
+      payload: message,
+      signingKey: this.userKey
     });
   }
 
@@ -167,6 +283,12 @@ class KenyaClawSwarm {
       await agent.shutdown();
     }
 
+    await this.messageBus.close();
+    this.council.close();
+    if (!this.memoryOptions.store) {
+      await this.memoryStore.close();
+    }
+
     this.initialized = false;
     console.log('[Swarm] All agents offline');
   }
@@ -175,6 +297,16 @@ class KenyaClawSwarm {
   queryHistory(filters = {}) {
     return this.messageBus.queryHistory(filters);
   }
+
+  // Full span tree of a submitted task: which agent asked whom, and how long
+  // each hop waited and took to process
+  getTaskTrace(taskId) {
+    return this.orchestrator.getTaskTrace(taskId);
+  }
+
+  getTrace(traceId) {
+    return this.messageBus.getTrace(traceId);
+  }
 }
 
 // Factory function for easy instantiation
@@ -191,10 +323,28 @@ module.exports = {
   Message,
   MessageTypes,
   Priority,
+  InMemoryTransport,
+  RedisStreamsTransport,
+  InMemoryHistoryStore,
+  SqliteHistoryStore,
+  Tracer,
+  VotingPolicy,
   BaseAgent,
   SwarmOrchestrator,
   JohnWickAgent,
   AdjudicatorAgent,
   DoctorAgent,
-  CharonAgent
+  CharonAgent,
+  DeclarativeAgent,
+  loadAgentDefinitions,
+  createAgent,
+  SkillRegistry,
+  AgentMemory,
+  InMemoryMemoryStore,
+  SqliteMemoryStore,
+  RedisMemoryStore,
+  createMemoryStore,
+  OpenAICompatibleProvider,
+  StubProvider,
+  createProvider
 };
@@ -0,0 +1,235 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SWARM KEY RING
+ * Per-agent message signing keys with rotation and revocation
+ *
+ * Keys are derived from the swarm master secret (MESSAGE_SECRET) as
+ * HMAC(master, "{principal}:{version}"), so every node sharing the secret can
+ * verify any agent's messages while an agent holding its own key cannot
+ * compute anyone else's. Explicit key material can be supplied instead; such
+ * keys are only known to the node they were registered on.
+ *
+ * Only keys the ring holds verify: a principal's current key, and retired
+ * ones until their grace period ends. Which version is current, which are
+ * retired and which principals are revoked is kept in a directory all nodes
+ * share (the bus transport's), so a key rotated or revoked on one node stops
+ * verifying everywhere within refreshInterval.
+ *   directory.getKeyState(principal)        -> state | null
+ *   directory.setKeyState(principal, state)    keeps the higher version
+ *   state: { version, revoked, retired: [{ version, expiresAt }] }
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SECRET = 'default-secret';
+
+class KeyRing {
+  constructor(options = {}) {
+    this.masterSecret = options.secret || process.env.MESSAGE_SECRET || DEFAULT_SECRET;
+    this.rotationGracePeriod = options.rotationGracePeriod || 5 * 60 * 1000;
+    this.refreshInterval = options.refreshInterval || 5000;
+    this.principals = new Map(); // principal -> { current, retired: [], revokedVersion, checkedAt }
+    this.directory = options.directory || null;
+  }
+
+  usesDefaultSecret() {
+    return this.masterSecret === DEFAULT_SECRET;
+  }
+
+  // Refuse to start a production swarm whose keys anyone can derive
+  assertProductionReady(environment = process.env.NODE_ENV) {
+    if (!this.usesDefaultSecret()) return;
+
+    if (environment === 'production') {
+      throw new Error('MESSAGE_SECRET is not set. Refusing to start the swarm in production with the default signing secret.');
+    }
+    console.warn('[KeyRing] MESSAGE_SECRET is not set - using the default secret (development only)');
+  }
+
+  // Share key state with other nodes from now on, starting with ours
+  async attach(directory) {
+    this.directory = directory;
+    for (const principal of Array.from(this.principals.keys())) {
+      await this.sync(principal);
+    }
+  }
+
+  detach() {
+    this.directory = null;
+  }
+
+  // Return the principal's current key, creating the next version if it has
+  // none (new, or revoked). Passing a secret registers explicit key material
+  // instead of a derived key.
+  issue(principal, secret = null) {
+    const entry = this.principals.get(principal);
+    if (entry?.current && !secret) return entry.current;
+
+    return this.install(principal, latestVersion(entry) + 1, secret);
+  }
+
+  // Replace the principal's key. The previous key keeps verifying for the
+  // grace period so messages already in flight are not rejected.
+  rotate(principal, secret = null) {
+    const entry = this.principals.get(principal);
+    if (!entry?.current) {
+      throw new Error(`No signing key registered for ${principal}`);
+    }
+
+    return this.install(principal, entry.current.version + 1, secret);
+  }
+
+  // Stop verifying every key the principal has had. Issuing it a key again
+  // starts a new version.
+  revoke(principal) {
+    const entry = this.principals.get(principal);
+    if (!entry?.current) return false;
+
+    entry.revokedVersion = entry.current.version;
+    entry.current = null;
+    entry.retired = [];
+    this.share(principal);
+    return true;
+  }
+
+  currentKey(principal) {
+    return this.principals.get(principal)?.current || null;
+  }
+
+  // Find the key a message was signed with. Resolves to null for unknown,
+  // revoked, expired or malformed key ids.
+  async resolve(keyId) {
+    const parsed = parseKeyId(keyId);
+    if (!parsed) return null;
+
+    let entry = this.principals.get(parsed.principal);
+    if (this.directory && (!entry || Date.now() - entry.checkedAt > this.refreshInterval)) {
+      await this.sync(parsed.principal);
+      entry = this.principals.get(parsed.principal);
+    }
+    if (!entry) return null;
+
+    if (entry.current?.keyId === keyId) return entry.current;
+
+    this.pruneRetired(entry);
+    return entry.retired.find(key => key.keyId === keyId) || null;
+  }
+
+  // Reconcile the principal's key with the shared directory: a newer version
+  // (or revocation) there replaces ours, otherwise ours is published.
+  // Returns the current key.
+  async sync(principal) {
+    if (!this.directory) return this.currentKey(principal);
+
+    const state = await this.directory.getKeyState(principal);
+    const entry = this.principals.get(principal);
+    const local = latestVersion(entry);
+
+    if (state && (state.version > local || (state.version === local && state.revoked && entry?.current))) {
+      this.principals.set(principal, {
+        current: state.revoked ? null : this.derive(principal, state.version),
+        retired: (state.retired || []).map(key => ({ ...this.derive(principal, key.version), expiresAt: key.expiresAt })),
+        revokedVersion: state.revoked ? state.version : 0,
+        checkedAt: Date.now()
+      });
+    } else if (entry) {
+      entry.checkedAt = Date.now();
+      if (!state || state.version < local || (!state.revoked && !entry.current)) {
+        await this.directory.setKeyState(principal, this.state(entry));
+      }
+    }
+    return this.currentKey(principal);
+  }
+
+  state(entry) {
+    this.pruneRetired(entry);
+    return {
+      version: latestVersion(entry),
+      revoked: !entry.current,
+      retired: entry.retired.filter(key => key.derived).map(key => ({ version: key.version, expiresAt: key.expiresAt }))
+    };
+  }
+
+  share(principal) {
+    if (!this.directory) return;
+
+    const entry = this.principals.get(principal);
+    this.directory.setKeyState(principal, this.state(entry)).catch(error => {
+      console.error(`[KeyRing] Could not share key state for ${principal}:`, error.message);
+    });
+  }
+
+  install(principal, version, secret) {
+    const entry = this.principals.get(principal) || { current: null, retired: [], revokedVersion: 0, checkedAt: 0 };
+    const key = secret
+      ? createKey(principal, version, secret, false)
+      : this.derive(principal, version);
+
+    if (entry.current) {
+      entry.retired.push({ ...entry.current, expiresAt: Date.now() + this.rotationGracePeriod });
+      this.pruneRetired(entry);
+    }
+
+    entry.current = key;
+    this.principals.set(principal, entry);
+    this.share(principal);
+    return key;
+  }
+
+  derive(principal, version) {
+    const secret = crypto.createHmac('sha256', this.masterSecret)
+      .update(`${principal}:${version}`)
+      .digest('hex');
+    return createKey(principal, version, secret, true);
+  }
+
+  pruneRetired(entry) {
+    const now = Date.now();
+    entry.retired = entry.retired.filter(key => key.expiresAt > now);
+  }
+}
+
+function latestVersion(entry) {
+  if (!entry) return 0;
+  return entry.current ? entry.current.version : entry.revokedVersion;
+}
+
+// Shared key state for buses in one process (see InMemoryTransport's hub)
+function createKeyDirectory(states = new Map()) {
+  return {
+    async getKeyState(principal) {
+      return states.get(principal) || null;
+    },
+    async setKeyState(principal, state) {
+      const existing = states.get(principal);
+      if (!existing || state.version > existing.version || (state.version === existing.version && !existing.revoked)) {
+        states.set(principal, state);
+      }
+    }
+  };
+}
+
+function createKey(principal, version, secret, derived) {
+  return {
+    keyId: `${principal}:${version}`,
+    principal,
+    version,
+    secret,
+    derived,
+    createdAt: new Date().toISOString(),
+    expiresAt: null
+  };
+}
+
+function parseKeyId(keyId) {
+  if (typeof keyId !== 'string') return null;
+
+  const separator = keyId.lastIndexOf(':');
+  const version = Number(keyId.slice(separator + 1));
+  if (separator <= 0 || !Number.isInteger(version) || version < 1) return null;
+
+  return { principal: keyId.slice(0, separator), version };
+}
+
+module.exports = { KeyRing, DEFAULT_SECRET, createKeyDirectory };
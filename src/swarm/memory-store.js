@@ -0,0 +1,458 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MEMORY STORES
+ * Where agents keep their long-term memory
+ *
+ * Stores are asynchronous and interchangeable. Every entry lives in a
+ * namespace (the agent's id), and no method reads across namespaces:
+ *   put(namespace, entry)             entry: { key, value, text, embedding,
+ *                                       createdAt, accessedAt, expiresAt }
+ *   get(namespace, key)               the live entry, or null; marks it used
+ *   delete(namespace, key)
+ *   search(namespace, embedding, { limit })
+ *                                     entries by cosine similarity, with `score`
+ *   evict(namespace, maxEntries)      drop expired, then least recently used
+ *   size(namespace)
+ *   close()
+ *
+ *   InMemoryMemoryStore   a single process, nothing survives a restart
+ *   SqliteMemoryStore     durable local memory (better-sqlite3), for tests
+ *                         and single-node installs
+ *   RedisMemoryStore      shared memory with KNN search (Redis Stack /
+ *                         RediSearch vector index)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class InMemoryMemoryStore {
+  constructor() {
+    this.namespaces = new Map(); // namespace -> Map(key -> entry), least recently used first
+  }
+
+  entries(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async put(namespace, entry) {
+    const entries = this.entries(namespace);
+    entries.delete(entry.key);
+    entries.set(entry.key, { ...entry });
+  }
+
+  async get(namespace, key, now = Date.now()) {
+    const entries = this.entries(namespace);
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    entries.delete(key);
+    if (isExpired(entry, now)) return null;
+    entry.accessedAt = now;
+    entries.set(key, entry);
+    return { ...entry };
+  }
+
+  async delete(namespace, key) {
+    return this.entries(namespace).delete(key);
+  }
+
+  async search(namespace, embedding, { limit = 5, now = Date.now() } = {}) {
+    return rank(Array.from(this.entries(namespace).values()), embedding, limit, now);
+  }
+
+  async evict(namespace, maxEntries, now = Date.now()) {
+    const entries = this.entries(namespace);
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      removed++;
+    }
+    return removed;
+  }
+
+  async size(namespace) {
+    return this.entries(namespace).size;
+  }
+
+  async close() {}
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SQLITE STORE
+// Embeddings are stored as float32 blobs and ranked in process, which is
+// fine for the few thousand entries an agent keeps
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SqliteMemoryStore {
+  constructor(options = {}) {
+    const Database = require('better-sqlite3');
+
+    this.path = options.path || ':memory:';
+    this.db = options.database || new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    this.statements = {
+      put: this.db.prepare(`
+        INSERT OR REPLACE INTO memories (namespace, key, value, text, embedding, created_at, accessed_at, expires_at)
+        VALUES (@namespace, @key, @value, @text, @embedding, @createdAt, @accessedAt, @expiresAt)
+      `),
+      get: this.db.prepare('SELECT * FROM memories WHERE namespace = ? AND key = ?'),
+      touch: this.db.prepare('UPDATE memories SET accessed_at = ? WHERE namespace = ? AND key = ?'),
+      delete: this.db.prepare('DELETE FROM memories WHERE namespace = ? AND key = ?'),
+      embedded: this.db.prepare(`
+        SELECT * FROM memories
+        WHERE namespace = ? AND embedding IS NOT NULL AND (expires_at IS NULL OR expires_at > ?)
+      `),
+      expire: this.db.prepare('DELETE FROM memories WHERE namespace = ? AND expires_at <= ?'),
+      evict: this.db.prepare(`
+        DELETE FROM memories WHERE namespace = @namespace AND key NOT IN (
+          SELECT key FROM memories WHERE namespace = @namespace ORDER BY accessed_at DESC LIMIT @maxEntries
+        )
+      `),
+      size: this.db.prepare('SELECT COUNT(*) AS count FROM memories WHERE namespace = ?')
+    };
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memories (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        text TEXT,
+        embedding BLOB,
+        created_at INTEGER NOT NULL,
+        accessed_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        PRIMARY KEY (namespace, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_memories_accessed ON memories (namespace, accessed_at);
+      CREATE INDEX IF NOT EXISTS idx_memories_expires ON memories (expires_at);
+    `);
+  }
+
+  async put(namespace, entry) {
+    this.statements.put.run({
+      namespace,
+      key: entry.key,
+      value: JSON.stringify(entry.value),
+      text: entry.text || null,
+      embedding: entry.embedding ? toBlob(entry.embedding) : null,
+      createdAt: entry.createdAt,
+      accessedAt: entry.accessedAt,
+      expiresAt: entry.expiresAt || null
+    });
+  }
+
+  async get(namespace, key, now = Date.now()) {
+    const row = this.statements.get.get(namespace, key);
+    if (!row) return null;
+
+    const entry = fromRow(row);
+    if (isExpired(entry, now)) {
+      this.statements.delete.run(namespace, key);
+      return null;
+    }
+    this.statements.touch.run(now, namespace, key);
+    return { ...entry, accessedAt: now };
+  }
+
+  async delete(namespace, key) {
+    return this.statements.delete.run(namespace, key).changes > 0;
+  }
+
+  async search(namespace, embedding, { limit = 5, now = Date.now() } = {}) {
+    return rank(this.statements.embedded.all(namespace, now).map(fromRow), embedding, limit, now);
+  }
+
+  async evict(namespace, maxEntries, now = Date.now()) {
+    return this.statements.expire.run(namespace, now).changes +
+      this.statements.evict.run({ namespace, maxEntries }).changes;
+  }
+
+  async size(namespace) {
+    return this.statements.size.get(namespace).count;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+function fromRow(row) {
+  return {
+    key: row.key,
+    value: JSON.parse(row.value),
+    text: row.text,
+    embedding: row.embedding ? fromBlob(row.embedding) : null,
+    createdAt: row.created_at,
+    accessedAt: row.accessed_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REDIS STORE
+// One hash per entry ({prefix}:entry:{namespace}:{key}) expiring with the
+// entry, a sorted set per namespace ({prefix}:index:{namespace}) ordering
+// keys by last use, and an HNSW vector index over the hashes, created on
+// the first embedding (its dimension is not known before).
+// ═══════════════════════════════════════════════════════════════════════════
+
+class RedisMemoryStore {
+  constructor(options = {}) {
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.prefix = options.prefix || 'kenyaclaw:memory';
+    this.indexName = `${this.prefix}:vectors`;
+    this.client = options.client || null;
+    this.ownsClient = !options.client;
+    this.indexReady = false;
+  }
+
+  async connect() {
+    if (!this.client) {
+      const Redis = require('ioredis');
+      this.client = new Redis(this.url, { lazyConnect: true });
+      await this.client.connect();
+      console.log(`[Memory] Connected to ${this.url}`);
+    }
+    return this.client;
+  }
+
+  entryKey(namespace, key) {
+    return `${this.prefix}:entry:${namespace}:${key}`;
+  }
+
+  indexKey(namespace) {
+    return `${this.prefix}:index:${namespace}`;
+  }
+
+  async ensureVectorIndex(dimensions) {
+    if (this.indexReady) return;
+    try {
+      await this.client.call(
+        'FT.CREATE', this.indexName, 'ON', 'HASH', 'PREFIX', '1', `${this.prefix}:entry:`,
+        'SCHEMA', 'namespace', 'TAG', 'key', 'TAG',
+        'embedding', 'VECTOR', 'HNSW', '6', 'TYPE', 'FLOAT32', 'DIM', String(dimensions), 'DISTANCE_METRIC', 'COSINE'
+      );
+    } catch (error) {
+      if (!/already exists/i.test(error.message)) throw error;
+    }
+    this.indexReady = true;
+  }
+
+  async put(namespace, entry) {
+    const client = await this.connect();
+    if (entry.embedding) {
+      await this.ensureVectorIndex(entry.embedding.length);
+    }
+
+    const hash = this.entryKey(namespace, entry.key);
+    const fields = {
+      namespace,
+      key: entry.key,
+      value: JSON.stringify(entry.value),
+      text: entry.text || '',
+      created_at: entry.createdAt,
+      accessed_at: entry.accessedAt,
+      expires_at: entry.expiresAt || ''
+    };
+    if (entry.embedding) {
+      fields.embedding = toBlob(entry.embedding);
+    }
+
+    const pipeline = client.multi().del(hash).hset(hash, fields);
+    if (entry.expiresAt) {
+      pipeline.pexpireat(hash, entry.expiresAt);
+    }
+    await pipeline.zadd(this.indexKey(namespace), entry.accessedAt, entry.key).exec();
+  }
+
+  async get(namespace, key, now = Date.now()) {
+    const client = await this.connect();
+    const hash = this.entryKey(namespace, key);
+    const fields = await client.hgetallBuffer(hash);
+
+    if (!fields || Object.keys(fields).length === 0) {
+      await client.zrem(this.indexKey(namespace), key);
+      return null;
+    }
+    const entry = fromHash(fields);
+    if (isExpired(entry, now)) {
+      await this.delete(namespace, key);
+      return null;
+    }
+
+    await client.multi()
+      .hset(hash, 'accessed_at', now)
+      .zadd(this.indexKey(namespace), now, key)
+      .exec();
+    return { ...entry, accessedAt: now };
+  }
+
+  async delete(namespace, key) {
+    const client = await this.connect();
+    const [[, deleted]] = await client.multi()
+      .del(this.entryKey(namespace, key))
+      .zrem(this.indexKey(namespace), key)
+      .exec();
+    return deleted > 0;
+  }
+
+  async search(namespace, embedding, { limit = 5, now = Date.now() } = {}) {
+    const client = await this.connect();
+    if (!this.indexReady) {
+      await this.ensureVectorIndex(embedding.length);
+    }
+
+    const reply = await client.call(
+      'FT.SEARCH', this.indexName,
+      `(@namespace:{${escapeTag(namespace)}})=>[KNN ${limit} @embedding $vector AS distance]`,
+      'PARAMS', '2', 'vector', toBlob(embedding),
+      'SORTBY', 'distance',
+      'RETURN', '7', 'key', 'value', 'text', 'created_at', 'accessed_at', 'expires_at', 'distance',
+      'DIALECT', '2'
+    );
+
+    // [total, hashKey, [field, value, ...], hashKey, [...], ...]
+    const results = [];
+    for (let i = 2; i < reply.length; i += 2) {
+      const fields = {};
+      for (let j = 0; j < reply[i].length; j += 2) {
+        fields[reply[i][j]] = reply[i][j + 1];
+      }
+      const entry = fromHash(fields);
+      if (isExpired(entry, now)) continue;
+      results.push({ ...entry, score: 1 - Number(fields.distance) });
+    }
+    return results;
+  }
+
+  async evict(namespace, maxEntries, now = Date.now()) {
+    const client = await this.connect();
+    const index = this.indexKey(namespace);
+
+    // Redis expires the hashes itself; drop their keys from the index
+    const keys = await client.zrange(index, 0, -1);
+    const exists = keys.length > 0
+      ? await client.multi(keys.map(key => ['exists', this.entryKey(namespace, key)])).exec()
+      : [];
+    const gone = keys.filter((key, i) => exists[i][1] === 0);
+    if (gone.length > 0) {
+      await client.zrem(index, ...gone);
+    }
+
+    const excess = (keys.length - gone.length) - maxEntries;
+    if (excess <= 0) return gone.length;
+
+    const oldest = await client.zrange(index, 0, excess - 1);
+    for (const key of oldest) {
+      await this.delete(namespace, key);
+    }
+    return gone.length + oldest.length;
+  }
+
+  async size(namespace) {
+    const client = await this.connect();
+    return client.zcard(this.indexKey(namespace));
+  }
+
+  async close() {
+    if (this.client && this.ownsClient) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+}
+
+function fromHash(fields) {
+  const text = (name) => (fields[name] === undefined ? '' : fields[name].toString());
+  return {
+    key: text('key'),
+    value: JSON.parse(text('value')),
+    text: text('text') || null,
+    embedding: Buffer.isBuffer(fields.embedding) ? fromBlob(fields.embedding) : null,
+    createdAt: Number(text('created_at')),
+    accessedAt: Number(text('accessed_at')),
+    expiresAt: text('expires_at') ? Number(text('expires_at')) : null
+  };
+}
+
+// Tag queries need punctuation (e.g. the dash in bowery-king) escaped
+function escapeTag(value) {
+  return String(value).replace(/[^A-Za-z0-9_]/g, '\\$&');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The `memory` section of config.yml: the Redis vector store when enabled,
+// else SQLite under memory.path, else process memory
+function createMemoryStore(config = {}) {
+  const vectorStore = config.vectorStore || {};
+  if (vectorStore.enabled && vectorStore.provider === 'redis') {
+    return new RedisMemoryStore({ url: vectorStore.url, prefix: vectorStore.prefix });
+  }
+  if (vectorStore.enabled && vectorStore.provider) {
+    throw new Error(`Unknown memory vector store: ${vectorStore.provider} (use redis)`);
+  }
+  if (config.path) {
+    fs.mkdirSync(config.path, { recursive: true });
+    return new SqliteMemoryStore({ path: path.join(config.path, 'memory.db') });
+  }
+  return new InMemoryMemoryStore();
+}
+
+function isExpired(entry, now) {
+  return Boolean(entry.expiresAt) && entry.expiresAt <= now;
+}
+
+function rank(entries, embedding, limit, now) {
+  return entries
+    .filter(entry => entry.embedding && !isExpired(entry, now))
+    .map(entry => ({ ...entry, score: cosineSimilarity(embedding, entry.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toBlob(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer);
+}
+
+// Copied first: a Buffer's offset into its pool need not be 4-byte aligned
+function fromBlob(blob) {
+  return Array.from(new Float32Array(Uint8Array.from(blob).buffer));
+}
+
+module.exports = {
+  InMemoryMemoryStore,
+  SqliteMemoryStore,
+  RedisMemoryStore,
+  createMemoryStore,
+  cosineSimilarity
+};
@@ -7,9 +7,14 @@
 
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const os = require('os');
+const { InMemoryTransport } = require('./transports/in-memory');
+const { KeyRing } = require('./key-ring');
+const { InMemoryHistoryStore } = require('./history-store');
+const { Tracer, currentContext, newTraceId, newSpanId } = require('./tracing');
 
 class Message {
-  constructor({ sender, recipients, type, payload, priority = 3, ttl = 300 }) {
+  constructor({ sender, recipients, type, payload, priority = 3, ttl = 300, signingKey = null, traceId = null, parentSpanId = null }) {
     this.id = crypto.randomUUID();
     this.timestamp = new Date().toISOString();
     this.sender = sender;
@@ -18,24 +23,53 @@ class Message {
     this.payload = payload;
     this.priority = priority;
     this.ttl = ttl;
-    this.signature = this.sign();
+    this.nonce = crypto.randomBytes(16).toString('hex');
+
+    // Continue the trace of whatever the sender is handling right now
+    const context = currentContext();
+    this.traceId = traceId || context?.traceId || newTraceId();
+    this.spanId = newSpanId();
+    this.parentSpanId = traceId ? parentSpanId : (context?.spanId || null);
+
+    this.keyId = signingKey ? signingKey.keyId : null;
+    this.signature = signingKey ? this.sign(signingKey.secret) : null;
   }
 
-  sign() {
+  sign(secret) {
     const data = JSON.stringify({
       id: this.id,
       timestamp: this.timestamp,
       sender: this.sender,
+      recipients: this.recipients,
       type: this.type,
-      payload: this.payload
+      payload: this.payload,
+      priority: this.priority,
+      ttl: this.ttl,
+      nonce: this.nonce,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      keyId: this.keyId
     });
-    return crypto.createHmac('sha256', process.env.MESSAGE_SECRET || 'default-secret')
+    return crypto.createHmac('sha256', secret)
       .update(data)
       .digest('hex');
   }
 
-  verify() {
-    return this.signature === this.sign();
+  verify(secret) {
+    if (!this.signature || !secret) return false;
+
+    const expected = Buffer.from(this.sign(secret), 'hex');
+    const actual = Buffer.from(this.signature, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Rebuild a message received from another node, keeping its original
+  // id, timestamp and signature so it can be verified
+  static fromJSON(data) {
+    const message = Object.create(Message.prototype);
+    Object.assign(message, data);
+    return message;
   }
 
   isExpired() {
@@ -53,34 +87,212 @@ class Message {
       payload: this.payload,
       priority: this.priority,
       ttl: this.ttl,
+      nonce: this.nonce,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      keyId: this.keyId,
       signature: this.signature
     };
   }
 }
 
+// Per-agent inbox. Dequeues by priority (CRITICAL first), then oldest first.
+class Mailbox {
+  constructor(agentId, { capacity = 1000, concurrency = 1 } = {}) {
+    this.agentId = agentId;
+    this.capacity = capacity;
+    this.concurrency = concurrency;
+    this.entries = [];
+    this.active = 0;
+    this.sequence = 0;
+    this.drainScheduled = false;
+    this.stats = {
+      enqueued: 0,
+      dequeued: 0,
+      rejected: 0,
+      maxDepth: 0,
+      totalWaitTime: 0,
+      maxWaitTime: 0
+    };
+  }
+
+  get depth() {
+    return this.entries.length;
+  }
+
+  isFull() {
+    return this.entries.length >= this.capacity;
+  }
+
+  hasCapacity() {
+    return this.active < this.concurrency && this.entries.length > 0;
+  }
+
+  enqueue(message) {
+    if (this.isFull()) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    const entry = { message, enqueuedAt: Date.now(), sequence: this.sequence++ };
+
+    // Keep entries sorted so dequeue is a shift
+    let index = this.entries.length;
+    while (index > 0 && compareEntries(entry, this.entries[index - 1]) < 0) {
+      index--;
+    }
+    this.entries.splice(index, 0, entry);
+
+    this.stats.enqueued++;
+    this.stats.maxDepth = Math.max(this.stats.maxDepth, this.entries.length);
+    return true;
+  }
+
+  dequeue() {
+    const entry = this.entries.shift();
+    if (!entry) return null;
+
+    const waitTime = Date.now() - entry.enqueuedAt;
+    this.stats.dequeued++;
+    this.stats.totalWaitTime += waitTime;
+    this.stats.maxWaitTime = Math.max(this.stats.maxWaitTime, waitTime);
+    return entry;
+  }
+
+  clear() {
+    const entries = this.entries;
+    this.entries = [];
+    return entries;
+  }
+
+  getMetrics() {
+    return {
+      depth: this.entries.length,
+      active: this.active,
+      capacity: this.capacity,
+      concurrency: this.concurrency,
+      enqueued: this.stats.enqueued,
+      rejected: this.stats.rejected,
+      maxDepth: this.stats.maxDepth,
+      avgWaitTime: this.stats.dequeued > 0 ? this.stats.totalWaitTime / this.stats.dequeued : 0,
+      maxWaitTime: this.stats.maxWaitTime
+    };
+  }
+}
+
+function compareEntries(a, b) {
+  return (a.message.priority - b.message.priority) || (a.sequence - b.sequence);
+}
+
 class MessageBus extends EventEmitter {
   constructor(options = {}) {
     super();
+    this.nodeId = options.nodeId || process.env.SWARM_NODE_ID || `${os.hostname()}-${process.pid}`;
+    this.transport = options.transport || new InMemoryTransport();
+    this.keyRing = options.keyRing || new KeyRing({
+      secret: options.secret,
+      rotationGracePeriod: options.rotationGracePeriod
+    });
+    this.keyRing.assertProductionReady();
+    this.replayWindow = options.replayWindow || 5 * 60 * 1000;
+    this.maxClockSkew = options.maxClockSkew || 30 * 1000;
+    this.seenNonces = new Map();
+    this.heartbeat = {
+      interval: 10000,     // how often agents send a HEARTBEAT
+      staleAfter: 30000,   // silence before an agent is marked stale
+      offlineAfter: 90000, // silence before an agent is marked offline
+      checkInterval: 5000,
+      ...options.heartbeat
+    };
+    this.livenessTimer = null;
+    this.connected = false;
     this.agents = new Map();
     this.channels = new Map();
-    this.messageHistory = [];
-    this.maxHistory = options.maxHistory || 10000;
+    this.historyStore = options.historyStore || new InMemoryHistoryStore({
+      maxSize: options.maxHistory || 10000,
+      retention: options.retention
+    });
+    this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000;
+    this.cleanupTimer = null;
+    this.tracer = options.tracer || new Tracer({ maxTraces: options.maxTraces });
+    this.mailboxes = new Map();
+    this.mailboxDefaults = {
+      capacity: options.mailboxCapacity || 1000,
+      concurrency: options.concurrency || 1
+    };
+    this.agentConcurrency = options.agentConcurrency || {};
     this.metrics = {
       messagesSent: 0,
       messagesReceived: 0,
-      messagesExpired: 0
+      messagesExpired: 0,
+      messagesDeadLettered: 0
     };
+    this.deadLetters = [];
+    this.maxDeadLetters = options.maxDeadLetters || 1000;
+    this.settlers = new Map(); // remote message -> transport callback
   }
 
-  registerAgent(agent) {
+  // Registers the agent and returns its signing key
+  registerAgent(agent, options = {}) {
+    const signingKey = this.keyRing.issue(agent.id, options.signingKey);
+
     this.agents.set(agent.id, {
       agent,
       subscriptions: new Set(),
-      lastSeen: Date.now()
+      lastSeen: Date.now(),
+      liveness: 'alive'
     });
+    this.mailboxes.set(agent.id, new Mailbox(agent.id, {
+      capacity: options.mailboxCapacity || this.mailboxDefaults.capacity,
+      concurrency: options.concurrency || this.agentConcurrency[agent.id] || this.mailboxDefaults.concurrency
+    }));
     this.subscribe(agent.id, agent.id);
+    this.startLivenessMonitor();
+    if (this.connected) {
+      this.transport.registerAgent(agent.id).catch(error => {
+        console.error(`[MessageBus] Transport registration failed for ${agent.id}:`, error.message);
+      });
+      this.syncKey(agent.id);
+    }
     console.log(`[MessageBus] Agent ${agent.id} (${agent.codename}) registered`);
-    this.emit('agent:registered', { agentId: agent.id, codename: agent.codename });
+    this.emit('agent:registered', { agentId: agent.id, codename: agent.codename, keyId: signingKey.keyId });
+    return signingKey;
+  }
+
+  // Signing key for a sender that is not an agent (e.g. 'user')
+  issueKey(principal, secret = null) {
+    return this.keyRing.issue(principal, secret);
+  }
+
+  rotateKey(principal, secret = null) {
+    const signingKey = this.keyRing.rotate(principal, secret);
+    this.useKey(principal, signingKey);
+    this.emit('key:rotated', { principal, keyId: signingKey.keyId });
+    return signingKey;
+  }
+
+  // Pick up a newer version (or revocation) another node recorded for the
+  // principal, e.g. after this node restarted
+  syncKey(principal) {
+    return this.keyRing.sync(principal)
+      .then(signingKey => this.useKey(principal, signingKey))
+      .catch(error => {
+        console.error(`[MessageBus] Key sync failed for ${principal}:`, error.message);
+      });
+  }
+
+  useKey(principal, signingKey) {
+    const record = this.agents.get(principal);
+    if (record && signingKey) {
+      record.agent.signingKey = signingKey;
+    }
+  }
+
+  revokeKey(principal) {
+    const revoked = this.keyRing.revoke(principal);
+    if (revoked) this.emit('key:revoked', { principal });
+    return revoked;
   }
 
   unregisterAgent(agentId) {
@@ -90,10 +302,55 @@ class MessageBus extends EventEmitter {
         this.unsubscribe(agentId, channel);
       });
       this.agents.delete(agentId);
+      if (this.connected) {
+        this.transport.unregisterAgent(agentId).catch(error => {
+          console.error(`[MessageBus] Transport unregistration failed for ${agentId}:`, error.message);
+        });
+      }
+
+      const mailbox = this.mailboxes.get(agentId);
+      this.mailboxes.delete(agentId);
+      if (mailbox) {
+        mailbox.clear().forEach(({ message }) => {
+          this.undeliverable(message, agentId, 'agent_unregistered');
+        });
+      }
+
       this.emit('agent:unregistered', { agentId });
     }
   }
 
+  // Join the transport so agents on other nodes become reachable
+  async connect() {
+    if (this.connected) return;
+
+    await this.transport.connect(this);
+    if (this.transport.getKeyState) {
+      await this.keyRing.attach(this.transport);
+      for (const agentId of this.agents.keys()) {
+        this.useKey(agentId, this.keyRing.currentKey(agentId));
+      }
+    }
+    this.connected = true;
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+    this.cleanupTimer.unref();
+    for (const agentId of this.agents.keys()) {
+      await this.transport.registerAgent(agentId);
+    }
+    console.log(`[MessageBus] Node ${this.nodeId} connected via ${this.transport.name} transport`);
+  }
+
+  async close() {
+    this.stopLivenessMonitor();
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.keyRing.detach();
+    await this.transport.disconnect();
+  }
+
   subscribe(agentId, channel) {
     const record = this.agents.get(agentId);
     if (!record) return false;
@@ -125,45 +382,295 @@ class MessageBus extends EventEmitter {
       throw new Error('Invalid message type');
     }
 
-    if (!message.verify()) {
-      throw new Error('Message signature verification failed');
+    const rejection = await this.authenticate(message);
+    if (rejection) {
+      throw new Error(rejection.error);
     }
 
-    this.messageHistory.push(message.toJSON());
-    if (this.messageHistory.length > this.maxHistory) {
-      this.messageHistory.shift();
-    }
+    this.recordHistory(message);
+    this.tracer.recordMessage(message);
+    this.touch(message.sender);
 
     this.metrics.messagesSent++;
 
     let recipients = [];
     if (message.recipients === 'broadcast') {
-      recipients = Array.from(this.agents.keys());
+      const remoteAgents = this.connected ? await this.transport.listAgents() : [];
+      recipients = Array.from(new Set([...this.agents.keys(), ...remoteAgents]));
     } else if (Array.isArray(message.recipients)) {
       recipients = message.recipients;
     } else {
       recipients = [message.recipients];
     }
 
-    const deliveries = recipients.map(async (recipientId) => {
-      const record = this.agents.get(recipientId);
-      if (!record) {
-        this.emit('message:undelivered', { message, recipientId, reason: 'agent_not_found' });
-        return { recipientId, status: 'failed', reason: 'agent_not_found' };
+    return Promise.all(recipients.map(recipientId => this.deliver(message, recipientId)));
+  }
+
+  // Queue a message in the recipient's mailbox. Resolves once the message is
+  // accepted; processing happens as the mailbox drains.
+  async deliver(message, recipientId) {
+    const record = this.agents.get(recipientId);
+    const mailbox = this.mailboxes.get(recipientId);
+
+    if (message.isExpired()) {
+      return this.expire(message, recipientId);
+    }
+
+    if (!record || !mailbox) {
+      if (this.connected && await this.transport.hasAgent(recipientId)) {
+        this.tracer.recordHop(message, recipientId, { status: 'forwarded', at: Date.now() });
+        return this.transport.publish(message, recipientId);
       }
+      return this.undeliverable(message, recipientId, 'agent_not_found');
+    }
 
-      try {
-        await record.agent.receiveMessage(message);
-        this.metrics.messagesReceived++;
-        this.emit('message:delivered', { message, recipientId });
-        return { recipientId, status: 'delivered' };
-      } catch (error) {
-        this.emit('message:failed', { message, recipientId, error });
-        return { recipientId, status: 'failed', reason: error.message };
+    // Replies to in-flight queries skip the queue: the slot that would process
+    // them is usually the one waiting on them.
+    if (record.agent.isAwaitingReply?.(message)) {
+      return this.dispatch(record, message, recipientId);
+    }
+
+    if (!mailbox.enqueue(message)) {
+      return this.undeliverable(message, recipientId, 'mailbox_full');
+    }
+
+    this.tracer.recordHop(message, recipientId, { status: 'queued', at: Date.now() });
+    this.emit('message:queued', { message, recipientId, depth: mailbox.depth });
+    this.scheduleDrain(mailbox);
+    return { recipientId, status: 'queued' };
+  }
+
+  // Check that the message was signed by its sender's key and is not a replay.
+  // Resolves to null when the message is acceptable. Remote messages arrive
+  // once per local recipient, so replays are tracked per recipient.
+  async authenticate(message, recipientId = null) {
+    if (!message.signature || !message.keyId) {
+      return { reason: 'invalid_signature', error: 'Message is not signed' };
+    }
+
+    const key = await this.keyRing.resolve(message.keyId);
+    if (!key) {
+      return { reason: 'invalid_signature', error: `Unknown or retired signing key ${message.keyId}` };
+    }
+    if (key.principal !== message.sender) {
+      return { reason: 'invalid_signature', error: `Message signer ${key.principal} does not match sender ${message.sender}` };
+    }
+    if (!message.verify(key.secret)) {
+      return { reason: 'invalid_signature', error: 'Message signature verification failed' };
+    }
+
+    const sentAt = new Date(message.timestamp).getTime();
+    const now = Date.now();
+    if (!(sentAt > now - this.replayWindow && sentAt < now + this.maxClockSkew)) {
+      return { reason: 'replay', error: 'Message timestamp is outside the replay window' };
+    }
+    const replayKey = recipientId ? `${message.nonce}:${recipientId}` : message.nonce;
+    if (this.seenNonces.has(replayKey)) {
+      return { reason: 'replay', error: 'Message replay detected' };
+    }
+
+    this.rememberNonce(replayKey, sentAt + this.replayWindow);
+    return null;
+  }
+
+  rememberNonce(nonce, expiresAt) {
+    this.seenNonces.set(nonce, expiresAt);
+
+    // Sweep occasionally; anything past its window is rejected by timestamp anyway
+    if (this.seenNonces.size % 1000 === 0) {
+      const now = Date.now();
+      for (const [seen, expiry] of this.seenNonces) {
+        if (expiry < now) this.seenNonces.delete(seen);
       }
+    }
+  }
+
+  // Entry point for messages arriving from another node through the transport.
+  // `onSettled` runs once the recipient has handled the message or it was
+  // dead-lettered, so a durable transport can acknowledge it only then.
+  async receiveRemote(data, recipientId, onSettled = null) {
+    const message = Message.fromJSON(data);
+    if (onSettled) this.settlers.set(message, onSettled);
+
+    const rejection = await this.authenticate(message, recipientId);
+    if (rejection) {
+      return this.undeliverable(message, recipientId, rejection.reason);
+    }
+
+    this.recordHistory(message);
+    this.tracer.recordMessage(message);
+    if (!this.agents.has(recipientId)) {
+      return this.undeliverable(message, recipientId, 'agent_not_found');
+    }
+    return this.deliver(message, recipientId);
+  }
+
+  scheduleDrain(mailbox) {
+    if (mailbox.drainScheduled) return;
+    mailbox.drainScheduled = true;
+
+    // Deferred so messages sent in the same tick are ordered by priority
+    setImmediate(() => {
+      mailbox.drainScheduled = false;
+      this.drain(mailbox);
+    });
+  }
+
+  drain(mailbox) {
+    while (mailbox.hasCapacity()) {
+      const record = this.agents.get(mailbox.agentId);
+      if (!record) return;
+
+      const { message } = mailbox.dequeue();
+      if (message.isExpired()) {
+        this.expire(message, mailbox.agentId);
+        continue;
+      }
+
+      mailbox.active++;
+      this.dispatch(record, message, mailbox.agentId).finally(() => {
+        mailbox.active--;
+        this.drain(mailbox);
+      });
+    }
+  }
+
+  async dispatch(record, message, recipientId) {
+    this.tracer.recordHop(message, recipientId, { status: 'processing', startedAt: Date.now() });
+    try {
+      await record.agent.receiveMessage(message);
+      this.tracer.recordHop(message, recipientId, { status: 'delivered', finishedAt: Date.now() });
+      this.metrics.messagesReceived++;
+      this.emit('message:delivered', { message, recipientId });
+      return { recipientId, status: 'delivered' };
+    } catch (error) {
+      this.tracer.recordHop(message, recipientId, { status: 'failed', finishedAt: Date.now(), reason: error.message });
+      this.emit('message:failed', { message, recipientId, error });
+      this.deadLetter(message, recipientId, 'processing_failed', error);
+      return { recipientId, status: 'failed', reason: error.message };
+    } finally {
+      this.settle(message);
+    }
+  }
+
+  settle(message) {
+    const onSettled = this.settlers.get(message);
+    if (!onSettled) return;
+
+    this.settlers.delete(message);
+    onSettled();
+  }
+
+  undeliverable(message, recipientId, reason) {
+    this.tracer.recordHop(message, recipientId, { status: 'failed', at: Date.now(), reason });
+    this.emit('message:undelivered', { message, recipientId, reason });
+    this.deadLetter(message, recipientId, reason);
+    return { recipientId, status: 'failed', reason };
+  }
+
+  expire(message, recipientId) {
+    this.metrics.messagesExpired++;
+    this.tracer.recordHop(message, recipientId, { status: 'failed', at: Date.now(), reason: 'expired' });
+    this.emit('message:expired', { message, recipientId });
+    this.deadLetter(message, recipientId, 'expired');
+    return { recipientId, status: 'failed', reason: 'expired' };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // DEAD LETTERS
+  // Expired, undeliverable and failed messages, kept with the reason so they
+  // can be inspected, replayed or purged.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  deadLetter(message, recipientId, reason, error = null) {
+    const entry = {
+      id: crypto.randomUUID(),
+      messageId: message.id,
+      recipientId,
+      reason,
+      error: error ? error.message : null,
+      deadLetteredAt: new Date().toISOString(),
+      message
+    };
+
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+
+    this.metrics.messagesDeadLettered++;
+    this.emit('message:dead_lettered', { ...entry });
+    this.settle(message);
+    return entry;
+  }
+
+  getDeadLetters(filters = {}) {
+    return this.filterDeadLetters(filters).map(entry => ({
+      ...entry,
+      message: entry.message.toJSON()
+    }));
+  }
+
+  // Re-send a dead letter to its original recipient as a fresh message
+  // (new id, timestamp and TTL window). The entry leaves the queue; if the
+  // replay fails too it is dead-lettered again under the new message id.
+  async replayDeadLetter(deadLetterId) {
+    const index = this.deadLetters.findIndex(entry => entry.id === deadLetterId);
+    if (index === -1) {
+      throw new Error(`Dead letter ${deadLetterId} not found`);
+    }
+
+    const { sender, type, payload, priority, ttl, traceId, parentSpanId } = this.deadLetters[index].message;
+    const signingKey = this.keyRing.currentKey(sender);
+    if (!signingKey) {
+      throw new Error(`Cannot replay dead letter ${deadLetterId}: no signing key for ${sender}`);
+    }
+
+    const [entry] = this.deadLetters.splice(index, 1);
+    const replay = new Message({
+      sender, recipients: [entry.recipientId], type, payload, priority, ttl, signingKey, traceId, parentSpanId
     });
 
-    return Promise.all(deliveries);
+    this.emit('message:replayed', { deadLetterId, originalMessageId: entry.messageId, messageId: replay.id });
+    const [delivery] = await this.send(replay);
+    return { deadLetterId, messageId: replay.id, ...delivery };
+  }
+
+  async replayDeadLetters(filters = {}) {
+    const entries = this.filterDeadLetters(filters);
+    const results = [];
+    for (const entry of entries) {
+      results.push(await this.replayDeadLetter(entry.id));
+    }
+    return results;
+  }
+
+  purgeDeadLetters(filters = {}) {
+    const purge = new Set(this.filterDeadLetters(filters));
+    this.deadLetters = this.deadLetters.filter(entry => !purge.has(entry));
+    return purge.size;
+  }
+
+  filterDeadLetters(filters = {}) {
+    return this.deadLetters.filter(entry => {
+      if (filters.id && entry.id !== filters.id) return false;
+      if (filters.reason && entry.reason !== filters.reason) return false;
+      if (filters.recipientId && entry.recipientId !== filters.recipientId) return false;
+      if (filters.sender && entry.message.sender !== filters.sender) return false;
+      if (filters.type && entry.message.type !== filters.type) return false;
+      if (filters.after && new Date(entry.deadLetteredAt) < new Date(filters.after)) return false;
+      if (filters.before && new Date(entry.deadLetteredAt) > new Date(filters.before)) return false;
+      return true;
+    });
+  }
+
+  setConcurrency(agentId, concurrency) {
+    const mailbox = this.mailboxes.get(agentId);
+    if (!mailbox) return false;
+
+    mailbox.concurrency = Math.max(1, concurrency);
+    this.drain(mailbox);
+    return true;
   }
 
   async broadcast(channel, messageData) {
@@ -180,15 +687,80 @@ class MessageBus extends EventEmitter {
     return this.send(message);
   }
 
+  recordHistory(message) {
+    this.historyStore.append(message.toJSON());
+  }
+
+  // Filters: sender, recipient, type (one or many), correlationId, traceId,
+  // after, before. Page with limit / offset; order is 'asc' (default) or 'desc'.
   queryHistory(filters = {}) {
-    return this.messageHistory.filter(msg => {
-      if (filters.sender && msg.sender !== filters.sender) return false;
-      if (filters.recipient && !msg.recipients.includes(filters.recipient)) return false;
-      if (filters.type && msg.type !== filters.type) return false;
-      if (filters.after && new Date(msg.timestamp) < new Date(filters.after)) return false;
-      if (filters.before && new Date(msg.timestamp) > new Date(filters.before)) return false;
-      return true;
-    });
+    return this.historyStore.query(filters);
+  }
+
+  countHistory(filters = {}) {
+    return this.historyStore.count(filters);
+  }
+
+  // Span tree of a trace with per-hop wait and processing times. Only hops
+  // seen by this node are included.
+  getTrace(traceId) {
+    return this.tracer.getTrace(traceId);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // LIVENESS
+  // Any message an agent sends (HEARTBEATs included) counts as a sign of
+  // life. Agents silent past the thresholds become stale, then offline.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  touch(agentId) {
+    const record = this.agents.get(agentId);
+    if (!record) return;
+
+    const now = Date.now();
+    const previous = record.liveness;
+    const silentFor = now - record.lastSeen;
+    record.lastSeen = now;
+
+    if (previous !== 'alive') {
+      record.liveness = 'alive';
+      console.log(`[MessageBus] Agent ${agentId} recovered after ${silentFor}ms (${previous})`);
+      this.emit('agent:recovered', { agentId, previous, silentFor });
+    }
+  }
+
+  checkLiveness() {
+    const now = Date.now();
+
+    for (const [agentId, record] of this.agents) {
+      const silentFor = now - record.lastSeen;
+      let liveness = 'alive';
+      if (silentFor > this.heartbeat.offlineAfter) liveness = 'offline';
+      else if (silentFor > this.heartbeat.staleAfter) liveness = 'stale';
+
+      if (liveness === record.liveness || liveness === 'alive') continue;
+
+      record.liveness = liveness;
+      console.log(`[MessageBus] Agent ${agentId} is ${liveness} (silent for ${silentFor}ms)`);
+      this.emit(`agent:${liveness}`, { agentId, lastSeen: record.lastSeen, silentFor });
+    }
+  }
+
+  startLivenessMonitor() {
+    if (this.livenessTimer) return;
+
+    this.livenessTimer = setInterval(() => this.checkLiveness(), this.heartbeat.checkInterval);
+    this.livenessTimer.unref();
+  }
+
+  stopLivenessMonitor() {
+    clearInterval(this.livenessTimer);
+    this.livenessTimer = null;
+  }
+
+  isAgentAvailable(agentId) {
+    const record = this.agents.get(agentId);
+    return !!record && record.liveness !== 'offline';
   }
 
   getAgentStatus(agentId) {
@@ -201,6 +773,7 @@ class MessageBus extends EventEmitter {
       status: record.agent.status,
       subscriptions: Array.from(record.subscriptions),
       lastSeen: record.lastSeen,
+      liveness: record.liveness,
       metrics: record.agent.metrics
     };
   }
@@ -209,25 +782,37 @@ class MessageBus extends EventEmitter {
     return Array.from(this.agents.keys()).map(id => this.getAgentStatus(id));
   }
 
+  // Apply history retention rules
   cleanup() {
-    const before = this.messageHistory.length;
-    this.messageHistory = this.messageHistory.filter(msg => {
-      const expired = new Date(msg.timestamp).getTime() + (msg.ttl * 1000) < Date.now();
-      if (expired) this.metrics.messagesExpired++;
-      return !expired;
-    });
-    const removed = before - this.messageHistory.length;
+    const removed = this.historyStore.prune();
     if (removed > 0) {
-      console.log(`[MessageBus] Cleaned up ${removed} expired messages`);
+      console.log(`[MessageBus] Pruned ${removed} messages past retention`);
     }
+    return removed;
   }
 
   getMetrics() {
+    const mailboxes = {};
+    let queueDepth = 0;
+    let totalWaitTime = 0;
+    let dequeued = 0;
+
+    for (const [agentId, mailbox] of this.mailboxes) {
+      mailboxes[agentId] = mailbox.getMetrics();
+      queueDepth += mailbox.depth;
+      totalWaitTime += mailbox.stats.totalWaitTime;
+      dequeued += mailbox.stats.dequeued;
+    }
+
     return {
       ...this.metrics,
       registeredAgents: this.agents.size,
       activeChannels: this.channels.size,
-      historySize: this.messageHistory.length
+      historySize: this.historyStore.size(),
+      deadLetters: this.deadLetters.length,
+      queueDepth,
+      avgWaitTime: dequeued > 0 ? totalWaitTime / dequeued : 0,
+      mailboxes
     };
   }
 }
@@ -0,0 +1,162 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MODEL PROVIDERS
+ * What agents think with
+ *
+ * A provider has two methods:
+ *   complete({ model, messages, temperature, maxTokens }) -> { text, model, usage }
+ *   embed({ model, input })    -> { embeddings, model }, one vector per input
+ * where messages are chat messages ({ role: system | user | assistant, content }).
+ *
+ *   OpenAICompatibleProvider  any /chat/completions endpoint, e.g. the token
+ *                             proxy in config.yml (models.apiUrl)
+ *   StubProvider              deterministic local answers for tests and demos
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiUrl = (options.apiUrl || process.env.MODEL_API_URL || 'http://token-proxy:3100/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.MODEL_API_KEY || null;
+    this.defaultModel = options.model || 'anthropic/claude-opus-4';
+    this.embeddingModel = options.embeddingModel || 'text-embedding-3-small';
+    this.timeout = options.timeout || 60000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async complete({ model, messages, temperature = 0.7, maxTokens = 2000 }) {
+    const body = await this.post('/chat/completions', {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const text = body?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Model response has no message content');
+    }
+    return { text, model: body.model || model || this.defaultModel, usage: body.usage || null };
+  }
+
+  async embed({ model, input }) {
+    const body = await this.post('/embeddings', { model: model || this.embeddingModel, input });
+    if (!Array.isArray(body?.data)) {
+      throw new Error('Embedding response has no data');
+    }
+    const embeddings = [...body.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    return { embeddings, model: body.model || model || this.embeddingModel };
+  }
+
+  async post(path, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await this.fetch(`${this.apiUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError'
+        ? `Model request timed out after ${this.timeout}ms`
+        : `Model request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(`Model request failed: HTTP ${response.status} ${body?.error?.message || ''}`.trim());
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+}
+
+// Answers from `rules` ({ match: string | RegExp, reply: string | fn(messages) },
+// first match on the last user message wins). Without a match, verdict
+// prompts get an approving JSON vote and anything else an echo, so the
+// same input always gives the same output.
+class StubProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.rules = options.rules || [];
+    this.defaultVote = options.defaultVote || 'approve';
+    this.dimensions = options.dimensions || 64;
+    this.calls = [];
+  }
+
+  async complete({ model = 'stub', messages }) {
+    const prompt = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    this.calls.push({ model, messages });
+
+    const rule = this.rules.find(r => (r.match instanceof RegExp ? r.match.test(prompt) : prompt.includes(r.match)));
+    let text;
+    if (rule) {
+      text = typeof rule.reply === 'function' ? rule.reply(messages) : rule.reply;
+    } else if (prompt.includes('"vote"')) {
+      text = JSON.stringify({
+        vote: this.defaultVote,
+        confidence: 0.5,
+        reasoning: `Stub provider votes ${this.defaultVote} by default.`,
+        conditions: [],
+        risks: []
+      });
+    } else {
+      text = `[stub] ${prompt.split('\n')[0]}`;
+    }
+
+    return { text, model, usage: null };
+  }
+
+  // Hashed bag of words: texts sharing words get similar vectors
+  async embed({ model = 'stub', input }) {
+    const embeddings = [].concat(input).map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+        vector[hash(word) % this.dimensions] += 1;
+      }
+      return vector;
+    });
+    return { embeddings, model };
+  }
+}
+
+function hash(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+// From the `models` section of config.yml. MODEL_PROVIDER=stub (or
+// models.provider: stub) runs without a network.
+function createProvider(models = {}) {
+  const provider = process.env.MODEL_PROVIDER || models.provider || 'openai';
+  switch (provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiUrl: models.apiUrl,
+        apiKey: models.apiKey,
+        model: models.default,
+        embeddingModel: models.embeddings,
+        timeout: models.timeout
+      });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown model provider: ${provider} (use openai or stub)`);
+  }
+}
+
+module.exports = { OpenAICompatibleProvider, StubProvider, createProvider };
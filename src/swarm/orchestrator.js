@@ -8,6 +8,7 @@
 
 const { BaseAgent } = require('./base-agent');
 const { MessageTypes, Priority } = require('./message-bus');
+const { VotingPolicy, Outcomes } = require('./voting-policy');
 
 class SwarmOrchestrator extends BaseAgent {
   constructor(config = {}) {
@@ -42,7 +43,7 @@ class SwarmOrchestrator extends BaseAgent {
     this.taskHistory = [];
     
     // Register architecture patterns
-    this.registerArchitecture('council', new CouncilArchitecture());
+    this.registerArchitecture('council', new CouncilArchitecture({ policy: config.votingPolicy }));
     this.registerArchitecture('emergency', new EmergencyArchitecture());
     this.registerArchitecture('concurrent', new ConcurrentArchitecture());
     this.registerArchitecture('sequential', new SequentialArchitecture());
@@ -54,6 +55,16 @@ class SwarmOrchestrator extends BaseAgent {
     implementation.orchestrator = this;
   }
 
+  // Hand every council ruling to the CouncilService (escalation, ledger,
+  // execution, notifications)
+  setCouncil(council) {
+    this.architectures.get('council').council = council;
+  }
+
+  getCouncil() {
+    return this.architectures.get('council').council || null;
+  }
+
   // Main entry point for task processing
   async processMessage(message) {
     const { type, payload } = message;
@@ -75,8 +86,14 @@ class SwarmOrchestrator extends BaseAgent {
   // Analyze task and select optimal architecture
   selectArchitecture(task) {
     const patterns = {
-      // Financial decisions > $500 need council approval
-      'financial_approval': (t) => t.amount > 500 ? 'council' : 'sequential',
+      // Financial decisions > $500 (or flagged, e.g. budget breaches) need council approval
+      'financial_approval': (t) => t.amount > 500 || t.requiresCouncil ? 'council' : 'sequential',
+
+      // Proposed actions put to the High Table (CouncilService, chat)
+      'spending': () => 'council',
+
+      // Payments need an explicit council approval (TransactionProcessor)
+      'payment_processing': () => 'council',
       
       // System alerts use emergency protocol
       'system_alert': (t) => t.severity === 'critical' ? 'emergency' : 'concurrent',
@@ -111,30 +128,45 @@ class SwarmOrchestrator extends BaseAgent {
     }
 
     console.log(`[Orchestrator] Routing task "${task.type}" to ${architectureName} architecture`);
-    
-    // Select appropriate agents
-    const agents = await this.selectAgents(task, architectureName);
-    
-    // Execute through architecture
-    const result = await architecture.execute(task, agents);
-    
-    // Record task
-    this.taskHistory.push({
-      id: task.id,
-      type: task.type,
-      architecture: architectureName,
-      agents: agents.map(a => a.id),
-      result: result.status,
-      timestamp: new Date().toISOString()
-    });
 
-    return result;
+    // Every message the architecture sends is traced under this task
+    return this.trace(`task:${task.type}`, async ({ traceId }) => {
+      // Select appropriate agents
+      const agents = await this.selectAgents(task, architectureName);
+
+      // Execute through architecture
+      const result = await this.trace(
+        `architecture:${architectureName}`,
+        () => architecture.execute(task, agents),
+        { agents: agents.map(a => a.id) }
+      );
+
+      // Record task
+      this.taskHistory.push({
+        id: task.id,
+        type: task.type,
+        architecture: architectureName,
+        agents: agents.map(a => a.id),
+        result: result.status,
+        traceId,
+        timestamp: new Date().toISOString()
+      });
+
+      return result;
+    }, { taskId: task.id });
+  }
+
+  // Span tree of a routed task, with timings per hop
+  getTaskTrace(taskId) {
+    const task = this.taskHistory.find(t => t.id === taskId);
+    return task ? this.messageBus.getTrace(task.traceId) : null;
   }
 
   // Select best agents for a task
   async selectAgents(task, architecture) {
     const allAgents = this.messageBus.getAllAgentsStatus()
-      .filter(a => a.id !== this.id); // Exclude self
+      .filter(a => a.id !== this.id) // Exclude self
+      .filter(a => a.liveness !== 'offline'); // Exclude dead agents
 
     // Score each agent
     const scoredAgents = allAgents.map(agentStatus => {
@@ -277,7 +309,7 @@ class SwarmOrchestrator extends BaseAgent {
 
   async handleReport(payload) {
     // Store report in context
-    this.remember(`report:${payload.category}`, payload);
+    await this.remember(`report:${payload.category}`, payload);
     
     // Acknowledge
     return {
@@ -294,6 +326,12 @@ class SwarmOrchestrator extends BaseAgent {
     });
   }
 
+  // Casting vote when the council ties and Winston is the tie-breaker
+  // but not a voter: within his own spending authority he sides with it
+  castingVote(proposal) {
+    return this.canDecide('spending', proposal.amount || 0) ? 'approve' : 'reject';
+  }
+
   // Get swarm status
   getSwarmStatus() {
     return {
@@ -321,7 +359,16 @@ class BaseArchitecture {
 }
 
 // Council Architecture - Consensus-based decision making
+// PROPOSAL on the council channel, signed VOTEs within the voting window,
+// then a CONSENSUS broadcast with the tally. The VotingPolicy decides.
 class CouncilArchitecture extends BaseArchitecture {
+  constructor(options = {}) {
+    super();
+    this.votingWindow = options.votingWindow || 10000;
+    this.policy = options.policy || new VotingPolicy();
+    this.council = options.council || null;
+  }
+
   async execute(task, agents) {
     const proposal = {
       id: task.id,
@@ -331,55 +378,77 @@ class CouncilArchitecture extends BaseArchitecture {
       proposedBy: task.sender || 'user'
     };
 
-    // Send proposal to all council members
-    const votes = await Promise.all(
-      agents.map(agent => this.gatherVote(agent, proposal))
-    );
+    const voters = agents.map(agent => agent.id);
+    const ballot = await this.orchestrator.callVote(proposal, voters, {
+      window: task.votingWindow || this.votingWindow
+    });
 
-    // Calculate consensus
-    const approvals = votes.filter(v => v.vote === 'approve').length;
-    const total = votes.length;
-    const consensus = approvals / total;
+    const votes = Array.from(ballot.votes.values());
+    const ruling = this.policy.decide({
+      topic: task.type,
+      amount: task.amount || 0,
+      voters,
+      votes,
+      members: agents,
+      castingVote: this.policy.tieBreaker === this.orchestrator.id
+        ? this.orchestrator.castingVote(proposal)
+        : null
+    });
 
-    // Require 2/3 majority
-    const approved = consensus >= 0.66;
+    const status = STATUS_BY_OUTCOME[ruling.outcome];
+    const outcome = {
+      proposalId: proposal.id,
+      status,
+      outcome: ruling.outcome,
+      consensus: ruling.consensus,
+      tally: ruling.tally,
+      quorum: ruling.quorum,
+      veto: ruling.veto,
+      tie: ruling.tie,
+      absent: voters.filter(id => !ballot.votes.has(id)),
+      rejectedVotes: ballot.rejected
+    };
 
-    return {
-      status: approved ? 'approved' : 'rejected',
-      consensus: consensus,
+    await this.orchestrator.broadcast('council', MessageTypes.CONSENSUS, {
+      ...outcome,
+      votes
+    });
+
+    const result = {
+      ...outcome,
       votes: votes,
       proposal: proposal,
-      message: approved 
-        ? `The Council has spoken. Motion carries with ${Math.round(consensus * 100)}% approval.`
-        : `The Council cannot reach consensus. Motion fails with ${Math.round(consensus * 100)}% approval.`
+      message: this.describe(status, ruling)
     };
+    return this.council ? this.council.settle(task, result) : result;
   }
 
-  async gatherVote(agent, proposal) {
-    try {
-      // Simulate council member deliberation
-      const deliberation = await agent.query(agent.id, {
-        type: 'vote_request',
-        proposal: proposal
-      }, 10000);
-
-      return {
-        agent: agent.id,
-        codename: agent.codename,
-        vote: deliberation.vote || 'abstain',
-        reasoning: deliberation.reasoning || ''
-      };
-    } catch (error) {
-      return {
-        agent: agent.id,
-        codename: agent.codename,
-        vote: 'abstain',
-        reasoning: 'Failed to respond in time'
-      };
+  describe(status, ruling) {
+    const percent = Math.round(ruling.consensus * 100);
+    switch (status) {
+      case 'approved':
+        return ruling.tie
+          ? `The Council is divided. ${ruling.tie.tieBreaker} casts the deciding vote: motion carries.`
+          : `The Council has spoken. Motion carries with ${percent}% approval.`;
+      case 'no_quorum':
+        return `The Council lacks a quorum. Only ${ruling.quorum.cast} of ${ruling.quorum.required} required votes were cast.`;
+      case 'escalated':
+        return `The Council cannot decide alone. Motion escalated with ${percent}% approval.`;
+      default:
+        return ruling.veto
+          ? `${ruling.veto.agent} has halted this. Motion vetoed.`
+          : `The Council cannot reach consensus. Motion fails with ${percent}% approval.`;
     }
   }
 }
 
+const STATUS_BY_OUTCOME = {
+  [Outcomes.APPROVE]: 'approved',
+  [Outcomes.REJECT]: 'rejected',
+  [Outcomes.ESCALATE]: 'escalated',
+  [Outcomes.NO_QUORUM]: 'no_quorum'
+};
+
 // Emergency Architecture - Immediate action
 class EmergencyArchitecture extends BaseArchitecture {
   async execute(task, agents) {
@@ -389,7 +458,7 @@ class EmergencyArchitecture extends BaseArchitecture {
     console.log(`[Emergency] ${agent.codename} taking immediate action`);
     
     // Execute without waiting for approval
-    const result = await agent.query(agent.id, {
+    const result = await this.orchestrator.query(agent.id, {
       type: 'emergency_action',
       severity: task.severity,
       details: task
@@ -442,7 +511,7 @@ class ConcurrentArchitecture extends BaseArchitecture {
   }
 
   async executeSubtask(agent, task) {
-    return agent.query(agent.id, {
+    return this.orchestrator.query(agent.id, {
       type: 'concurrent_task',
       task: task
     }, 30000);
@@ -473,7 +542,7 @@ class SequentialArchitecture extends BaseArchitecture {
     for (const agent of agents) {
       console.log(`[Sequential] ${agent.codename} processing...`);
       
-      const result = await agent.query(agent.id, {
+      const result = await this.orchestrator.query(agent.id, {
         type: 'pipeline_step',
         input: currentInput,
         step: trace.length + 1
@@ -528,7 +597,7 @@ class CompetitiveArchitecture extends BaseArchitecture {
   async compete(agent, task) {
     const startTime = Date.now();
     
-    const result = await agent.query(agent.id, {
+    const result = await this.orchestrator.query(agent.id, {
       type: 'competitive_task',
       task: task
     }, 60000);
@@ -0,0 +1,343 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SKILL REGISTRY
+ * The workspace skills (skills/<name>/skill.yml) as tools agents can call
+ *
+ *   Tools are named "<skill>.<tool>", e.g. mpesa.stk_push.
+ *   An agent may call the tools of every skill named in its `skills` list.
+ *   Parameters are checked against the manifest (type, required, enum,
+ *   minimum/maximum, minLength/maxLength, format, items, properties) and
+ *   defaults filled in before the handler runs.
+ *   Handlers are called as handler(params, context), where context holds
+ *   the shared context (db, budgets, ...) plus the calling agent, a logger
+ *   and the skill's own config with ${ENV} references resolved.
+ *   Every call is a "tool:<skill>.<tool>" span in the message trace.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('../config');
+
+const SKILLS_DIR = path.join(__dirname, '..', '..', 'skills');
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+class SkillRegistry {
+  constructor(options = {}) {
+    this.skillsDir = options.skillsDir || SKILLS_DIR;
+    this.context = options.context || {}; // shared with every handler
+    this.skills = new Map();
+    this.load();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // MANIFESTS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  load() {
+    const yaml = require('js-yaml');
+    this.skills.clear();
+
+    // E.g. an image built without skills/: agents get no tools
+    if (!fs.existsSync(this.skillsDir)) {
+      console.warn(`[Skills] ${this.skillsDir} does not exist - no skills loaded`);
+      return this;
+    }
+
+    const names = fs.readdirSync(this.skillsDir)
+      .filter(name => fs.existsSync(path.join(this.skillsDir, name, 'skill.yml')))
+      .sort();
+
+    for (const name of names) {
+      const file = path.join(this.skillsDir, name, 'skill.yml');
+      let manifest;
+      try {
+        manifest = yaml.load(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw manifestError(file, [`could not be parsed: ${error.message}`]);
+      }
+      this.skills.set(name, validateManifest(manifest, name, file));
+    }
+
+    console.log(`[Skills] Loaded ${this.skills.size} skills from ${this.skillsDir}`);
+    return this;
+  }
+
+  getSkill(name) {
+    return this.skills.get(name) || null;
+  }
+
+  // "mpesa.stk_push" -> tool, or null
+  getTool(name) {
+    const [skill, tool] = splitName(name);
+    return this.skills.get(skill)?.tools.get(tool) || null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // GRANTS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  canUse(agent, name) {
+    const [skill] = splitName(name);
+    return (agent.skills || []).includes(skill) && this.getTool(name) !== null;
+  }
+
+  toolsFor(agent) {
+    return (agent.skills || [])
+      .filter(skill => this.skills.has(skill))
+      .flatMap(skill => [...this.skills.get(skill).tools.values()])
+      .map(tool => ({ name: tool.name, description: tool.description, parameters: tool.parameters }));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CALLS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  // Returns { params } with defaults applied, or { errors }. `partial` checks
+  // only the parameters given (e.g. the fixed params of an agent handler).
+  validate(name, params = {}, { partial = false } = {}) {
+    const tool = this.getTool(name);
+    if (!tool) {
+      return { errors: [`unknown tool '${name}'`] };
+    }
+    const errors = [];
+    const properties = partial
+      ? Object.fromEntries(Object.entries(tool.parameters).filter(([key]) => key in Object(params)))
+      : tool.parameters;
+    const checked = checkObject(params, properties, 'params', errors);
+    return errors.length > 0 ? { errors } : { params: checked };
+  }
+
+  // Refused calls (unknown, not granted, invalid) are traced too, as errors
+  async call(agent, name, params = {}) {
+    const tool = this.getTool(name);
+
+    const run = async () => {
+      if (!tool) {
+        throw toolError('unknown_tool', `Unknown tool '${name}'`);
+      }
+      if (!this.canUse(agent, name)) {
+        throw toolError('tool_not_granted', `${agent.id} may not use ${name} (needs skill '${tool.skill}')`);
+      }
+
+      const { params: checked, errors } = this.validate(name, params);
+      if (errors) {
+        const error = toolError('invalid_tool_params', `Invalid parameters for ${name}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        error.errors = errors;
+        throw error;
+      }
+
+      const handler = this.loadHandler(tool);
+      const result = await handler(checked, {
+        ...this.context,
+        agent,
+        config: resolveConfig(this.skills.get(tool.skill).config),
+        logger: toolLogger(agent, tool)
+      });
+
+      // Handlers report failure as { success: false, error }
+      if (result && result.success === false && agent.messageBus) {
+        agent.messageBus.tracer.annotate({ success: false, error: result.error });
+      }
+      return result;
+    };
+
+    // Outside a running swarm there is no trace to record into
+    return agent.messageBus
+      ? agent.trace(`tool:${name}`, run, { tool: name, skill: tool?.skill || null })
+      : run();
+  }
+
+  loadHandler(tool) {
+    if (!fs.existsSync(tool.handler)) {
+      throw toolError('tool_not_installed', `${tool.name} has no handler installed (${path.relative(this.skillsDir, tool.handler)})`);
+    }
+    return require(tool.handler);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MANIFEST VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function validateManifest(manifest, name, file) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw manifestError(file, ['must be a YAML mapping']);
+  }
+  if (manifest.name !== name) {
+    errors.push(`name must match the directory name '${name}', got ${JSON.stringify(manifest.name)}`);
+  }
+  if (!Array.isArray(manifest.tools)) {
+    errors.push('tools must be a list');
+  }
+
+  const tools = new Map();
+  for (const [index, tool] of (Array.isArray(manifest.tools) ? manifest.tools : []).entries()) {
+    const where = `tools[${index}]`;
+    if (!tool || typeof tool.name !== 'string') {
+      errors.push(`${where} needs a name`);
+      continue;
+    }
+    if (tools.has(tool.name)) {
+      errors.push(`${where}: tool '${tool.name}' is defined twice`);
+    }
+    if (typeof tool.handler !== 'string') {
+      errors.push(`${where} (${tool.name}) needs a handler path`);
+    }
+    const parameters = tool.parameters || {};
+    for (const [param, schema] of Object.entries(parameters)) {
+      checkSchema(schema, `${where} (${tool.name}) parameter '${param}'`, errors);
+    }
+
+    tools.set(tool.name, {
+      name: `${name}.${tool.name}`,
+      skill: name,
+      description: tool.description || '',
+      parameters,
+      handler: path.resolve(path.dirname(file), String(tool.handler))
+    });
+  }
+
+  if (errors.length > 0) {
+    throw manifestError(file, errors);
+  }
+
+  return {
+    name,
+    version: manifest.version || null,
+    description: manifest.description || '',
+    config: manifest.config || {},
+    tools
+  };
+}
+
+function checkSchema(schema, where, errors) {
+  if (!schema || typeof schema !== 'object') {
+    errors.push(`${where} must be a mapping`);
+  } else if (!TYPES.includes(schema.type)) {
+    errors.push(`${where} has type ${JSON.stringify(schema.type)} (use ${TYPES.join(', ')})`);
+  } else if (schema.type === 'array' && schema.items) {
+    checkSchema(schema.items, `${where} items`, errors);
+  } else if (schema.type === 'object' && schema.properties) {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      checkSchema(property, `${where} property '${key}'`, errors);
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARAMETER VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function checkObject(value, properties, where, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${where} must be an object`);
+    return value;
+  }
+
+  Object.keys(value)
+    .filter(key => !(key in properties))
+    .forEach(key => errors.push(`${where}.${key} is not a parameter`));
+
+  const result = {};
+  for (const [key, schema] of Object.entries(properties)) {
+    if (value[key] === undefined || value[key] === null) {
+      if (schema.default !== undefined) {
+        result[key] = schema.default;
+      } else if (schema.required) {
+        errors.push(`${where}.${key} is required`);
+      }
+      continue;
+    }
+    result[key] = checkValue(value[key], schema, `${where}.${key}`, errors);
+  }
+  return result;
+}
+
+function checkValue(value, schema, where, errors) {
+  if (!hasType(value, schema.type)) {
+    errors.push(`${where} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${where} must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${where} must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${where} must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where} must match ${schema.pattern}`);
+  }
+  if (schema.format === 'date' && !isDate(value)) {
+    errors.push(`${where} must be a date (YYYY-MM-DD)`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.map((item, index) => checkValue(item, schema.items, `${where}[${index}]`, errors));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    return checkObject(value, schema.properties, where, errors);
+  }
+  return value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function splitName(name) {
+  const at = String(name).indexOf('.');
+  return at < 0 ? [String(name), ''] : [name.slice(0, at), name.slice(at + 1)];
+}
+
+function toolLogger(agent, tool) {
+  const prefix = `[Agent:${agent.id}] ${tool.name}:`;
+  return {
+    info: (message, data) => console.log(prefix, message, data || ''),
+    warn: (message, data) => console.warn(prefix, message, data || ''),
+    error: (message, data) => console.error(prefix, message, data || '')
+  };
+}
+
+function toolError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function manifestError(file, errors) {
+  const error = new Error(`Invalid skill manifest ${file}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  error.code = 'invalid_skill_manifest';
+  error.file = file;
+  error.errors = errors;
+  return error;
+}
+
+module.exports = { SkillRegistry, SKILLS_DIR };
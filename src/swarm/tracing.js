@@ -0,0 +1,223 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SWARM TRACING
+ * Causal trace / span ids across agents, with per-hop timings
+ *
+ * Every message is a span. Messages created while an agent handles another
+ * message (or inside tracer.span()) become its children, so a task can be
+ * rebuilt as a tree: task -> architecture -> QUERY -> RESPONSE ...
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+function newTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function newSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// { traceId, spanId } of the span currently executing, or null
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+function runInContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+class Tracer {
+  constructor(options = {}) {
+    this.maxTraces = options.maxTraces || 1000;
+    // Heartbeats would otherwise start a trace each and push out real ones
+    this.ignoreTypes = new Set(options.ignoreTypes || ['heartbeat']);
+    this.traces = new Map(); // traceId -> Map(spanId -> span), oldest first
+  }
+
+  // Run fn inside a new span: a child of the current span, or the root of
+  // a new trace when there is none. fn receives the span context.
+  async span(name, attributes, fn) {
+    const parent = currentContext();
+    const context = {
+      traceId: parent?.traceId || newTraceId(),
+      spanId: newSpanId()
+    };
+
+    const span = this.addSpan(context.traceId, {
+      spanId: context.spanId,
+      parentSpanId: parent?.spanId || null,
+      name,
+      kind: 'internal',
+      attributes,
+      startedAt: Date.now(),
+      endedAt: null,
+      status: 'running'
+    });
+
+    try {
+      const result = await runInContext(context, () => fn(context));
+      span.status = 'ok';
+      return result;
+    } catch (error) {
+      span.status = 'error';
+      span.error = error.message;
+      throw error;
+    } finally {
+      span.endedAt = Date.now();
+    }
+  }
+
+  // Add attributes to the current span, e.g. the outcome of a tool call
+  annotate(attributes) {
+    const context = currentContext();
+    const span = context && this.traces.get(context.traceId)?.get(context.spanId);
+    if (span?.attributes) {
+      Object.assign(span.attributes, attributes);
+    }
+  }
+
+  recordMessage(message) {
+    if (!message.traceId || !message.spanId || this.ignoreTypes.has(message.type)) return;
+    if (this.traces.get(message.traceId)?.has(message.spanId)) return;
+
+    this.addSpan(message.traceId, {
+      spanId: message.spanId,
+      parentSpanId: message.parentSpanId || null,
+      name: `${message.type} ${message.sender}`,
+      kind: 'message',
+      messageId: message.id,
+      sender: message.sender,
+      recipients: message.recipients,
+      type: message.type,
+      startedAt: new Date(message.timestamp).getTime(),
+      hops: new Map()
+    });
+  }
+
+  // Record what happened to a message at one recipient
+  // (status: queued | processing | delivered | forwarded | failed)
+  recordHop(message, recipientId, fields) {
+    const span = this.traces.get(message.traceId)?.get(message.spanId);
+    if (!span || span.kind !== 'message') return;
+
+    const hop = span.hops.get(recipientId) || { recipientId };
+    span.hops.set(recipientId, Object.assign(hop, fields));
+  }
+
+  addSpan(traceId, span) {
+    if (!this.traces.has(traceId)) {
+      this.traces.set(traceId, new Map());
+      while (this.traces.size > this.maxTraces) {
+        this.traces.delete(this.traces.keys().next().value);
+      }
+    }
+    span.traceId = traceId;
+    this.traces.get(traceId).set(span.spanId, span);
+    return span;
+  }
+
+  // Full tree of a trace. Spans whose parent is unknown here (e.g. it lives
+  // on another node) are returned as additional roots.
+  getTrace(traceId) {
+    const spans = this.traces.get(traceId);
+    if (!spans) return null;
+
+    const nodes = new Map();
+    for (const span of spans.values()) {
+      nodes.set(span.spanId, formatSpan(span));
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    const byStart = (a, b) => a.start - b.start;
+    for (const node of nodes.values()) node.children.sort(byStart);
+    roots.sort(byStart);
+
+    const starts = Array.from(nodes.values()).map(node => node.start);
+    const ends = Array.from(nodes.values()).map(node => node.end);
+    const startedAt = Math.min(...starts);
+    const endedAt = Math.max(...ends);
+
+    for (const node of nodes.values()) stripTimes(node);
+
+    return {
+      traceId,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      duration: endedAt - startedAt,
+      spanCount: nodes.size,
+      roots
+    };
+  }
+}
+
+function formatSpan(span) {
+  const node = {
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    start: span.startedAt,
+    end: span.endedAt || Date.now(),
+    children: []
+  };
+
+  if (span.kind === 'internal') {
+    node.attributes = span.attributes || {};
+    node.status = span.status;
+    if (span.error) node.error = span.error;
+  } else {
+    node.messageId = span.messageId;
+    node.type = span.type;
+    node.sender = span.sender;
+    node.recipients = span.recipients;
+    node.hops = Array.from(span.hops.values()).map(hop => formatHop(hop, span.startedAt));
+    node.end = Math.max(span.startedAt, ...node.hops.map(hop => hop.end));
+  }
+
+  node.startedAt = new Date(node.start).toISOString();
+  node.endedAt = new Date(node.end).toISOString();
+  node.duration = node.end - node.start;
+  return node;
+}
+
+// waitTime: sent -> picked up by the recipient (queueing, transport)
+// processingTime: picked up -> handled
+function formatHop(hop, sentAt) {
+  const formatted = {
+    recipientId: hop.recipientId,
+    status: hop.status,
+    waitTime: hop.startedAt ? hop.startedAt - sentAt : null,
+    processingTime: hop.startedAt && hop.finishedAt ? hop.finishedAt - hop.startedAt : null,
+    end: hop.finishedAt || hop.startedAt || hop.at || sentAt
+  };
+  if (hop.reason) formatted.reason = hop.reason;
+  return formatted;
+}
+
+function stripTimes(node) {
+  delete node.start;
+  delete node.end;
+  if (node.hops) node.hops.forEach(hop => delete hop.end);
+}
+
+module.exports = {
+  Tracer,
+  currentContext,
+  runInContext,
+  newTraceId,
+  newSpanId
+};
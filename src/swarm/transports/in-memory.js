@@ -0,0 +1,83 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * IN-MEMORY TRANSPORT
+ * Default message bus transport - every agent lives in this process
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { createKeyDirectory } = require('../key-ring');
+
+// Buses that share a hub can reach each other's agents, which is how
+// multi-node behaviour is exercised without a Redis server.
+function createHub() {
+  return {
+    nodes: new Map(),     // nodeId -> MessageBus
+    directory: new Map(), // agentId -> nodeId
+    keys: createKeyDirectory()
+  };
+}
+
+class InMemoryTransport {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.hub = options.hub || createHub();
+    this.bus = null;
+  }
+
+  async connect(bus) {
+    this.bus = bus;
+    this.hub.nodes.set(bus.nodeId, bus);
+  }
+
+  async disconnect() {
+    if (!this.bus) return;
+
+    for (const [agentId, nodeId] of this.hub.directory) {
+      if (nodeId === this.bus.nodeId) this.hub.directory.delete(agentId);
+    }
+    this.hub.nodes.delete(this.bus.nodeId);
+    this.bus = null;
+  }
+
+  async registerAgent(agentId) {
+    if (this.bus) this.hub.directory.set(agentId, this.bus.nodeId);
+  }
+
+  async unregisterAgent(agentId) {
+    if (this.bus && this.hub.directory.get(agentId) === this.bus.nodeId) {
+      this.hub.directory.delete(agentId);
+    }
+  }
+
+  async hasAgent(agentId) {
+    const nodeId = this.hub.directory.get(agentId);
+    return !!nodeId && this.hub.nodes.has(nodeId);
+  }
+
+  async listAgents() {
+    return Array.from(this.hub.directory.keys());
+  }
+
+  async getKeyState(principal) {
+    return this.hub.keys.getKeyState(principal);
+  }
+
+  async setKeyState(principal, state) {
+    return this.hub.keys.setKeyState(principal, state);
+  }
+
+  async publish(message, recipientId) {
+    const node = this.hub.nodes.get(this.hub.directory.get(recipientId));
+    if (!node) {
+      return { recipientId, status: 'failed', reason: 'agent_not_found' };
+    }
+
+    // Serialise as a network hop would, so both transports behave the same
+    const data = JSON.parse(JSON.stringify(message.toJSON()));
+    return node.receiveRemote(data, recipientId);
+  }
+}
+
+InMemoryTransport.createHub = createHub;
+
+module.exports = { InMemoryTransport };
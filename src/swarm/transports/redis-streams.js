@@ -0,0 +1,236 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REDIS STREAMS TRANSPORT
+ * Lets agents run in separate processes / containers
+ *
+ * Each agent gets a stream ({prefix}:agent:{agentId}) read through a
+ * consumer group, so messages survive restarts and several replicas of an
+ * agent share its work. A hash ({prefix}:directory) maps agents to the node
+ * hosting them; another ({prefix}:keys) holds signing key versions and
+ * revocations for every node's KeyRing. Messages travel as their full JSON
+ * form; the receiving bus re-verifies the signature and queues them by
+ * priority.
+ *
+ * An entry is acknowledged only once its agent has handled it (or the bus
+ * dead-lettered it). Entries a crashed node read but never acknowledged are
+ * taken over with XAUTOCLAIM when the agent registers again, anywhere.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+class RedisStreamsTransport {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.prefix = options.prefix || 'kenyaclaw:swarm';
+    this.group = options.group || 'kenyaclaw-swarm';
+    this.consumer = options.consumer || null;
+    this.blockMs = options.blockMs || 1000;
+    this.batchSize = options.batchSize || 50;
+    this.maxStreamLength = options.maxStreamLength || 10000;
+    // Pending entries idle this long belong to a consumer that went away
+    this.claimIdleMs = options.claimIdleMs || 60000;
+
+    this.bus = null;
+    this.client = null;
+    this.reader = null;
+    this.streams = new Map(); // stream key -> { agentId, cursor }
+    this.running = false;
+    this.loop = null;
+  }
+
+  async connect(bus) {
+    const Redis = require('ioredis');
+
+    this.bus = bus;
+    this.consumer = this.consumer || bus.nodeId;
+    this.client = new Redis(this.url, { lazyConnect: true });
+    // XREADGROUP BLOCK holds its connection, so reads get their own
+    this.reader = new Redis(this.url, { lazyConnect: true });
+    await Promise.all([this.client.connect(), this.reader.connect()]);
+
+    this.running = true;
+    this.loop = this.consume();
+    console.log(`[RedisTransport] Node ${bus.nodeId} connected to ${this.url}`);
+  }
+
+  async disconnect() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.reader.disconnect();
+    await this.loop;
+
+    for (const { agentId } of Array.from(this.streams.values())) {
+      await this.unregisterAgent(agentId);
+    }
+    await this.client.quit();
+    console.log(`[RedisTransport] Node ${this.bus.nodeId} disconnected`);
+  }
+
+  streamKey(agentId) {
+    return `${this.prefix}:agent:${agentId}`;
+  }
+
+  directoryKey() {
+    return `${this.prefix}:directory`;
+  }
+
+  async registerAgent(agentId) {
+    const stream = this.streamKey(agentId);
+
+    try {
+      // Start from 0 so messages sent before the agent first came up are kept
+      await this.client.xgroup('CREATE', stream, this.group, '0', 'MKSTREAM');
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) throw error;
+    }
+
+    await this.reclaim(stream);
+    await this.client.hset(this.directoryKey(), agentId, this.bus.nodeId);
+    // Read our own pending entries first (left over from a crash), then new ones
+    this.streams.set(stream, { agentId, cursor: '0' });
+  }
+
+  // Claim entries delivered to another consumer (a crashed node, or this one
+  // under an earlier name) that were never acknowledged
+  async reclaim(stream) {
+    let start = '0-0';
+    let claimed = 0;
+    do {
+      const [next, ids] = await this.client.xautoclaim(
+        stream, this.group, this.consumer, this.claimIdleMs, start,
+        'COUNT', this.batchSize, 'JUSTID'
+      );
+      claimed += ids.length;
+      start = next;
+    } while (start !== '0-0');
+
+    if (claimed > 0) {
+      console.log(`[RedisTransport] Reclaimed ${claimed} pending entries from ${stream}`);
+    }
+    return claimed;
+  }
+
+  async unregisterAgent(agentId) {
+    this.streams.delete(this.streamKey(agentId));
+
+    const owner = await this.client.hget(this.directoryKey(), agentId);
+    if (owner === this.bus.nodeId) {
+      await this.client.hdel(this.directoryKey(), agentId);
+    }
+  }
+
+  keysKey() {
+    return `${this.prefix}:keys`;
+  }
+
+  async getKeyState(principal) {
+    const state = await this.client.hget(this.keysKey(), principal);
+    return state ? JSON.parse(state) : null;
+  }
+
+  async setKeyState(principal, state) {
+    await this.client.eval(SET_KEY_STATE, 1, this.keysKey(), principal, JSON.stringify(state), state.version);
+  }
+
+  async hasAgent(agentId) {
+    return (await this.client.hexists(this.directoryKey(), agentId)) === 1;
+  }
+
+  async listAgents() {
+    return this.client.hkeys(this.directoryKey());
+  }
+
+  async publish(message, recipientId) {
+    await this.client.xadd(
+      this.streamKey(recipientId),
+      'MAXLEN', '~', this.maxStreamLength,
+      '*',
+      'message', JSON.stringify(message.toJSON()),
+      'priority', String(message.priority)
+    );
+    return { recipientId, status: 'queued', transport: this.name };
+  }
+
+  async consume() {
+    while (this.running) {
+      if (this.streams.size === 0) {
+        await sleep(this.blockMs);
+        continue;
+      }
+
+      const keys = Array.from(this.streams.keys());
+      const cursors = keys.map(key => this.streams.get(key).cursor);
+
+      let result;
+      try {
+        result = await this.reader.xreadgroup(
+          'GROUP', this.group, this.consumer,
+          'COUNT', this.batchSize,
+          'BLOCK', this.blockMs,
+          'STREAMS', ...keys, ...cursors
+        );
+      } catch (error) {
+        if (!this.running) break;
+        console.error('[RedisTransport] Read failed:', error.message);
+        await sleep(this.blockMs);
+        continue;
+      }
+
+      for (const [stream, entries] of result || []) {
+        const state = this.streams.get(stream);
+        if (!state) continue;
+
+        if (state.cursor !== '>' && entries.length === 0) {
+          state.cursor = '>';
+          continue;
+        }
+
+        for (const [entryId, fields] of entries) {
+          if (state.cursor !== '>') state.cursor = entryId;
+          await this.handleEntry(stream, state.agentId, entryId, fields);
+        }
+      }
+    }
+  }
+
+  async handleEntry(stream, agentId, entryId, fields) {
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      entry[fields[i]] = fields[i + 1];
+    }
+
+    // Until then the entry stays pending, so a crash leaves it to be reclaimed.
+    // Rejected messages are dead-lettered by the bus and acked so they don't loop.
+    const ack = () => this.client.xack(stream, this.group, entryId).catch(error => {
+      console.error(`[RedisTransport] Ack failed for entry ${entryId}:`, error.message);
+    });
+
+    try {
+      await this.bus.receiveRemote(JSON.parse(entry.message), agentId, ack);
+    } catch (error) {
+      console.error(`[RedisTransport] Dropped entry ${entryId} for ${agentId}:`, error.message);
+      await ack();
+    }
+  }
+}
+
+// Write a key state unless the stored one is newer (or the same version revoked)
+const SET_KEY_STATE = `
+local stored = redis.call('HGET', KEYS[1], ARGV[1])
+if stored then
+  local existing = cjson.decode(stored)
+  local version = tonumber(ARGV[3])
+  if version < existing.version or (version == existing.version and existing.revoked) then
+    return 0
+  end
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { RedisStreamsTransport };
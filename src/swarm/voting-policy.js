@@ -0,0 +1,197 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VOTING POLICY
+ * Declarative council rules for the swarm's CouncilArchitecture
+ *
+ *   weights      per-agent vote weight (default 1)
+ *   quorum       share of the eligible weight that must be cast
+ *   threshold    share of the cast weight needed to approve (null = never
+ *                approve automatically)
+ *   rejectThreshold  share of the cast weight that rejects outright
+ *   undecided    outcome when neither threshold is reached: reject | escalate
+ *   topics       per-topic overrides, optionally banded by amount
+ *   vetoes       agents whose reject alone decides, e.g. the CFO on spending
+ *   tieBreaker   equal approve and reject weight go the way this agent voted
+ *                (falls back to the chairman)
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+const { loadConfig } = require('../config');
+
+const Outcomes = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  ESCALATE: 'escalate',
+  NO_QUORUM: 'no_quorum'
+};
+
+const DEFAULT_POLICY = {
+  quorum: 0.5,
+  threshold: 0.66,
+  rejectThreshold: null,
+  undecided: Outcomes.REJECT,
+  weights: {},
+  chairman: 'winston',
+  tieBreaker: null,
+  vetoes: [
+    { authority: 'canHaltSpending', agents: ['adjudicator'], topics: ['financial_approval', 'spending'] }
+  ],
+  topics: {
+    // Proposed actions put to the council by the CouncilService
+    spending: {
+      rejectThreshold: 0.66,
+      undecided: Outcomes.ESCALATE,
+      amounts: [
+        { below: 100, threshold: 0.66 },
+        { below: 1000, threshold: 1 },
+        { threshold: null }
+      ]
+    }
+  }
+};
+
+const RULE_KEYS = ['quorum', 'threshold', 'rejectThreshold', 'undecided'];
+
+class VotingPolicy {
+  constructor(options = {}) {
+    const policy = { ...DEFAULT_POLICY, ...options };
+
+    this.weights = policy.weights || {};
+    this.defaults = pick(policy, RULE_KEYS);
+    this.topics = { ...DEFAULT_POLICY.topics, ...options.topics };
+    this.vetoes = policy.vetoes || [];
+    this.chairman = policy.chairman || null;
+    this.tieBreaker = policy.tieBreaker || policy.chairman || null;
+
+    this.validate();
+  }
+
+  // config.yml: the `voting` section plus agents.chairman / agents.tieBreaker
+  static fromConfig(config = {}) {
+    const voting = config.voting || {};
+    const agents = config.agents || {};
+    return new VotingPolicy({
+      ...voting,
+      chairman: voting.chairman || agents.chairman || DEFAULT_POLICY.chairman,
+      tieBreaker: voting.tieBreaker || agents.tieBreaker || null
+    });
+  }
+
+  static fromFile(configPath) {
+    return VotingPolicy.fromConfig(loadConfig(configPath));
+  }
+
+  validate() {
+    const rules = [this.defaults, ...Object.values(this.topics).flatMap(t => [t, ...(t.amounts || [])])];
+    for (const rule of rules) {
+      for (const key of ['quorum', 'threshold', 'rejectThreshold']) {
+        const value = rule[key];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0 || value > 1)) {
+          throw new Error(`Voting policy ${key} must be between 0 and 1, got ${value}`);
+        }
+      }
+      if (rule.undecided && ![Outcomes.REJECT, Outcomes.ESCALATE].includes(rule.undecided)) {
+        throw new Error(`Voting policy undecided must be 'reject' or 'escalate', got ${rule.undecided}`);
+      }
+    }
+  }
+
+  weightOf(agentId) {
+    const weight = this.weights[agentId];
+    return typeof weight === 'number' ? weight : 1;
+  }
+
+  // Rule for a topic and amount: defaults <- topic <- first matching band
+  ruleFor(topic, amount = 0) {
+    const topicRule = this.topics[topic] || {};
+    const band = (topicRule.amounts || []).find(b => b.below === undefined || amount < b.below) || {};
+    return { ...this.defaults, ...pick(topicRule, RULE_KEYS), ...pick(band, RULE_KEYS) };
+  }
+
+  // Veto holders for a topic: listed by id, or holding the named authority
+  // in their decisionAuthority (e.g. the Adjudicator's canHaltSpending)
+  vetoHolders(topic, members = []) {
+    const holders = new Set();
+    for (const veto of this.vetoes) {
+      if (veto.topics && !veto.topics.includes(topic)) continue;
+      (veto.agents || []).forEach(id => holders.add(id));
+      if (veto.authority) {
+        members.filter(m => m.decisionAuthority?.[veto.authority]).forEach(m => holders.add(m.id));
+      }
+    }
+    return holders;
+  }
+
+  // Decide a vote.
+  //   voters       ids of everyone eligible to vote
+  //   votes        [{ agent, vote }] as cast (approve | reject | abstain)
+  //   members      agent objects, used to find veto authorities
+  //   castingVote  the tie-breaker's vote when they are not a voter
+  decide({ topic, amount = 0, voters, votes, members = [], castingVote = null }) {
+    const rule = this.ruleFor(topic, amount);
+    const eligible = new Set(voters || votes.map(v => v.agent));
+    const counted = votes.filter(v => eligible.has(v.agent));
+
+    const tally = { approve: 0, reject: 0, abstain: 0 };
+    counted.forEach(v => {
+      tally[v.vote] = (tally[v.vote] || 0) + this.weightOf(v.agent);
+    });
+
+    const eligibleWeight = sum(Array.from(eligible).map(id => this.weightOf(id)));
+    const castWeight = tally.approve + tally.reject + tally.abstain;
+    const required = eligibleWeight * rule.quorum;
+    const consensus = castWeight > 0 ? tally.approve / castWeight : 0;
+
+    const result = {
+      topic,
+      rule,
+      tally,
+      consensus,
+      quorum: { required, cast: castWeight, met: eligibleWeight > 0 && castWeight >= required },
+      veto: null,
+      tie: null
+    };
+
+    if (!result.quorum.met) {
+      return { ...result, outcome: Outcomes.NO_QUORUM };
+    }
+
+    const holders = this.vetoHolders(topic, members);
+    const veto = counted.find(v => v.vote === 'reject' && holders.has(v.agent));
+    if (veto) {
+      return { ...result, outcome: Outcomes.REJECT, veto: { agent: veto.agent, reasoning: veto.reasoning || '' } };
+    }
+
+    if (rule.threshold !== null && consensus >= rule.threshold) {
+      return { ...result, outcome: Outcomes.APPROVE };
+    }
+    if (rule.rejectThreshold !== null && castWeight > 0 && tally.reject / castWeight >= rule.rejectThreshold) {
+      return { ...result, outcome: Outcomes.REJECT };
+    }
+
+    if (tally.approve > 0 && tally.approve === tally.reject && this.tieBreaker) {
+      const own = counted.find(v => v.agent === this.tieBreaker);
+      const decider = own && own.vote !== 'abstain' ? own.vote : castingVote;
+      result.tie = { tieBreaker: this.tieBreaker, vote: decider || null };
+      if (decider === 'approve' || decider === 'reject') {
+        return { ...result, outcome: decider };
+      }
+    }
+
+    return { ...result, outcome: rule.undecided };
+  }
+}
+
+function pick(source, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (source[key] !== undefined) picked[key] = source[key];
+  });
+  return picked;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+module.exports = { VotingPolicy, Outcomes, DEFAULT_POLICY };
@@ -0,0 +1,64 @@
+/**
+ * Instance config: ${VAR} and ${VAR:-default} resolution, and which file
+ * is read
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveConfig } = require('../src/config');
+
+function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('variables resolve from the environment, then their default, then to empty', () => {
+  const config = withEnv({ KC_TEST_REDIS: 'redis://cache:6380', KC_TEST_UNSET: undefined, KC_TEST_EMPTY: '' }, () => resolveConfig({
+    redis: { url: '${KC_TEST_REDIS:-redis://redis:6379}' },
+    fallback: '${KC_TEST_UNSET:-redis://redis:6379}',
+    empty: '${KC_TEST_EMPTY:-used when empty}',
+    missing: '${KC_TEST_UNSET}',
+    blankDefault: '${KC_TEST_UNSET:-}',
+    mixed: 'https://${KC_TEST_UNSET:-localhost}:${KC_TEST_UNSET:-3000}/hooks',
+    list: ['${KC_TEST_REDIS}', 7, true, null]
+  }));
+
+  assert.deepEqual(config, {
+    redis: { url: 'redis://cache:6380' },
+    fallback: 'redis://redis:6379',
+    empty: 'used when empty',
+    missing: '',
+    blankDefault: '',
+    mixed: 'https://localhost:3000/hooks',
+    list: ['redis://cache:6380', 7, true, null]
+  });
+});
+
+test('reads the file KENYACLAW_CONFIG points at, and the repo config.yml otherwise', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  const file = path.join(dir, 'config.yml');
+  fs.writeFileSync(file, 'redis:\n  url: ${KC_TEST_UNSET:-redis://localhost:6379}\n');
+  try {
+    const config = withEnv({ KENYACLAW_CONFIG: file, KC_TEST_UNSET: undefined }, () => loadConfig());
+    assert.deepEqual(config, { redis: { url: 'redis://localhost:6379' } });
+
+    const repo = withEnv({ KENYACLAW_CONFIG: undefined, REDIS_URL: undefined }, () => loadConfig());
+    assert.equal(repo.memory.vectorStore.url, 'redis://redis:6379');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
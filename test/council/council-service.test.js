@@ -0,0 +1,188 @@
+/**
+ * Council service: rulings from the swarm's council architecture through
+ * escalation, the decision ledger, execution and the gateway adapters
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CouncilService } = require('../../src/council/council-service');
+const { GatewayAdapter, TelegramAdapter, createAdapters } = require('../../src/council/gateway-adapters');
+const { createMockEndpoint } = require('../../src/council/execution-runner');
+const { KenyaClawSwarm } = require('../../src/swarm');
+
+const APPROVER = 'telegram:5550001';
+
+let dir;
+let mock;
+let endpoint;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'council-service-'));
+  mock = createMockEndpoint();
+  endpoint = await mock.listen();
+});
+
+afterEach(async () => {
+  await mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Posts to an array instead of a chat platform
+class RecordingAdapter extends GatewayAdapter {
+  constructor() {
+    super('recording', { channels: { council: 'council-chat' } });
+    this.sent = [];
+  }
+
+  async send(target, text) {
+    this.sent.push({ target, text });
+  }
+}
+
+// A swarm whose council architecture rules `outcome` on every task
+function createSwarm(outcome) {
+  const swarm = {
+    tasks: [],
+    orchestrator: { setCouncil: council => { swarm.council = council; } },
+    submitTask: async (task) => {
+      swarm.tasks.push(task);
+      return swarm.council.settle(task, ruling(`proposal-${swarm.tasks.length}`, outcome));
+    }
+  };
+  return swarm;
+}
+
+function ruling(proposalId, outcome) {
+  return {
+    proposalId,
+    outcome,
+    votes: [
+      { agent: 'winston', codename: 'Winston', vote: 'approve', reasoning: 'Within plan' },
+      { agent: 'adjudicator', codename: 'The Adjudicator', vote: outcome === 'approve' ? 'approve' : 'reject', reasoning: 'Cost' }
+    ],
+    tally: { approve: 1, reject: 1 },
+    veto: null,
+    tie: null,
+    message: `The Council rules: ${outcome}`
+  };
+}
+
+function createCouncil(swarm, adapter) {
+  return new CouncilService(swarm, {
+    adapters: [adapter],
+    ledgerOptions: { path: path.join(dir, 'ledger.jsonl') },
+    escalation: { approvers: [APPROVER] },
+    execution: { endpoint, baseDelay: 1 }
+  });
+}
+
+const task = { type: 'spending', description: 'Renew the CDN contract', proposedAction: 'Renew CDN for 12 months', amount: 120 };
+
+test('an approved ruling is recorded, executed and posted to the council channel', async () => {
+  const adapter = new RecordingAdapter();
+  const swarm = createSwarm('approve');
+  const council = createCouncil(swarm, adapter);
+
+  const result = await council.settle(task, ruling('proposal-1', 'approve'));
+  assert.equal(result.decision.outcome, 'approve');
+  assert.equal(result.decision.execution.status, 'succeeded');
+  assert.equal(mock.requests.length, 1);
+
+  assert.deepEqual(council.ledger.history('proposal-1').map(e => e.type), ['decision', 'execution', 'execution']);
+  assert.equal(council.ledger.verify().valid, true);
+  assert.equal(adapter.sent.length, 1);
+  assert.equal(adapter.sent[0].target, 'council-chat');
+  assert.match(adapter.sent[0].text, /Result: APPROVE/);
+  assert.match(adapter.sent[0].text, /Execution: succeeded/);
+});
+
+test('a rejected ruling is recorded and posted but not executed', async () => {
+  const adapter = new RecordingAdapter();
+  const council = createCouncil(createSwarm('reject'), adapter);
+
+  await council.settle(task, ruling('proposal-1', 'reject'));
+  assert.equal(mock.requests.length, 0);
+  assert.deepEqual(council.ledger.history('proposal-1').map(e => [e.type, e.outcome]), [['decision', 'reject']]);
+  assert.match(adapter.sent[0].text, /Result: REJECT/);
+});
+
+test('an escalated ruling waits for a human, then completes with their decision', async () => {
+  const adapter = new RecordingAdapter();
+  const council = createCouncil(createSwarm('escalate'), adapter);
+
+  const result = await council.settle(task, ruling('proposal-1', 'escalate'));
+  assert.ok(result.escalationId);
+  assert.equal(council.escalations.get(result.escalationId).status, 'pending');
+  assert.equal(mock.requests.length, 0);
+  assert.match(adapter.sent[0].text, new RegExp(`/approve ${result.escalationId.slice(0, 8)}`));
+
+  // Approved in the council channel; the outcome is posted after the reply
+  const reply = await adapter.handleText('council-chat', `/approve ${result.escalationId} budget confirmed`, { id: APPROVER, name: 'Marcus' });
+  assert.match(reply, /approved by Marcus/);
+  await until(() => adapter.sent.length === 3);
+
+  assert.equal(mock.requests.length, 1);
+  assert.deepEqual(council.ledger.history('proposal-1').map(e => e.type), ['decision', 'resolution', 'execution', 'execution']);
+  const [, resolution] = council.ledger.history('proposal-1');
+  assert.equal(resolution.resolution.by, APPROVER);
+  assert.equal(resolution.resolution.note, 'budget confirmed');
+  assert.match(adapter.sent[2].text, /Decided by: telegram:5550001 \(budget confirmed\)/);
+});
+
+test('/propose puts an action to the council for authorised users only', async () => {
+  const adapter = new RecordingAdapter();
+  const swarm = createSwarm('approve');
+  createCouncil(swarm, adapter);
+
+  const refused = await adapter.handleText('council-chat', '/propose 50 Buy a domain', { id: 'telegram:666', name: 'Stranger' });
+  assert.match(refused, /not authorised to propose/);
+  assert.equal(await adapter.handleText('council-chat', '/propose lots Buy a domain', { id: APPROVER }), 'Usage: /propose <cost> <action>');
+  assert.equal(await adapter.handleText('elsewhere', '/propose 50 Buy a domain', { id: APPROVER }), null);
+  assert.equal(swarm.tasks.length, 0);
+
+  const reply = await adapter.handleText('council-chat', '/propose $1,200 Migrate to the new region', { id: APPROVER, name: 'Marcus' });
+  assert.equal(reply, '🗳️ Council decision proposal-1: APPROVE');
+  assert.deepEqual(swarm.tasks[0], {
+    type: 'spending', description: 'Proposed by Marcus', proposedAction: 'Migrate to the new region', amount: 1200, requiredSkills: ['finance', 'treasury']
+  });
+  assert.equal(mock.requests[0].body.decisionId, 'proposal-1');
+});
+
+test('the channels section of config.yml decides which gateways are built', () => {
+  assert.deepEqual(createAdapters({ telegram: { enabled: true, token: '' }, discord: { enabled: false } }), []);
+
+  const [telegram] = createAdapters({
+    telegram: { enabled: true, token: 'bot-token', councilChatId: '-100123', webhookSecret: 'hook-secret' }
+  });
+  assert.ok(telegram instanceof TelegramAdapter);
+  assert.equal(telegram.token, 'bot-token');
+  assert.equal(telegram.secret, 'hook-secret');
+  assert.deepEqual(telegram.channels, { council: '-100123' });
+});
+
+test('the swarm settles its council rulings through the service', async () => {
+  const adapter = new RecordingAdapter();
+  const swarm = new KenyaClawSwarm({
+    modelProvider: null,
+    memory: {},
+    council: { adapters: [adapter], ledgerOptions: { path: path.join(dir, 'ledger.jsonl') } }
+  });
+  assert.equal(swarm.orchestrator.getCouncil(), swarm.council);
+
+  await swarm.initialize();
+  try {
+    const result = await swarm.requestSpendingApproval(2500, 'New server infrastructure');
+    assert.ok(result.decision);
+    assert.equal(swarm.council.ledger.history(result.decision.id)[0].topic, 'New server infrastructure');
+    assert.match(adapter.sent[0].text, /New server infrastructure/);
+  } finally {
+    await swarm.shutdown();
+  }
+});
+
+async function until(condition) {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
@@ -0,0 +1,106 @@
+/**
+ * Decision ledger: the hash chain and head record catch edits, reordering,
+ * truncation and damaged lines
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DecisionLedger } = require('../../src/council/decision-ledger');
+
+let dir;
+let ledgerPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  ledgerPath = path.join(dir, 'council', 'ledger.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function recordThree() {
+  const ledger = new DecisionLedger({ path: ledgerPath });
+  ledger.recordDecision({ id: 'proposal-1', topic: 'Renew the CDN contract', costEstimate: 120, votes: {}, outcome: 'approve' });
+  ledger.recordExecution('proposal-1', { status: 'completed' });
+  ledger.recordDecision({ id: 'proposal-2', topic: 'Hire a contractor', costEstimate: 900, votes: {}, outcome: 'escalate' });
+  return ledger;
+}
+
+function lines() {
+  return fs.readFileSync(ledgerPath, 'utf8').trim().split('\n');
+}
+
+function rewrite(newLines) {
+  fs.writeFileSync(ledgerPath, newLines.join('\n') + '\n');
+}
+
+test('an untouched ledger verifies, and a restart continues the chain', () => {
+  const ledger = recordThree();
+  assert.deepEqual(ledger.verify(), { valid: true, entries: 3, lastHash: ledger.lastHash, errors: [] });
+
+  const reopened = new DecisionLedger({ path: ledgerPath });
+  const entry = reopened.recordResolution({ id: 'proposal-2', outcome: 'approve', resolution: { by: 'discord:81234' } });
+  assert.equal(entry.seq, 4);
+  assert.equal(entry.prevHash, ledger.lastHash);
+  assert.equal(reopened.verify().valid, true);
+  assert.deepEqual(reopened.history('proposal-2').map(e => e.type), ['decision', 'resolution']);
+});
+
+test('an edited entry no longer matches its hash', () => {
+  recordThree();
+  const edited = lines();
+  edited[0] = edited[0].replace('"costEstimate":120', '"costEstimate":12');
+  rewrite(edited);
+
+  assert.deepEqual(new DecisionLedger({ path: ledgerPath }).verify().errors, [
+    { line: 1, seq: 1, reason: 'entry contents do not match its hash' }
+  ]);
+});
+
+test('reordered entries break the sequence and the chain', () => {
+  recordThree();
+  const [first, second, third] = lines();
+  rewrite([first, third, second]);
+
+  const { valid, errors } = new DecisionLedger({ path: ledgerPath }).verify();
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(({ line, reason }) => [line, reason]), [
+    [2, 'expected sequence 2'],
+    [2, 'previous hash does not match'],
+    [3, 'expected sequence 4'],
+    [3, 'previous hash does not match'],
+    [undefined, 'ledger ends at sequence 2 but the head is at 3 (truncated)']
+  ]);
+});
+
+test('entries cut off the end are caught by the head record', () => {
+  recordThree();
+  rewrite(lines().slice(0, 2));
+
+  const ledger = new DecisionLedger({ path: ledgerPath });
+  assert.deepEqual(ledger.verify().errors, [
+    { seq: 3, reason: 'ledger ends at sequence 2 but the head is at 3 (truncated)' }
+  ]);
+  // New entries do not reuse the missing sequence numbers
+  assert.equal(ledger.recordExecution('proposal-2', { status: 'skipped' }).seq, 4);
+
+  fs.rmSync(`${ledgerPath}.head`);
+  assert.deepEqual(new DecisionLedger({ path: ledgerPath }).verify().errors.slice(-1), [{ reason: 'head record is missing' }]);
+});
+
+test('a torn last line is reported and later entries start on a line of their own', () => {
+  recordThree();
+  fs.appendFileSync(ledgerPath, '{"seq":4,"type":"execu');
+
+  const ledger = new DecisionLedger({ path: ledgerPath });
+  assert.equal(ledger.lastSeq, 3);
+  ledger.recordExecution('proposal-2', { status: 'completed' });
+
+  assert.equal(lines().length, 5);
+  assert.deepEqual(ledger.verify().errors, [{ line: 4, reason: 'unreadable entry' }]);
+  assert.equal(ledger.verify().entries, 4);
+});
@@ -0,0 +1,59 @@
+/**
+ * Escalation queue: who may decide, and what happens when nobody does
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EscalationQueue } = require('../../src/council/escalation-queue');
+
+function withEnv(values, fn) {
+  const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+const decision = { id: 'proposal-1', topic: 'Renew the CDN contract', costEstimate: 120, votes: {} };
+
+test('API tokens map to gateway-style user ids', () => {
+  const queue = withEnv({ COUNCIL_API_TOKENS: 'tok-1:discord:81234, tok-2:telegram:5550001' }, () => new EscalationQueue());
+  try {
+    assert.deepEqual(queue.apiTokens, { 'tok-1': 'discord:81234', 'tok-2': 'telegram:5550001' });
+    assert.equal(queue.authenticate({ headers: { authorization: 'Bearer tok-1' } }), 'discord:81234');
+    assert.equal(queue.authenticate({ headers: { authorization: 'Bearer tok-1:discord' } }), null);
+    assert.equal(queue.isAuthorised('discord:81234'), true);
+
+    // The same person deciding over HTTP and in chat
+    const escalation = queue.escalate(decision);
+    const reply = queue.handleChatCommand(`/reject ${escalation.id} too early`, { id: 'telegram:5550001', name: 'Marcus' });
+    assert.match(reply, /rejected by Marcus/);
+    assert.equal(queue.get(escalation.id).resolution.by, 'telegram:5550001');
+  } finally {
+    queue.close();
+  }
+});
+
+test('only approvers decide, and an unanswered escalation takes its default action', async () => {
+  const queue = new EscalationQueue({ approvers: ['discord:81234'], timeout: 20, defaultAction: 'approve' });
+  try {
+    const escalation = queue.escalate(decision);
+    assert.match(queue.handleChatCommand(`/approve ${escalation.id}`, { id: 'discord:666' }), /not authorised/);
+    assert.equal(queue.get(escalation.id).status, 'pending');
+
+    // The queue's timers do not hold the process open; this one does
+    const keepAlive = setTimeout(() => {}, 1000);
+    const resolved = await new Promise(resolve => queue.once('escalation:resolved', resolve));
+    clearTimeout(keepAlive);
+    assert.equal(resolved.id, escalation.id);
+    assert.equal(resolved.status, 'expired');
+    assert.equal(resolved.resolution.action, 'approve');
+  } finally {
+    queue.close();
+  }
+});
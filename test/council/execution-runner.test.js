@@ -0,0 +1,88 @@
+/**
+ * Council execution against the mock /v1/autonomous/execute endpoint
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExecutionRunner, ExecutionStatus, createMockEndpoint } = require('../../src/council/execution-runner');
+const { DecisionLedger } = require('../../src/council/decision-ledger');
+
+let dir;
+let ledger;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'council-execution-'));
+  ledger = new DecisionLedger({ path: path.join(dir, 'ledger.jsonl') });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function decision(id = 'decision-1') {
+  return { id, proposedAction: 'Renew the CDN contract', costEstimate: 120 };
+}
+
+async function withMock(options, fn) {
+  const mock = createMockEndpoint(options);
+  const endpoint = await mock.listen();
+  try {
+    await fn(mock, endpoint);
+  } finally {
+    await mock.close();
+  }
+}
+
+test('retries until the endpoint recovers and records each status', async () => {
+  await withMock({ failFirst: 2 }, async (mock, endpoint) => {
+    const runner = new ExecutionRunner({ ledger, endpoint, baseDelay: 1 });
+    const result = await runner.run(decision());
+
+    assert.equal(result.status, ExecutionStatus.SUCCEEDED);
+    assert.equal(result.attempts, 3);
+    assert.equal(new Set(mock.requests.map(r => r.idempotencyKey)).size, 1);
+    assert.deepEqual(ledger.history('decision-1').map(e => e.result.status), ['pending', 'succeeded']);
+    assert.equal(ledger.verify().valid, true);
+  });
+});
+
+test('runs a decision once, however often it is asked to', async () => {
+  await withMock({}, async (mock, endpoint) => {
+    const runner = new ExecutionRunner({ ledger, endpoint });
+    const [first, concurrent] = await Promise.all([runner.run(decision()), runner.run(decision())]);
+    const again = await runner.run(decision());
+
+    assert.equal(mock.requests.length, 1);
+    assert.equal(concurrent.response.executionId, first.response.executionId);
+    assert.equal(again.skipped, true);
+  });
+});
+
+test('a real run after a dry run executes instead of replaying the dry run', async () => {
+  await withMock({}, async (mock, endpoint) => {
+    const dryRun = await new ExecutionRunner({ ledger, endpoint, dryRun: true }).run(decision());
+    const live = await new ExecutionRunner({ ledger, endpoint, dryRun: false }).run(decision());
+
+    assert.equal(dryRun.response.dryRun, true);
+    assert.equal(live.response.dryRun, false);
+    assert.equal(live.response.replayed, false);
+    assert.notEqual(dryRun.idempotencyKey, live.idempotencyKey);
+    assert.deepEqual(mock.requests.map(r => r.dryRun), [true, false]);
+  });
+});
+
+test('the mock answers malformed JSON with a 400', async () => {
+  await withMock({}, async (mock, endpoint) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-1' },
+      body: '{"decisionId":'
+    });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /not valid JSON/);
+  });
+});
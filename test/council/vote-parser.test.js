@@ -0,0 +1,77 @@
+/**
+ * Vote parser: JSON verdicts from model answers, contradictions, and the
+ * repair loop that ends in an abstention
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VoteParser, parseVerdict } = require('../../src/council/vote-parser');
+
+// Answers with each of `answers` in turn and keeps the prompts it was sent
+function scriptedAgent(answers) {
+  const agent = { prompts: [] };
+  agent.ask = async ({ message }) => {
+    agent.prompts.push(message);
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return agent;
+}
+
+const verdict = (fields = {}) => JSON.stringify({ vote: 'approve', confidence: 0.8, reasoning: 'Cheap and reversible.', ...fields });
+
+test('reads a verdict from a code fence with prose around it', () => {
+  const answer = `Here is my verdict:\n\`\`\`json\n${verdict({ vote: ' Reject ', reasoning: 'Too early {really}.', risks: ['churn'] })}\n\`\`\`\nThanks.`;
+  assert.deepEqual(parseVerdict(answer), {
+    verdict: { vote: 'reject', confidence: 0.8, reasoning: 'Too early {really}.', conditions: [], risks: ['churn'] },
+    errors: [],
+    contradictions: []
+  });
+});
+
+test('lists every schema problem, and refuses answers without JSON', () => {
+  assert.deepEqual(parseVerdict('I approve.'), { verdict: null, errors: ['No JSON object found in the answer'], contradictions: [] });
+  assert.deepEqual(parseVerdict('{"vote": "maybe", "confidence": 2, "conditions": "none"}').errors, [
+    '"vote" must be one of approve, reject, abstain',
+    '"confidence" must be a number between 0 and 1',
+    '"reasoning" must be a non-empty string',
+    '"conditions" must be an array of strings'
+  ]);
+});
+
+test('finds answers that contradict their own vote', () => {
+  assert.deepEqual(parseVerdict(verdict({ reasoning: 'I cannot support this spend.' })).contradictions, [
+    'Reasoning ("cannot support") contradicts the approve vote'
+  ]);
+  assert.deepEqual(parseVerdict(`My vote is reject.\n${verdict()}`).contradictions, [
+    'Answer says "vote is reject" but the verdict is approve'
+  ]);
+  assert.deepEqual(parseVerdict(`${verdict()} or perhaps ${verdict({ vote: 'abstain' })}`).contradictions, [
+    'Answer contains conflicting votes: approve, abstain'
+  ]);
+});
+
+test('sends bad answers back with what was wrong until one is usable', async () => {
+  const agent = scriptedAgent([new Error('rate limited'), 'Approve!', verdict({ conditions: ['cap at KES 5,000'] })]);
+  const result = await new VoteParser().ask(agent, { message: 'Approve the Q3 ad spend?' });
+
+  assert.equal(result.vote, 'approve');
+  assert.deepEqual(result.conditions, ['cap at KES 5,000']);
+  assert.equal(result.attempts, 3);
+  assert.equal(agent.prompts[0], agent.prompts[1], 'a failed request is retried with the same prompt');
+  assert.match(agent.prompts[2], /could not be used:\n- No JSON object found in the answer/);
+  assert.match(agent.prompts[2], /Previous answer:\nApprove!/);
+});
+
+test('abstains with the reason once the attempts run out', async () => {
+  const contradictory = verdict({ reasoning: 'We should not approve this yet.' });
+  const result = await new VoteParser({ maxAttempts: 2 }).ask(scriptedAgent([contradictory, contradictory]), { message: 'Hire?' });
+
+  assert.equal(result.vote, 'abstain');
+  assert.equal(result.confidence, 0);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.fallback.reason, 'Reasoning ("should not approve") contradicts the approve vote');
+  assert.equal(result.reasoning, `No valid vote after 2 attempts: ${result.fallback.reason}`);
+  assert.equal(result.fallback.history.length, 2);
+});
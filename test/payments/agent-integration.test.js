@@ -0,0 +1,78 @@
+/**
+ * Agents' payments: the budget decides what goes to the council
+ * (MpesaService against the Daraja mock)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PaymentAgentIntegration } = require('../../src/payments/agent-integration');
+const { BudgetManager } = require('../../src/payments/budget-manager');
+const { InMemoryTransactionStore } = require('../../src/payments/transaction-store');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+
+let mock;
+let baseUrl;
+
+beforeEach(async () => {
+  mock = createDarajaMock({ delay: 60000 }); // no callbacks during the test
+  baseUrl = await mock.listen();
+});
+
+afterEach(async () => {
+  await mock.close();
+});
+
+// A swarm whose council approves everything and records what it was asked
+function createSwarm(agent) {
+  const tasks = [];
+  return {
+    tasks,
+    agents: new Map([[agent.id, agent]]),
+    getAgent: id => (id === agent.id ? agent : null),
+    submitTask: async (task) => {
+      tasks.push(task);
+      return { status: 'approved', proposalId: `proposal-${tasks.length}` };
+    }
+  };
+}
+
+function createIntegration(swarm) {
+  return new PaymentAgentIntegration(swarm, {
+    transactionStore: new InMemoryTransactionStore(),
+    budgets: new BudgetManager({ swarm }),
+    mpesa: {
+      baseUrl, consumerKey: 'key', consumerSecret: 'secret', shortcode: '174379', passkey: 'passkey',
+      callbackUrl: 'http://127.0.0.1:1/callback'
+    }
+  });
+}
+
+function createAgent() {
+  return {
+    id: 'charon', codename: 'The Gatekeeper', decisionAuthority: { spending: 5000 },
+    remember: async () => {}, getQuote: () => 'Welcome to the Continental.'
+  };
+}
+
+const payment = amount => ({ type: 'invoice_payment', provider: 'mpesa', country: 'KE', amount, currency: 'KES', customerPhone: '0712345678' });
+
+test('a payment within budget and the agent\'s authority is not put to the council', async () => {
+  const charon = createAgent();
+  const swarm = createSwarm(charon);
+  const { payments } = createIntegration(swarm);
+
+  const result = await charon.processPayment(payment(1000));
+  assert.equal(result.success, true);
+  assert.deepEqual(swarm.tasks.map(task => task.type), ['payment_completed']);
+  assert.equal(payments.budgets.spent('agent', 'charon', 'daily').reserved, 1000);
+});
+
+test('a payment over the agent\'s authority is voted on once, as a budget request', async () => {
+  const charon = createAgent();
+  const swarm = createSwarm(charon);
+  createIntegration(swarm);
+
+  const result = await charon.processPayment(payment(8000));
+  assert.equal(result.success, true);
+  assert.deepEqual(swarm.tasks.map(task => task.type), ['financial_approval', 'payment_completed']);
+});
@@ -0,0 +1,179 @@
+/**
+ * Paybill (C2B) payments end to end: the Daraja mock calls the webhook
+ * routes over HTTP, and only confirmations the Transaction Status API
+ * verifies reach the invoice
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { KenyaClawPayments } = require('../../src/payments');
+const { BudgetManager } = require('../../src/payments/budget-manager');
+const { MpesaService } = require('../../src/payments/mpesa');
+const { PaymentWebhookHandler } = require('../../src/payments/webhooks');
+const { InvoiceReconciler } = require('../../src/payments/invoice-reconciler');
+const { TransactionProcessor } = require('../../src/payments/transaction-processor');
+const { InMemoryTransactionStore } = require('../../src/payments/transaction-store');
+const { PaymentStatus } = require('../../src/payments/payment-states');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+
+const TOKEN = 'c2b-test-token';
+const SHORTCODE = '600000';
+
+let mock;
+let server;
+let appUrl;
+let mpesa;
+let transactions;
+let invoices;
+
+beforeEach(async () => {
+  mock = createDarajaMock({ delay: 1 });
+  const baseUrl = await mock.listen();
+
+  transactions = new InMemoryTransactionStore();
+  invoices = new Map([['INV-1', { id: 'INV-1', number: 'INV-1', amount: 500, amountPaid: 0, currency: 'KES', status: 'sent' }]]);
+  const db = {
+    getInvoice: async (key) => invoices.get(key) || null,
+    updateInvoice: async (id, fields) => { invoices.set(id, { ...invoices.get(id), ...fields }); }
+  };
+  const reconciler = new InvoiceReconciler({ db, transactions });
+
+  const app = express();
+  app.use(express.json());
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  appUrl = `http://127.0.0.1:${server.address().port}`;
+
+  mpesa = new MpesaService({
+    baseUrl, transactions, consumerKey: 'key', consumerSecret: 'secret', shortcode: SHORTCODE, passkey: 'passkey',
+    callbackUrl: `${appUrl}/webhooks/mpesa/stk`, initiatorName: 'testapi', securityCredential: 'credential',
+    c2bToken: TOKEN, c2bValidator: payment => reconciler.validate(payment)
+  });
+  const webhooks = new PaymentWebhookHandler(mpesa, null, {
+    transactions,
+    onPaymentSuccess: (provider, transaction) => reconciler.reconcile(transaction)
+  });
+  webhooks.setupRoutes(app);
+});
+
+afterEach(async () => {
+  await mock.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function until(condition) {
+  while (!await condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function confirmation(fields = {}) {
+  return {
+    TransactionType: 'Pay Bill', TransID: 'QKX0000001', TransTime: '20260101120000', TransAmount: '500.00',
+    BusinessShortCode: SHORTCODE, BillRefNumber: 'INV-1', MSISDN: '254712345678', FirstName: 'Mallory', ...fields
+  };
+}
+
+function confirm(body, token = TOKEN) {
+  const query = token ? `?token=${token}` : '';
+  return fetch(`${appUrl}/webhooks/c2b/confirm${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('a paybill payment is verified with Daraja before the invoice is marked paid', async () => {
+  const registered = await mpesa.registerC2BUrls({ responseType: 'Cancelled' });
+  assert.equal(registered.success, true);
+  assert.equal(new URL(mock.registrations.get(SHORTCODE).ConfirmationURL).searchParams.get('token'), TOKEN);
+
+  await fetch(`${mpesa.baseUrl}/mpesa/c2b/v1/simulate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ShortCode: SHORTCODE, CommandID: 'CustomerPayBillOnline', Amount: 500, Msisdn: '254712345678', BillRefNumber: 'INV-1' })
+  });
+
+  await until(() => invoices.get('INV-1').status === 'paid');
+  const [payment] = transactions.list({ type: 'c2b' });
+  assert.equal(payment.status, PaymentStatus.COMPLETED);
+  assert.equal(payment.verification, 'verified');
+  assert.equal(payment.invoiceId, 'INV-1');
+  assert.deepEqual(transactions.history(payment.id).map(e => [e.status, e.source]), [['pending', 'callback'], ['completed', 'query']]);
+  assert.ok(mock.requests.some(r => r.route === 'POST /mpesa/transactionstatus/v1/query' && r.body.TransactionID === payment.receiptNumber));
+});
+
+test('confirmations without the token are refused', async () => {
+  assert.equal((await confirm(confirmation(), null)).status, 401);
+  assert.equal((await confirm(confirmation(), 'guessed')).status, 401);
+  const legacy = await fetch(`${appUrl}/webhooks/mpesa/c2b/confirm`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(confirmation())
+  });
+  assert.equal(legacy.status, 401);
+
+  assert.equal(transactions.size(), 0);
+  assert.equal(invoices.get('INV-1').amountPaid, 0);
+});
+
+test('a confirmation Daraja does not know stays pending and pays nothing', async () => {
+  assert.equal((await confirm(confirmation())).status, 200);
+
+  await until(() => transactions.lookup('QKX0000001')?.verification === 'failed');
+  const payment = transactions.lookup('QKX0000001');
+  assert.equal(payment.status, PaymentStatus.PENDING);
+  assert.match(payment.verificationError, /does not exist/);
+  assert.equal(invoices.get('INV-1').amountPaid, 0);
+});
+
+test('paybill payments waiting on verification are not expired with stale STK pushes', async () => {
+  await confirm(confirmation());
+  await until(() => transactions.lookup('QKX0000001')?.verification === 'failed');
+  transactions.create({ id: 'MPESA-1', provider: 'mpesa', type: 'stk_push', amount: 100, currency: 'KES', status: PaymentStatus.PENDING });
+
+  const processor = new TransactionProcessor(mpesa, null, { transactions });
+  assert.equal(processor.expirePending(0), 1);
+  assert.equal(transactions.get('MPESA-1').status, PaymentStatus.EXPIRED);
+  assert.equal(transactions.lookup('QKX0000001').status, PaymentStatus.PENDING);
+});
+
+test('a confirmation that inflates a real payment is rejected', async () => {
+  mock.payments.set('QKX0000002', confirmation({ TransID: 'QKX0000002', TransAmount: '5.00' }));
+  await confirm(confirmation({ TransID: 'QKX0000002' }));
+
+  await until(() => transactions.lookup('QKX0000002')?.status === PaymentStatus.FAILED);
+  const payment = transactions.lookup('QKX0000002');
+  assert.equal(payment.verification, 'rejected');
+  assert.match(payment.verificationError, /amount is 5, not 500/);
+  assert.equal(invoices.get('INV-1').amountPaid, 0);
+});
+
+test('C2B URLs are not registered without a token', async () => {
+  const open = new MpesaService({ baseUrl: mpesa.baseUrl, shortcode: SHORTCODE, callbackUrl: `${appUrl}/webhooks/mpesa/stk` });
+  const result = await open.registerC2BUrls();
+  assert.equal(result.success, false);
+  assert.match(result.error, /MPESA_C2B_TOKEN/);
+  assert.equal(mock.registrations.size, 0);
+  assert.equal(open.verifyC2BToken(''), false);
+});
+
+test('payments.c2b in config.yml decides whether invoices may be paid in part', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'c2b-config-'));
+  const configPath = path.join(dir, 'config.yml');
+  fs.writeFileSync(configPath, 'payments:\n  c2b:\n    allowPartial: false\n');
+  const previous = process.env.KENYACLAW_CONFIG;
+  process.env.KENYACLAW_CONFIG = configPath;
+  try {
+    const db = { getInvoice: async (key) => invoices.get(key) || null, updateInvoice: async () => {} };
+    const payments = new KenyaClawPayments({ db, transactionStore: transactions, budgets: new BudgetManager() });
+
+    const partial = await payments.reconciler.validate({ accountNumber: 'INV-1', amount: 200 });
+    assert.equal(partial.accepted, false);
+    assert.equal(partial.resultCode, 'C2B00013');
+    assert.equal((await payments.reconciler.validate({ accountNumber: 'INV-1', amount: 500 })).accepted, true);
+  } finally {
+    if (previous === undefined) delete process.env.KENYACLAW_CONFIG;
+    else process.env.KENYACLAW_CONFIG = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
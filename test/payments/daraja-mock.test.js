@@ -0,0 +1,148 @@
+/**
+ * Daraja mock: answers and callbacks as Safaricom's API gives them
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+
+// Callbacks are recorded here instead of being sent; `answer(url, body)`
+// is what the receiving URL replies
+function createRecipient(answer = () => ({ ResultCode: 0 })) {
+  const received = [];
+  const fetch = async (url, request) => {
+    const body = JSON.parse(request.body);
+    received.push({ url, body });
+    return { status: 200, json: async () => answer(url, body) };
+  };
+  return { received, fetch };
+}
+
+async function withMock(options, fn) {
+  const mock = createDarajaMock({ delay: 1, ...options });
+  const baseUrl = await mock.listen();
+  try {
+    await fn(mock, baseUrl);
+  } finally {
+    await mock.close();
+  }
+}
+
+function post(baseUrl, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+async function until(condition) {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('answers a body that is not JSON with a 400 and keeps serving', async () => {
+  await withMock({}, async (mock, baseUrl) => {
+    const response = await post(baseUrl, '/mpesa/stkpush/v1/processrequest', '{"Amount": 10');
+    assert.equal(response.status, 400);
+    const error = await response.json();
+    assert.equal(error.errorCode, '400.002.02');
+    assert.match(error.errorMessage, /Invalid JSON/);
+
+    const token = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`);
+    assert.equal(token.status, 200);
+    assert.ok((await token.json()).access_token);
+    assert.equal(mock.requests[0].error, 'invalid_json');
+  });
+});
+
+test('unknown routes get a Daraja 404', async () => {
+  await withMock({}, async (mock, baseUrl) => {
+    const response = await post(baseUrl, '/mpesa/nowhere', {});
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).errorCode, '404.001.01');
+  });
+});
+
+test('an STK push is accepted, then reported to its CallBackURL', async () => {
+  const recipient = createRecipient();
+  await withMock({ fetch: recipient.fetch }, async (mock, baseUrl) => {
+    const answer = await (await post(baseUrl, '/mpesa/stkpush/v1/processrequest', {
+      Amount: 10, PhoneNumber: '254712345678', Timestamp: '20260101120000', CallBackURL: 'http://shop/mpesa/callback'
+    })).json();
+    assert.equal(answer.ResponseCode, '0');
+
+    await until(() => recipient.received.length === 1);
+    const { url, body } = recipient.received[0];
+    assert.equal(url, 'http://shop/mpesa/callback');
+    assert.equal(body.Body.stkCallback.CheckoutRequestID, answer.CheckoutRequestID);
+    assert.equal(body.Body.stkCallback.ResultCode, 0);
+    const items = Object.fromEntries(body.Body.stkCallback.CallbackMetadata.Item.map(item => [item.Name, item.Value]));
+    assert.equal(items.Amount, 10);
+    assert.match(items.MpesaReceiptNumber, /^[A-Z0-9]{10}$/);
+  });
+});
+
+test('a cancelled STK push is reported without metadata', async () => {
+  const recipient = createRecipient();
+  await withMock({ fetch: recipient.fetch, resultCode: 1032 }, async (mock, baseUrl) => {
+    await post(baseUrl, '/mpesa/stkpush/v1/processrequest', { Amount: 10, CallBackURL: 'http://shop/mpesa/callback' });
+
+    await until(() => recipient.received.length === 1);
+    const callback = recipient.received[0].body.Body.stkCallback;
+    assert.equal(callback.ResultCode, 1032);
+    assert.equal(callback.CallbackMetadata, undefined);
+  });
+});
+
+test('B2C results go to ResultURL, or to QueueTimeOutURL when the queue times out', async () => {
+  const request = {
+    OriginatorConversationID: 'B2C-1', Amount: 250, PartyB: '254712345678',
+    ResultURL: 'http://shop/b2c/result', QueueTimeOutURL: 'http://shop/b2c/timeout'
+  };
+
+  const recipient = createRecipient();
+  await withMock({ fetch: recipient.fetch }, async (mock, baseUrl) => {
+    const answer = await (await post(baseUrl, '/mpesa/b2c/v3/paymentrequest', request)).json();
+    assert.equal(answer.OriginatorConversationID, 'B2C-1');
+
+    await until(() => recipient.received.length === 1);
+    const { url, body } = recipient.received[0];
+    assert.equal(url, 'http://shop/b2c/result');
+    assert.equal(body.Result.ConversationID, answer.ConversationID);
+    assert.equal(body.Result.ResultParameters.ResultParameter.find(p => p.Key === 'TransactionAmount').Value, 250);
+  });
+
+  const timedOut = createRecipient();
+  await withMock({ fetch: timedOut.fetch, b2cTimeout: true }, async (mock, baseUrl) => {
+    await post(baseUrl, '/mpesa/b2c/v3/paymentrequest', request);
+
+    await until(() => timedOut.received.length === 1);
+    assert.equal(timedOut.received[0].url, 'http://shop/b2c/timeout');
+    assert.equal(timedOut.received[0].body.Result.ResultCode, 1);
+  });
+});
+
+test('C2B payments are confirmed only when the ValidationURL accepts them', async () => {
+  const recipient = createRecipient((url, body) => ({
+    ResultCode: body.BillRefNumber === 'INV-1' ? '0' : 'C2B00012',
+    ResultDesc: body.BillRefNumber === 'INV-1' ? 'Accepted' : 'Invalid Account Number'
+  }));
+  await withMock({ fetch: recipient.fetch }, async (mock, baseUrl) => {
+    const unregistered = await (await post(baseUrl, '/mpesa/c2b/v1/simulate', { ShortCode: '600000', Amount: 1 })).json();
+    assert.equal(unregistered.ResponseCode, '1');
+
+    await post(baseUrl, '/mpesa/c2b/v1/registerurl', {
+      ShortCode: '600000', ResponseType: 'Cancelled',
+      ValidationURL: 'http://shop/c2b/validate', ConfirmationURL: 'http://shop/c2b/confirm'
+    });
+    await post(baseUrl, '/mpesa/c2b/v1/simulate', { ShortCode: '600000', CommandID: 'CustomerPayBillOnline', Amount: 500, Msisdn: '254712345678', BillRefNumber: 'INV-1' });
+    await post(baseUrl, '/mpesa/c2b/v1/simulate', { ShortCode: '600000', CommandID: 'CustomerPayBillOnline', Amount: 500, Msisdn: '254712345678', BillRefNumber: 'NOPE' });
+
+    await until(() => recipient.received.length === 3);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const confirmed = recipient.received.filter(call => call.url === 'http://shop/c2b/confirm');
+    assert.equal(confirmed.length, 1);
+    assert.equal(confirmed[0].body.BillRefNumber, 'INV-1');
+    assert.equal(confirmed[0].body.TransAmount, '500.00');
+  });
+});
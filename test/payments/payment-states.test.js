@@ -0,0 +1,114 @@
+/**
+ * Payment states: which transitions are allowed, how refused ones surface,
+ * and requests going pending before they are sent (MpesaService against
+ * the Daraja mock)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const {
+  PaymentStatus, canTransition, assertTransition, assertInitialStatus, updateReported
+} = require('../../src/payments/payment-states');
+const { InMemoryTransactionStore } = require('../../src/payments/transaction-store');
+const { MpesaService } = require('../../src/payments/mpesa');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+
+function createMpesa(baseUrl, transactions) {
+  return new MpesaService({
+    baseUrl, transactions, consumerKey: 'key', consumerSecret: 'secret', shortcode: '174379', passkey: 'passkey',
+    callbackUrl: 'http://127.0.0.1:1/callback', securityCredential: 'credential'
+  });
+}
+
+function stkCallback(checkoutRequestId, resultCode, items = []) {
+  return {
+    Body: { stkCallback: { CheckoutRequestID: checkoutRequestId, ResultCode: resultCode, ResultDesc: `Result ${resultCode}`, CallbackMetadata: { Item: items } } }
+  };
+}
+
+test('only the transitions in the state machine are allowed', () => {
+  assert.equal(canTransition('initiated', 'pending'), true);
+  assert.equal(canTransition('pending', 'expired'), true);
+  assert.equal(canTransition('expired', 'completed'), true);
+  assert.equal(canTransition('partially_refunded', 'partially_refunded'), true);
+
+  assert.equal(canTransition('initiated', 'completed'), false);
+  assert.equal(canTransition('completed', 'failed'), false);
+  assert.equal(canTransition('refunded', 'completed'), false);
+  assert.equal(canTransition('pending', 'settled'), false);
+  assert.equal(canTransition('settled', 'pending'), false);
+});
+
+test('a refused transition names both ends, and an unknown status says what is allowed', () => {
+  const transaction = { id: 'MPESA-1', status: PaymentStatus.COMPLETED };
+  assert.doesNotThrow(() => assertTransition(transaction, PaymentStatus.COMPLETED));
+
+  assert.throws(() => assertTransition(transaction, PaymentStatus.FAILED, { source: 'callback' }), {
+    code: 'invalid_transition',
+    from: 'completed',
+    to: 'failed',
+    message: 'Transaction MPESA-1 cannot go from completed to failed'
+  });
+  assert.throws(() => assertTransition(transaction, 'settled'), {
+    code: 'invalid_status',
+    message: /Unknown payment status 'settled' for MPESA-1 \(use initiated, pending, /
+  });
+  assert.throws(() => assertInitialStatus({ id: 'MPESA-2', status: PaymentStatus.COMPLETED }), {
+    code: 'invalid_status',
+    message: 'Transaction MPESA-2 must start as initiated or pending, got \'completed\''
+  });
+});
+
+test('a late provider report leaves a settled payment as it is; other errors still throw', () => {
+  const store = new InMemoryTransactionStore();
+  store.create({ id: 'MPESA-1', provider: 'mpesa', type: 'stk_push', amount: 100, currency: 'KES', status: PaymentStatus.PENDING });
+  store.update('MPESA-1', { status: PaymentStatus.COMPLETED, receiptNumber: 'QKJ1' }, { source: 'query' });
+
+  const kept = updateReported(store, 'MPESA-1', { status: PaymentStatus.FAILED, resultDesc: 'late' }, { source: 'callback' });
+  assert.equal(kept.status, PaymentStatus.COMPLETED);
+  assert.equal(kept.receiptNumber, 'QKJ1');
+  assert.equal(kept.resultDesc, undefined);
+  assert.throws(() => updateReported(store, 'MPESA-404', { status: PaymentStatus.FAILED }), { code: 'transaction_not_found' });
+});
+
+test('an STK push is pending when it is sent, and a late callback cannot undo its completion', async () => {
+  const mock = createDarajaMock({ delay: 60000 }); // no callbacks from the mock
+  const baseUrl = await mock.listen();
+  const transactions = new InMemoryTransactionStore();
+  const mpesa = createMpesa(baseUrl, transactions);
+
+  const seen = [];
+  const check = axios.interceptors.request.use(config => {
+    if (config.url.endsWith('/mpesa/stkpush/v1/processrequest')) {
+      seen.push(...transactions.list().map(transaction => transaction.status));
+    }
+    return config;
+  });
+  try {
+    const result = await mpesa.stkPush({ phoneNumber: '0712345678', amount: 100 });
+    assert.equal(result.success, true);
+    assert.deepEqual(seen, [PaymentStatus.PENDING]);
+
+    mpesa.handleStkCallback(stkCallback(result.checkoutRequestId, 0, [{ Name: 'MpesaReceiptNumber', Value: 'QKJ2' }]));
+    // The customer's cancellation arrives after the payment went through
+    mpesa.handleStkCallback(stkCallback(result.checkoutRequestId, 1032));
+
+    assert.equal(transactions.get(result.transactionId).status, PaymentStatus.COMPLETED);
+    assert.deepEqual(transactions.history(result.transactionId).map(e => [e.status, e.source]), [
+      ['initiated', 'request'], ['pending', 'request'], ['completed', 'callback']
+    ]);
+  } finally {
+    axios.interceptors.request.eject(check);
+    await mock.close();
+  }
+});
+
+test('a request that never gets sent fails from initiated', async () => {
+  const transactions = new InMemoryTransactionStore();
+  const mpesa = createMpesa('http://127.0.0.1:1', transactions); // nothing listens here
+
+  const result = await mpesa.stkPush({ phoneNumber: '0712345678', amount: 100 });
+  assert.equal(result.success, false);
+  assert.deepEqual(transactions.history(result.transactionId).map(e => e.status), ['initiated', 'failed']);
+});
@@ -0,0 +1,224 @@
+/**
+ * Refunds: what is still refundable, and how the refund and the original
+ * payment move as providers report back (M-Pesa B2C via the Daraja mock,
+ * Paystack via a local stand-in for its refund endpoint)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { KenyaClawPayments } = require('../../src/payments');
+const { BudgetManager } = require('../../src/payments/budget-manager');
+const { PaymentAgentIntegration } = require('../../src/payments/agent-integration');
+const { InMemoryTransactionStore } = require('../../src/payments/transaction-store');
+const { PaymentStatus } = require('../../src/payments/payment-states');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+const { SkillRegistry } = require('../../src/swarm/skill-registry');
+const { loadAgentDefinitions } = require('../../src/swarm/agent-loader');
+
+const PAYSTACK_SECRET = 'sk_test_refunds';
+
+let mock;
+let server;
+let appUrl;
+let transactions;
+
+beforeEach(async () => {
+  mock = createDarajaMock({ delay: 1 });
+  await mock.listen();
+  transactions = new InMemoryTransactionStore();
+  server = null;
+});
+
+afterEach(async () => {
+  await mock.close();
+  if (server) await new Promise(resolve => server.close(resolve));
+});
+
+// Payments whose webhooks are served on a local port, as in production
+async function createPayments(extra = {}) {
+  const app = express();
+  app.use(express.json());
+  server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  appUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const payments = new KenyaClawPayments({
+    transactionStore: transactions,
+    budgets: new BudgetManager(),
+    mpesa: {
+      baseUrl: `http://127.0.0.1:${mock.server.address().port}`, consumerKey: 'key', consumerSecret: 'secret',
+      shortcode: '600000', passkey: 'passkey', initiatorName: 'testapi', securityCredential: 'credential',
+      callbackUrl: `${appUrl}/webhooks/mpesa/stk`
+    },
+    paystack: { secretKey: PAYSTACK_SECRET },
+    ...extra
+  });
+  payments.setupRoutes(app);
+  return payments;
+}
+
+function completedPayment(id, fields = {}) {
+  transactions.create({
+    id, provider: 'mpesa', type: 'stk_push', amount: 100, currency: 'KES', phoneNumber: '254712345678', status: PaymentStatus.PENDING, ...fields
+  });
+  return transactions.update(id, { status: PaymentStatus.COMPLETED, receiptNumber: `R-${id}` }, { source: 'callback' });
+}
+
+async function until(condition) {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+test('a payment is refunded in parts, never beyond what was paid', async () => {
+  const payments = await createPayments();
+  completedPayment('MPESA-1');
+
+  const first = await payments.refund('MPESA-1', 40, 'Duplicate charge');
+  assert.equal(first.success, true);
+  // A pending refund already counts against the balance
+  assert.equal(payments.processor.refundableBalance(transactions.get('MPESA-1')), 60);
+  const over = await payments.refund('MPESA-1', 70, 'Too much');
+  assert.equal(over.success, false);
+  assert.equal(over.refundable, 60);
+
+  await until(() => transactions.get(first.transactionId).status === PaymentStatus.COMPLETED);
+  assert.equal(transactions.get('MPESA-1').status, PaymentStatus.PARTIALLY_REFUNDED);
+  assert.equal(transactions.get('MPESA-1').refundedAmount, 40);
+
+  // Without an amount, whatever is left
+  const rest = await payments.refund('MPESA-1', undefined, 'Cancelled order');
+  assert.equal(rest.success, true);
+  assert.equal(transactions.get(rest.transactionId).amount, 60);
+  await until(() => transactions.get('MPESA-1').status === PaymentStatus.REFUNDED);
+  assert.equal(transactions.get('MPESA-1').refundedAmount, 100);
+
+  const again = await payments.refund('MPESA-1', 1, 'Once more');
+  assert.equal(again.success, false);
+  assert.match(again.error, /Cannot refund a refunded transaction/);
+  assert.deepEqual(transactions.history('MPESA-1').map(e => e.status), ['pending', 'completed', 'partially_refunded', 'refunded']);
+});
+
+test('a refund the provider fails gives the balance back', async () => {
+  mock.settings.resultCode = 2001;
+  const payments = await createPayments();
+  completedPayment('MPESA-2');
+
+  const refund = await payments.refund('MPESA-2', 100, 'Wrong number');
+  assert.equal(refund.success, true);
+  assert.equal(payments.processor.refundableBalance(transactions.get('MPESA-2')), 0);
+
+  await until(() => transactions.get(refund.transactionId).status === PaymentStatus.FAILED);
+  assert.equal(transactions.get('MPESA-2').status, PaymentStatus.COMPLETED);
+  assert.equal(payments.processor.refundableBalance(transactions.get('MPESA-2')), 100);
+});
+
+test('M-Pesa refunds are whole shillings, so what is recorded is what is paid', async () => {
+  const payments = await createPayments();
+  completedPayment('MPESA-4');
+
+  const fractional = await payments.refund('MPESA-4', 10.6, 'Partial refund');
+  assert.equal(fractional.success, false);
+  assert.match(fractional.error, /whole shillings, got 10.6/);
+  assert.equal(fractional.refundable, 100);
+
+  const payout = await payments.mpesa.b2cPayment({ phoneNumber: '254712345678', amount: 10.6 });
+  assert.equal(payout.success, false);
+  assert.equal(transactions.size(), 1);
+  assert.ok(!mock.requests.some(r => r.route === 'POST /mpesa/b2c/v3/paymentrequest'));
+
+  const whole = await payments.refund('MPESA-4', 11, 'Partial refund');
+  await until(() => transactions.get(whole.transactionId).status === PaymentStatus.COMPLETED);
+  const [request] = mock.requests.filter(r => r.route === 'POST /mpesa/b2c/v3/paymentrequest');
+  assert.equal(request.body.Amount, transactions.get(whole.transactionId).amount);
+});
+
+test('payments that are not completed cannot be refunded', async () => {
+  const payments = await createPayments();
+  transactions.create({ id: 'MPESA-3', provider: 'mpesa', type: 'stk_push', amount: 100, currency: 'KES', status: PaymentStatus.PENDING });
+
+  const result = await payments.refund('MPESA-3', 10, 'Early');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Cannot refund a pending transaction/);
+  assert.equal(transactions.list({ type: 'refund' }).length, 0);
+});
+
+// Paystack's POST /refund: queued refunds, reported later by webhook
+function createPaystackStandIn() {
+  const refunds = [];
+  const stand = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      const refund = { id: 9000 + refunds.length, amount: body.amount, currency: 'NGN', status: 'pending', transaction_reference: body.transaction };
+      refunds.push(refund);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ status: true, message: 'Refund has been queued for processing', data: refund }));
+    });
+  });
+  return { stand, refunds };
+}
+
+test('Charon refunds a Paystack payment through the paystack skill; others may not', async () => {
+  const { stand, refunds } = createPaystackStandIn();
+  await new Promise(resolve => stand.listen(0, '127.0.0.1', resolve));
+  try {
+    const { config: charonConfig } = loadAgentDefinitions().find(d => d.id === 'charon');
+    assert.ok(charonConfig.skills.includes('paystack'));
+    assert.ok(charonConfig.decisionAuthority.refunds);
+
+    const skills = new SkillRegistry();
+    const charon = { id: 'charon', codename: 'The Gatekeeper', skills: charonConfig.skills, decisionAuthority: charonConfig.decisionAuthority };
+    const sofia = { id: 'sofia', codename: 'Sofia', skills: ['paystack'], decisionAuthority: { spending: 1000 } };
+    const outsider = { id: 'outsider', codename: 'Outsider', skills: ['paystack'], decisionAuthority: { refunds: true } };
+
+    const swarm = { agents: new Map([['charon', charon], ['sofia', sofia]]), skills };
+    const integration = new PaymentAgentIntegration(swarm, { transactionStore: transactions, budgets: new BudgetManager(), paystack: { secretKey: PAYSTACK_SECRET } });
+    const { payments } = integration;
+    payments.paystack.baseUrl = `http://127.0.0.1:${stand.address().port}`;
+    const app = express();
+    app.use(express.json());
+    payments.setupRoutes(app);
+    const hooks = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+
+    try {
+      transactions.create({ id: 'PAYSTACK-1', provider: 'paystack', type: 'initialization', amount: 5000, currency: 'NGN', reference: 'ref-1', status: PaymentStatus.PENDING });
+      transactions.update('PAYSTACK-1', { status: PaymentStatus.COMPLETED }, { source: 'callback' });
+
+      const denied = await skills.call(sofia, 'paystack.create_refund', { transaction: 'ref-1' });
+      assert.equal(denied.success, false);
+      assert.match(denied.error, /Insufficient authority/);
+
+      // Not extended with payment capabilities: no authority check, no refund
+      const unchecked = await skills.call(outsider, 'paystack.create_refund', { transaction: 'ref-1' });
+      assert.equal(unchecked.success, false);
+      assert.match(unchecked.error, /refund authority/);
+      assert.equal(refunds.length, 0);
+
+      const refunded = await skills.call(charon, 'paystack.create_refund', { transaction: 'ref-1', amount: 2000, reason: 'Service outage' });
+      assert.equal(refunded.success, true);
+      assert.equal(refunds.length, 1);
+      assert.equal(refunds[0].amount, 200000);
+      assert.equal(transactions.get(refunded.refundId).status, PaymentStatus.PENDING);
+
+      // refund.processed settles it and marks the payment partially refunded
+      const event = { event: 'refund.processed', data: { id: refunds[0].id, amount: 200000, transaction_reference: 'ref-1', status: 'processed' } };
+      const signature = crypto.createHmac('sha512', PAYSTACK_SECRET).update(JSON.stringify(event)).digest('hex');
+      const response = await fetch(`http://127.0.0.1:${hooks.address().port}/webhooks/paystack`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+        body: JSON.stringify(event)
+      });
+      assert.equal(response.status, 200);
+
+      await until(() => transactions.get('PAYSTACK-1').status === PaymentStatus.PARTIALLY_REFUNDED);
+      assert.equal(transactions.get('PAYSTACK-1').refundedAmount, 2000);
+      assert.equal(payments.processor.refundableBalance(transactions.get('PAYSTACK-1')), 3000);
+    } finally {
+      await new Promise(resolve => hooks.close(resolve));
+    }
+  } finally {
+    await new Promise(resolve => stand.close(resolve));
+  }
+});
@@ -0,0 +1,149 @@
+/**
+ * In-memory transaction store, and payment requests recording into it
+ * (MpesaService against the Daraja mock)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { KenyaClawPayments } = require('../../src/payments');
+const { BudgetManager } = require('../../src/payments/budget-manager');
+const { InMemoryTransactionStore, SqliteTransactionStore, newTransactionId } = require('../../src/payments/transaction-store');
+const { MpesaService } = require('../../src/payments/mpesa');
+const { createDarajaMock } = require('../../src/payments/daraja-mock');
+const { PaymentStatus } = require('../../src/payments/payment-states');
+
+function createMpesa(baseUrl, transactions) {
+  return new MpesaService({
+    baseUrl, transactions, consumerKey: 'key', consumerSecret: 'secret', shortcode: '174379', passkey: 'passkey',
+    callbackUrl: 'http://127.0.0.1:1/callback', securityCredential: 'credential'
+  });
+}
+
+function payment(id = 'MPESA-1', fields = {}) {
+  return { id, provider: 'mpesa', type: 'stk_push', amount: 100, currency: 'KES', status: PaymentStatus.INITIATED, ...fields };
+}
+
+test('records every status change with its source', () => {
+  const store = new InMemoryTransactionStore();
+  store.create(payment(), { source: 'request' });
+  store.update('MPESA-1', { status: PaymentStatus.PENDING, checkoutRequestId: 'ws_CO_1' }, { source: 'request' });
+  store.update('MPESA-1', { status: PaymentStatus.COMPLETED, receiptNumber: 'QKJ1' }, { source: 'callback' });
+  store.update('MPESA-1', { status: PaymentStatus.COMPLETED }, { source: 'query' }); // not a transition
+
+  assert.deepEqual(store.history('MPESA-1').map(e => [e.status, e.source]), [
+    ['initiated', 'request'], ['pending', 'request'], ['completed', 'callback']
+  ]);
+  assert.equal(store.findByCheckoutRequestId('ws_CO_1').id, 'MPESA-1');
+  assert.equal(store.lookup('QKJ1').id, 'MPESA-1');
+});
+
+test('rejects duplicate ids and transitions the state machine does not allow', () => {
+  const store = new InMemoryTransactionStore();
+  store.create(payment());
+  assert.throws(() => store.create(payment()), { code: 'duplicate_transaction' });
+  assert.throws(() => store.create(payment('MPESA-2', { status: PaymentStatus.COMPLETED })));
+
+  store.update('MPESA-1', { status: PaymentStatus.FAILED });
+  assert.throws(() => store.update('MPESA-1', { status: PaymentStatus.COMPLETED }), { code: 'invalid_transition' });
+  assert.throws(() => store.update('MPESA-404', { status: PaymentStatus.PENDING }), { code: 'transaction_not_found' });
+  assert.equal(store.get('MPESA-1').status, PaymentStatus.FAILED);
+});
+
+test('lists a payment\'s refunds and hands out copies', () => {
+  const store = new InMemoryTransactionStore();
+  store.create(payment('MPESA-1', { status: PaymentStatus.PENDING }));
+  store.create(payment('REFUND-1', { type: 'refund', originalTransactionId: 'MPESA-1', amount: 40 }));
+  store.create(payment('REFUND-2', { type: 'refund', originalTransactionId: 'MPESA-9', amount: 10 }));
+
+  assert.deepEqual(store.list({ type: 'refund', originalTransactionId: 'MPESA-1' }).map(tx => tx.id), ['REFUND-1']);
+  store.get('MPESA-1').amount = 0;
+  assert.equal(store.get('MPESA-1').amount, 100);
+});
+
+test('ids made in the same millisecond do not collide', () => {
+  const ids = new Set(Array.from({ length: 1000 }, () => newTransactionId('MPESA')));
+  assert.equal(ids.size, 1000);
+  assert.match([...ids][0], /^MPESA-[0-9a-f-]{36}$/);
+});
+
+test('concurrent payment requests each get their own record', async () => {
+  const mock = createDarajaMock({ delay: 60000 }); // no callbacks during the test
+  const baseUrl = await mock.listen();
+  try {
+    const transactions = new InMemoryTransactionStore();
+    const mpesa = createMpesa(baseUrl, transactions);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => mpesa.stkPush({ phoneNumber: '0712345678', amount: 10 })));
+    assert.ok(results.every(result => result.success));
+    assert.equal(new Set(results.map(result => result.transactionId)).size, 5);
+    assert.equal(transactions.list({ status: PaymentStatus.PENDING }).length, 5);
+
+    // A clashing id is reported, not thrown, and the existing record is left alone
+    const clash = await mpesa.b2cPayment({ transactionId: results[0].transactionId, phoneNumber: '0712345678', amount: 10 });
+    assert.equal(clash.success, false);
+    assert.match(clash.error, /already exists/);
+    assert.equal(transactions.get(results[0].transactionId).status, PaymentStatus.PENDING);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a B2C result that arrives before Daraja\'s answer still completes the payout', async () => {
+  const mock = createDarajaMock({ delay: 60000 });
+  const baseUrl = await mock.listen();
+  const transactions = new InMemoryTransactionStore();
+  const mpesa = createMpesa(baseUrl, transactions);
+
+  // Deliver the result callback before b2cPayment sees the response
+  const early = axios.interceptors.response.use(response => {
+    if (response.config.url.endsWith('/mpesa/b2c/v3/paymentrequest')) {
+      const { ConversationID, OriginatorConversationID } = response.data;
+      mpesa.handleB2CResult({
+        Result: { ResultType: 0, ResultCode: 0, ResultDesc: 'Processed', ConversationID, OriginatorConversationID, TransactionID: 'QKB2C00001' }
+      });
+    }
+    return response;
+  });
+  try {
+    const result = await mpesa.b2cPayment({ phoneNumber: '0712345678', amount: 250 });
+
+    assert.equal(result.success, true);
+    const payout = transactions.get(result.transactionId);
+    assert.equal(payout.status, PaymentStatus.COMPLETED);
+    assert.equal(payout.receiptNumber, 'QKB2C00001');
+    assert.equal(payout.conversationId, result.conversationId);
+    assert.deepEqual(transactions.history(result.transactionId).map(e => [e.status, e.source]), [
+      ['initiated', 'request'], ['pending', 'request'], ['completed', 'callback']
+    ]);
+  } finally {
+    axios.interceptors.response.eject(early);
+    await mock.close();
+  }
+});
+
+test('payments.transactions in config.yml keeps pending payments across a restart', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transactions-'));
+  const configPath = path.join(dir, 'config.yml');
+  fs.writeFileSync(configPath, `payments:\n  transactions:\n    path: ${path.join(dir, 'db', 'transactions.db')}\n    pendingTtl: 10m\n`);
+  const previous = process.env.KENYACLAW_CONFIG;
+  process.env.KENYACLAW_CONFIG = configPath;
+  try {
+    const payments = new KenyaClawPayments({ budgets: new BudgetManager() });
+    assert.ok(payments.transactions instanceof SqliteTransactionStore);
+    assert.equal(payments.processor.pendingTtl, 10 * 60 * 1000);
+    payments.transactions.create(payment('MPESA-1', { status: PaymentStatus.PENDING, checkoutRequestId: 'ws_CO_1' }));
+    payments.transactions.close();
+
+    const restarted = new KenyaClawPayments({ budgets: new BudgetManager() });
+    assert.equal(restarted.transactions.findByCheckoutRequestId('ws_CO_1').status, PaymentStatus.PENDING);
+    restarted.transactions.close();
+  } finally {
+    if (previous === undefined) delete process.env.KENYACLAW_CONFIG;
+    else process.env.KENYACLAW_CONFIG = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
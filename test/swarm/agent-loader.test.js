@@ -0,0 +1,156 @@
+/**
+ * Agent loader: YAML definitions, what validation refuses, and agents built
+ * from handlers
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAgentDefinitions, validateDefinition, createAgent, DeclarativeAgent } = require('../../src/swarm/agent-loader');
+const { SkillRegistry } = require('../../src/swarm/skill-registry');
+const { JohnWickAgent } = require('../../src/swarm/agents/executive-agents');
+
+let dir;
+let skills;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-'));
+  fs.mkdirSync(path.join(dir, 'skills', 'mpesa'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'skills', 'mpesa', 'skill.yml'), [
+    'name: mpesa',
+    'tools:',
+    '  - name: stk_push',
+    '    handler: ./stk-push.js',
+    '    parameters:',
+    '      phone: { type: string, required: true }',
+    '      amount: { type: number, required: true, minimum: 1 }'
+  ].join('\n'));
+  skills = new SkillRegistry({ skillsDir: path.join(dir, 'skills') });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeDefinition(name, lines) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, lines.join('\n'));
+  return file;
+}
+
+function validationErrors(raw) {
+  try {
+    validateDefinition(raw, 'agent.yml', { skills });
+  } catch (error) {
+    assert.equal(error.code, 'invalid_agent_definition');
+    assert.equal(error.file, 'agent.yml');
+    return error.errors;
+  }
+  assert.fail('the definition was accepted');
+}
+
+test('the shipped definitions load with the workspace skills', () => {
+  const definitions = loadAgentDefinitions();
+  assert.equal(definitions.length, 10);
+  assert.ok(definitions.some(definition => definition.id === 'winston'));
+});
+
+test('reports every problem in a definition at once', () => {
+  assert.deepEqual(validationErrors({
+    id: 'Sofia Lead',
+    nickname: 'So',
+    role: 'CMO',
+    model: 42,
+    personality: { traits: 'bold' },
+    decisionAuthority: { spending: -5, canHire: 'yes' },
+    class: 'MarketingAgent'
+  }), [
+    'unknown field \'nickname\'',
+    'id must be lower-case words joined by dashes, got "Sofia Lead"',
+    'name is required',
+    'model must be a string',
+    'personality.traits must be a list of strings',
+    'decisionAuthority.spending must be a non-negative number, got -5',
+    'decisionAuthority.canHire must be true/false or an amount',
+    'class \'MarketingAgent\' is not a built-in agent (use SwarmOrchestrator, JohnWickAgent, AdjudicatorAgent, DoctorAgent, CharonAgent)'
+  ]);
+});
+
+test('checks handlers against their kind, the class and the skills granted', () => {
+  const base = { id: 'sofia', name: 'Sofia', role: 'CMO', skills: [] };
+  assert.deepEqual(validationErrors({
+    ...base,
+    handlers: {
+      greeting: { reply: 'Habari', vote: 'approve' },
+      vote_request: { vote: { approveBelow: 'lots', otherwise: 'maybe' } },
+      payment: { skill: 'mpesa', tool: 'stk_push', params: { amount: 0 } },
+      refund: { skill: 'mpesa', tool: 'reverse' },
+      payout: { skill: 'paystack', tool: 'transfer' },
+      report: { method: 'writeReport' },
+      nothing: 'hello'
+    }
+  }), [
+    'handlers.greeting must have exactly one of reply, vote, skill, method, got reply, vote',
+    'handlers.vote_request.vote must be one of approve, reject, abstain',
+    'handlers.vote_request.vote.approveBelow must be an amount',
+    'handlers.payment: skill \'mpesa\' must be listed in skills to use its tools',
+    'handlers.payment: params.amount must be at least 1',
+    'handlers.refund: skill \'mpesa\' has no tool \'reverse\'',
+    'handlers.payout: unknown skill \'paystack\'',
+    'handlers.report: DeclarativeAgent has no method \'writeReport\'',
+    'handlers.nothing must be a mapping with one of reply, vote, skill, method'
+  ]);
+
+  assert.deepEqual(validationErrors({ ...base, class: 'SwarmOrchestrator', handlers: { greeting: { reply: 'Hi' } } }), [
+    'handlers are not supported for the orchestrator; it routes every task itself'
+  ]);
+});
+
+test('refuses unparseable files and ids defined twice', () => {
+  const sofia = writeDefinition('sofia.yml', ['id: sofia', 'name: Sofia', 'role: CMO']);
+  const copy = writeDefinition('sofia-copy.yaml', ['id: sofia', 'name: Sofia Two', 'role: CMO']);
+  assert.throws(() => loadAgentDefinitions(dir, { skills }), error => {
+    assert.deepEqual(error.errors, [`id 'sofia' is already defined in ${copy}`]);
+    assert.equal(error.file, sofia);
+    return true;
+  });
+
+  fs.rmSync(copy);
+  writeDefinition('broken.yml', ['id: [broken']);
+  assert.throws(() => loadAgentDefinitions(dir, { skills }), error => /^could not be parsed: /.test(error.errors[0]));
+});
+
+test('builds agents that answer from their handlers and fall back to their class', async () => {
+  const [definition] = loadAgentDefinitions(writeDefinition('sofia.yml', [
+    'name: SofiaLead',
+    'role: CMO',
+    'model: small-model',
+    'channels: [marketing]',
+    'handlers:',
+    '  greeting: { reply: Habari! }',
+    '  vote_request:',
+    '    vote: { approveBelow: 1000, otherwise: reject, reasoning: Within the marketing budget }',
+    '  default: { reply: { response: Ask me about campaigns, status: redirected } }'
+  ]), { skills });
+
+  assert.equal(definition.id, 'sofia-lead');
+  const sofia = createAgent(definition);
+  assert.ok(sofia instanceof DeclarativeAgent);
+  assert.equal(sofia.llmConfig.model, 'small-model');
+  assert.deepEqual(sofia.channels, ['marketing']);
+
+  assert.equal((await sofia.processMessage({ payload: { type: 'greeting' } })).response, 'Habari!');
+  assert.equal((await sofia.processMessage({ payload: { type: 'vote_request', amount: 500 } })).vote, 'approve');
+  assert.equal((await sofia.processMessage({ payload: { type: 'vote_request', amount: 5000 } })).vote, 'reject');
+  assert.equal((await sofia.processMessage({ payload: { type: 'weather' } })).status, 'redirected');
+
+  // A built-in class keeps handling what the definition does not cover
+  const wick = createAgent(validateDefinition({
+    id: 'john-wick', name: 'John Wick', role: 'Security', class: 'JohnWickAgent', handlers: { greeting: { reply: 'Yeah.' } }
+  }));
+  assert.ok(wick instanceof JohnWickAgent);
+  assert.equal((await wick.processMessage({ payload: { type: 'greeting' } })).response, 'Yeah.');
+  assert.notEqual((await wick.processMessage({ payload: { type: 'weather' } })).status, 'unhandled');
+});
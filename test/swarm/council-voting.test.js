@@ -0,0 +1,100 @@
+/**
+ * Council voting: a PROPOSAL goes out, signed VOTEs come back to the
+ * proposer, and only eligible, timely, first votes count
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBus, Message, MessageTypes } = require('../../src/swarm/message-bus');
+const { BaseAgent } = require('../../src/swarm/base-agent');
+
+class Councillor extends BaseAgent {
+  constructor(id, vote) {
+    super({ id, codename: id, role: id });
+    this.vote = vote;
+  }
+
+  async processMessage(message) {
+    if (message.payload.type === 'vote_request') {
+      return { vote: this.vote, reasoning: `${this.id} votes ${this.vote} on ${message.payload.proposal.description}` };
+    }
+    return super.processMessage(message);
+  }
+}
+
+function createCouncil(members) {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  const winston = new BaseAgent({ id: 'winston', codename: 'Winston', role: 'CEO' });
+  [winston, ...members].forEach(agent => {
+    agent.initialize(bus);
+    agent.subscribe('council');
+  });
+  return { bus, winston };
+}
+
+async function shutdown(bus, agents) {
+  await Promise.all(agents.map(agent => agent.shutdown()));
+  await bus.close();
+}
+
+const proposal = { id: 'proposal-1', type: 'budget', description: 'Q3 ad spend', amount: 50000 };
+
+test('collects a vote from each voter and closes as soon as all have voted', async () => {
+  const members = [new Councillor('sofia', 'approve'), new Councillor('marcus', 'reject'), new Councillor('kofi', 'approve')];
+  const { bus, winston } = createCouncil(members);
+
+  const startedAt = Date.now();
+  const ballot = await winston.callVote(proposal, ['sofia', 'marcus'], { window: 5000 });
+  assert.ok(Date.now() - startedAt < 5000);
+
+  assert.deepEqual([...ballot.votes.keys()].sort(), ['marcus', 'sofia']);
+  assert.equal(ballot.votes.get('sofia').vote, 'approve');
+  assert.equal(ballot.votes.get('marcus').reasoning, 'marcus votes reject on Q3 ad spend');
+  assert.deepEqual(ballot.rejected, []);
+
+  // The proposal reached every member, but only voters answered
+  const votes = bus.queryHistory({ type: MessageTypes.VOTE, recipient: 'winston' });
+  assert.deepEqual(votes.map(vote => vote.sender).sort(), ['marcus', 'sofia']);
+  assert.equal(votes[0].payload.inReplyTo, bus.queryHistory({ type: MessageTypes.PROPOSAL })[0].id);
+
+  await assert.rejects(
+    Promise.all([winston.callVote(proposal, ['sofia'], { window: 50 }), winston.callVote(proposal, ['sofia'], { window: 50 })]),
+    /A vote on proposal proposal-1 is already open/
+  );
+  await shutdown(bus, [winston, ...members]);
+});
+
+test('rejects ineligible, duplicate and invalid votes, and closes at the deadline without the absent', async () => {
+  const { bus, winston } = createCouncil([]);
+  const keys = {};
+  for (const id of ['sofia', 'marcus', 'kofi']) {
+    keys[id] = bus.registerAgent({ id, codename: id, receiveMessage: async () => {} });
+  }
+  const vote = (sender, choice) => bus.send(new Message({
+    sender, recipients: ['winston'], type: MessageTypes.VOTE, payload: { proposalId: proposal.id, vote: choice }, signingKey: keys[sender]
+  }));
+
+  const keepAlive = setTimeout(() => {}, 1000);
+  const closed = winston.callVote(proposal, ['sofia', 'marcus', 'doctor'], { window: 50 });
+  await vote('kofi', 'approve');
+  await vote('sofia', 'approve');
+  await vote('sofia', 'reject');
+  await vote('marcus', 'maybe');
+  const ballot = await closed;
+  clearTimeout(keepAlive);
+
+  assert.deepEqual([...ballot.votes.keys()], ['sofia']);
+  assert.equal(ballot.votes.get('sofia').vote, 'approve');
+  assert.deepEqual(ballot.rejected.map(({ agent, reason }) => [agent, reason]), [
+    ['kofi', 'ineligible'],
+    ['sofia', 'duplicate'],
+    ['marcus', 'invalid']
+  ]);
+
+  // Once the ballot is closed a vote is turned away as too late
+  await vote('marcus', 'approve');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(winston.ballots.size, 0);
+  assert.deepEqual([...ballot.votes.keys()], ['sofia']);
+  await shutdown(bus, [winston]);
+});
@@ -0,0 +1,98 @@
+/**
+ * Dead letters: messages that expire, cannot be delivered or fail, and
+ * replaying or purging them
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBus, Message, MessageTypes } = require('../../src/swarm/message-bus');
+
+function createAgent(id, handle = async () => {}) {
+  const agent = { id, codename: id, received: [] };
+  agent.receiveMessage = async (message) => {
+    agent.received.push(message);
+    await handle(message);
+  };
+  return agent;
+}
+
+function command(bus, recipient, payload = {}, options = {}) {
+  return new Message({
+    sender: 'user', recipients: [recipient], type: MessageTypes.COMMAND, payload, signingKey: bus.issueKey('user'), ...options
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a message whose TTL runs out in the mailbox is dead-lettered, not delivered', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  const sofia = createAgent('sofia', () => sleep(30));
+  bus.registerAgent(sofia);
+
+  await bus.send(command(bus, 'sofia', { task: 'slow' }));
+  await bus.send(command(bus, 'sofia', { task: 'urgent' }, { ttl: 0.01 }));
+  await sleep(60);
+
+  assert.deepEqual(sofia.received.map(message => message.payload.task), ['slow']);
+  const [expired] = bus.getDeadLetters({ reason: 'expired' });
+  assert.equal(expired.message.payload.task, 'urgent');
+  assert.equal(bus.getMetrics().messagesExpired, 1);
+  await bus.close();
+});
+
+test('a dead letter is replayed as a fresh message and leaves the queue', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  const [result] = await bus.send(command(bus, 'doctor', { task: 'restart' }));
+  assert.equal(result.reason, 'agent_not_found');
+  const [deadLetter] = bus.getDeadLetters();
+
+  // The Doctor comes online later
+  const doctor = createAgent('doctor');
+  bus.registerAgent(doctor);
+  const replay = await bus.replayDeadLetter(deadLetter.id);
+  await sleep(5);
+
+  assert.equal(replay.status, 'queued');
+  assert.notEqual(replay.messageId, deadLetter.messageId);
+  assert.equal(doctor.received.length, 1);
+  assert.equal(doctor.received[0].payload.task, 'restart');
+  assert.equal(doctor.received[0].traceId, deadLetter.message.traceId);
+  assert.equal(bus.getDeadLetters().length, 0);
+  await assert.rejects(bus.replayDeadLetter(deadLetter.id), /not found/);
+  await bus.close();
+});
+
+test('a replay that fails again is dead-lettered under its new message id', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  bus.registerAgent(createAgent('sofia', async () => { throw new Error('CRM is down'); }));
+
+  await bus.send(command(bus, 'sofia', { task: 'sync' }));
+  await sleep(5);
+  const [failed] = bus.getDeadLetters({ reason: 'processing_failed' });
+  assert.equal(failed.error, 'CRM is down');
+
+  const replay = await bus.replayDeadLetter(failed.id);
+  await sleep(5);
+  const deadLetters = bus.getDeadLetters();
+  assert.equal(deadLetters.length, 1);
+  assert.equal(deadLetters[0].messageId, replay.messageId);
+  await bus.close();
+});
+
+test('purges dead letters matching a filter and keeps the rest', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  bus.registerAgent(createAgent('sofia', async () => { throw new Error('CRM is down'); }));
+
+  await bus.send(command(bus, 'doctor', { task: 'restart' }));
+  await bus.send(command(bus, 'harbourmaster', { task: 'deploy' }));
+  await bus.send(command(bus, 'sofia', { task: 'sync' }));
+  await sleep(5);
+  assert.equal(bus.getDeadLetters().length, 3);
+
+  assert.equal(bus.purgeDeadLetters({ recipientId: 'doctor' }), 1);
+  assert.equal(bus.purgeDeadLetters({ reason: 'agent_not_found' }), 1);
+  assert.deepEqual(bus.getDeadLetters().map(entry => entry.reason), ['processing_failed']);
+  assert.equal(bus.purgeDeadLetters(), 1);
+  assert.equal(bus.getMetrics().deadLetters, 0);
+  await bus.close();
+});
@@ -0,0 +1,67 @@
+/**
+ * Message history: retention per message type and pruning, in both stores
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { InMemoryHistoryStore, SqliteHistoryStore, RetentionPolicy, parseDuration } = require('../../src/swarm/history-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+const sent = new Date('2026-01-01T00:00:00Z').getTime();
+
+function record(id, type, overrides = {}) {
+  return {
+    id, type, sender: 'winston', recipients: ['sofia'], priority: 2, payload: {}, timestamp: new Date(sent).toISOString(), ...overrides
+  };
+}
+
+test('durations are read in any unit, and anything else is refused', () => {
+  assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+  assert.equal(parseDuration('1.5d'), 1.5 * DAY);
+  assert.equal(parseDuration(250), 250);
+  assert.throws(() => parseDuration('7 years'), /Invalid duration: 7 years/);
+  assert.throws(() => new RetentionPolicy({ vote: 'forever' }), /Invalid duration/);
+});
+
+test('retention falls back to the default for types without a rule', () => {
+  const policy = new RetentionPolicy({ command: '2d' });
+  assert.equal(policy.retainUntil(record('m1', 'vote')), sent + 7 * 365 * DAY);
+  assert.equal(policy.retainUntil(record('m2', 'heartbeat')), sent + DAY);
+  assert.equal(policy.retainUntil(record('m3', 'command')), sent + 2 * DAY);
+  assert.equal(policy.retainUntil(record('m4', 'report')), sent + 30 * DAY);
+});
+
+for (const [name, createStore] of [
+  ['in-memory', options => new InMemoryHistoryStore(options)],
+  ['sqlite', options => new SqliteHistoryStore(options)]
+]) {
+  test(`${name}: pruning drops each type once its retention has passed, and keeps votes`, () => {
+    const store = createStore({ retention: { command: '2d' } });
+    store.append(record('heartbeat-1', 'heartbeat'));
+    store.append(record('command-1', 'command'));
+    store.append(record('report-1', 'report'));
+    store.append(record('vote-1', 'vote'));
+    store.append(record('consensus-1', 'consensus'));
+
+    assert.equal(store.prune(sent + DAY), 0);
+    assert.equal(store.prune(sent + DAY + 1), 1);
+    assert.equal(store.prune(sent + 3 * DAY), 1);
+    assert.equal(store.prune(sent + 31 * DAY), 1);
+    assert.deepEqual(store.query().map(message => message.id), ['vote-1', 'consensus-1']);
+    assert.equal(store.prune(sent + 7 * 365 * DAY + 1), 2);
+    assert.equal(store.size(), 0);
+    store.close?.();
+  });
+
+  test(`${name}: pruned messages no longer match any filter`, () => {
+    const store = createStore();
+    store.append(record('heartbeat-1', 'heartbeat', { traceId: 'trace-1' }));
+    store.append(record('proposal-1', 'proposal', { traceId: 'trace-1' }));
+
+    store.prune(sent + 2 * DAY);
+    assert.deepEqual(store.query({ recipient: 'sofia' }).map(message => message.id), ['proposal-1']);
+    assert.equal(store.count({ traceId: 'trace-1' }), 1);
+    assert.equal(store.count({ type: 'heartbeat' }), 0);
+    store.close?.();
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Heartbeats and liveness: alive, stale, offline and back, with the
+ * swarm telling the Doctor
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBus } = require('../../src/swarm/message-bus');
+const { BaseAgent } = require('../../src/swarm/base-agent');
+const { KenyaClawSwarm } = require('../../src/swarm');
+
+const heartbeat = { interval: 10, staleAfter: 40, offlineAfter: 80, checkInterval: 5 };
+
+function nextEvent(emitter, event, agentId) {
+  return new Promise(resolve => {
+    const listener = (data) => {
+      if (data.agentId !== agentId) return;
+      emitter.off(event, listener);
+      resolve(data);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+// The bus's timers do not hold the process open; this keeps it up while waiting
+async function waitFor(promise) {
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    return await promise;
+  } finally {
+    clearInterval(keepAlive);
+  }
+}
+
+test('an agent that stops sending heartbeats goes stale, then offline, and recovers when heard from', async () => {
+  const bus = new MessageBus({ secret: 'test-secret', heartbeat });
+  const sofia = new BaseAgent({ id: 'sofia', codename: 'Sofia', role: 'CMO' });
+  sofia.initialize(bus);
+  const transitions = [];
+  ['agent:stale', 'agent:offline', 'agent:recovered'].forEach(event => {
+    bus.on(event, ({ agentId }) => transitions.push(`${event.slice(6)}:${agentId}`));
+  });
+
+  // Heartbeats keep it alive well past the stale threshold
+  await waitFor(new Promise(resolve => setTimeout(resolve, 100)));
+  assert.equal(bus.getAgentStatus('sofia').liveness, 'alive');
+
+  sofia.stopHeartbeat();
+  const offline = await waitFor(nextEvent(bus, 'agent:offline', 'sofia'));
+  assert.ok(offline.silentFor > heartbeat.offlineAfter);
+  assert.equal(bus.isAgentAvailable('sofia'), false);
+
+  await sofia.sendHeartbeat();
+  assert.equal(bus.getAgentStatus('sofia').liveness, 'alive');
+  assert.equal(bus.isAgentAvailable('sofia'), true);
+  assert.deepEqual(transitions, ['stale:sofia', 'offline:sofia', 'recovered:sofia']);
+
+  await sofia.shutdown();
+  await bus.close();
+});
+
+test('the swarm reports agents going offline and coming back to the Doctor', async () => {
+  const swarm = new KenyaClawSwarm({ modelProvider: null, memory: {}, messageBus: { heartbeat } });
+  await swarm.initialize();
+  try {
+    const sofia = swarm.getAgent('sofia');
+    sofia.stopHeartbeat();
+    await waitFor(nextEvent(swarm.messageBus, 'agent:offline', 'sofia'));
+    await sofia.sendHeartbeat();
+    await waitFor(new Promise(resolve => setTimeout(resolve, 20)));
+
+    const reports = swarm.queryHistory({ sender: 'winston', recipient: 'doctor', type: 'report' })
+      .filter(message => message.payload.agentId === 'sofia');
+    assert.deepEqual(reports.map(message => message.payload.type), ['agent_offline', 'agent_recovered']);
+    assert.equal(reports[0].priority, 1);
+  } finally {
+    await swarm.shutdown();
+  }
+});
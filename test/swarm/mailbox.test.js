@@ -0,0 +1,89 @@
+/**
+ * Agent mailboxes: delivery by priority, then in order sent, and what
+ * happens when a mailbox is full
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBus, Message, MessageTypes, Priority } = require('../../src/swarm/message-bus');
+
+// Handles one message at a time until `release` is called for it
+function createAgent(id) {
+  const agent = { id, codename: id, received: [], waiting: [] };
+  agent.receiveMessage = (message) => new Promise(resolve => {
+    agent.received.push(message.payload.label);
+    agent.waiting.push(resolve);
+  });
+  agent.release = () => agent.waiting.shift()?.();
+  return agent;
+}
+
+function message(bus, label, priority) {
+  return new Message({
+    sender: 'user', recipients: ['sofia'], type: MessageTypes.COMMAND, payload: { label }, priority, signingKey: bus.issueKey('user')
+  });
+}
+
+async function flush() {
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('delivers critical messages first, then by priority, oldest first within one', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  const sofia = createAgent('sofia');
+  bus.registerAgent(sofia);
+
+  // Sent in the same tick, so all are queued before the mailbox drains
+  await Promise.all([
+    bus.send(message(bus, 'low', Priority.LOW)),
+    bus.send(message(bus, 'normal-1', Priority.NORMAL)),
+    bus.send(message(bus, 'critical', Priority.CRITICAL)),
+    bus.send(message(bus, 'normal-2', Priority.NORMAL)),
+    bus.send(message(bus, 'high', Priority.HIGH))
+  ]);
+  await flush();
+  assert.deepEqual(sofia.received, ['critical']);
+
+  // A message arriving while the first is handled still jumps the queue
+  await bus.send(message(bus, 'late-critical', Priority.CRITICAL));
+  for (let i = 0; i < 5; i++) {
+    sofia.release();
+    await flush();
+  }
+  assert.deepEqual(sofia.received, ['critical', 'late-critical', 'high', 'normal-1', 'normal-2', 'low']);
+  assert.equal(bus.getMetrics().mailboxes.sofia.maxDepth, 5);
+  await bus.close();
+});
+
+test('a full mailbox dead-letters what does not fit', async () => {
+  const bus = new MessageBus({ secret: 'test-secret', mailboxCapacity: 2 });
+  const sofia = createAgent('sofia');
+  bus.registerAgent(sofia);
+
+  const results = await Promise.all(['a', 'b', 'c'].map(label => bus.send(message(bus, label, Priority.NORMAL))));
+  assert.deepEqual(results.map(([result]) => result.status), ['queued', 'queued', 'failed']);
+  assert.equal(results[2][0].reason, 'mailbox_full');
+
+  const [deadLetter] = bus.getDeadLetters({ reason: 'mailbox_full' });
+  assert.equal(deadLetter.recipientId, 'sofia');
+  assert.equal(deadLetter.message.payload.label, 'c');
+  assert.equal(bus.getMetrics().mailboxes.sofia.rejected, 1);
+
+  await flush();
+  sofia.release();
+  await flush();
+  assert.deepEqual(sofia.received, ['a', 'b']);
+  await bus.close();
+});
+
+test('a mailbox with more concurrency hands out that many messages at once', async () => {
+  const bus = new MessageBus({ secret: 'test-secret', agentConcurrency: { sofia: 2 } });
+  const sofia = createAgent('sofia');
+  bus.registerAgent(sofia);
+
+  await Promise.all(['a', 'b', 'c'].map(label => bus.send(message(bus, label, Priority.NORMAL))));
+  await flush();
+  assert.deepEqual(sofia.received, ['a', 'b']);
+  assert.equal(bus.getMetrics().mailboxes.sofia.active, 2);
+  await bus.close();
+});
@@ -0,0 +1,105 @@
+/**
+ * Agent memory on the local SQLite store (better-sqlite3, on disk)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryMemoryStore, SqliteMemoryStore, createMemoryStore } = require('../../src/swarm/memory-store');
+const { AgentMemory } = require('../../src/swarm/agent-memory');
+const { StubProvider } = require('../../src/swarm/model-provider');
+const { KenyaClawSwarm } = require('../../src/swarm');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-memory-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function entry(key, value, now, extra = {}) {
+  return { key, value, createdAt: now, accessedAt: now, expiresAt: null, ...extra };
+}
+
+test('long-term memories survive a restart and stay in their namespace', async () => {
+  const file = path.join(dir, 'memory.db');
+  const store = new SqliteMemoryStore({ path: file });
+  const charon = new AgentMemory('charon', { store });
+  await charon.remember('customer:42', { plan: 'pro', notes: ['prefers M-Pesa'] }, { longTerm: true });
+  await charon.remember('scratch', 'short-term only');
+  await store.close();
+
+  const reopened = new SqliteMemoryStore({ path: file });
+  const restarted = new AgentMemory('charon', { store: reopened });
+  assert.deepEqual(await restarted.recall('customer:42'), { plan: 'pro', notes: ['prefers M-Pesa'] });
+  assert.equal(await restarted.recall('scratch'), null);
+  assert.equal(await new AgentMemory('winston', { store: reopened }).recall('customer:42'), null);
+  await reopened.close();
+});
+
+test('expired entries are not returned and are dropped on eviction', async () => {
+  const store = new SqliteMemoryStore({ path: path.join(dir, 'memory.db') });
+  const now = Date.now();
+  await store.put('doctor', entry('outage', { service: 'db' }, now - 2000, { expiresAt: now - 1000 }));
+  await store.put('doctor', entry('runbook', { steps: 3 }, now));
+
+  assert.equal(await store.get('doctor', 'outage', now), null);
+  assert.deepEqual((await store.get('doctor', 'runbook', now)).value, { steps: 3 });
+
+  await store.put('doctor', entry('stale', 1, now - 2000, { expiresAt: now - 1000 }));
+  assert.equal(await store.evict('doctor', 10, now), 1);
+  assert.equal(await store.size('doctor'), 1);
+  await store.close();
+});
+
+test('eviction keeps the most recently used entries', async () => {
+  const store = new SqliteMemoryStore({ path: path.join(dir, 'memory.db') });
+  const now = Date.now();
+  await store.put('winston', entry('a', 1, now - 300));
+  await store.put('winston', entry('b', 2, now - 200));
+  await store.put('winston', entry('c', 3, now - 100));
+  await store.get('winston', 'a', now); // used last
+
+  assert.equal(await store.evict('winston', 2, now), 1);
+  assert.equal(await store.get('winston', 'b', now), null);
+  assert.deepEqual([(await store.get('winston', 'a', now)).value, (await store.get('winston', 'c', now)).value], [1, 3]);
+  await store.close();
+});
+
+test('search ranks long-term memories by meaning', async () => {
+  const store = new SqliteMemoryStore({ path: path.join(dir, 'memory.db') });
+  const memory = new AgentMemory('adjudicator', { store, embedder: new StubProvider() });
+  await memory.remember('ruling:1', 'refund approved for duplicate mpesa charge', { longTerm: true });
+  await memory.remember('ruling:2', 'server upgrade deferred until next quarter', { longTerm: true });
+
+  const [best] = await memory.search('duplicate mpesa charge refund');
+  assert.equal(best.key, 'ruling:1');
+  assert.ok(best.score > 0.5);
+  await store.close();
+});
+
+test('the swarm reads its memory store and tiers from the memory section of config.yml', async () => {
+  const swarm = new KenyaClawSwarm({
+    config: { memory: { path: dir, shortTerm: { ttl: '5m', maxEntries: 2 }, longTerm: { ttl: '30d', maxEntries: 50 } } },
+    modelProvider: null
+  });
+  assert.ok(swarm.memoryStore instanceof SqliteMemoryStore);
+  assert.ok(fs.existsSync(path.join(dir, 'memory.db')));
+
+  await swarm.initialize();
+  const memory = swarm.agents.get('charon').memory;
+  assert.equal(memory.store, swarm.memoryStore);
+  assert.deepEqual(memory.shortTerm, { ttl: 5 * 60 * 1000, maxEntries: 2 });
+  assert.deepEqual(memory.longTerm, { ttl: 30 * 24 * 60 * 60 * 1000, maxEntries: 50 });
+
+  await swarm.shutdown();
+});
+
+test('without a path or vector store memory stays in process', () => {
+  assert.ok(createMemoryStore({}) instanceof InMemoryMemoryStore);
+});
@@ -0,0 +1,142 @@
+/**
+ * Message signing, replay protection and key revocation across nodes
+ * (two buses sharing an in-memory hub)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageBus, Message, MessageTypes } = require('../../src/swarm/message-bus');
+const { InMemoryTransport } = require('../../src/swarm/transports/in-memory');
+const { KeyRing } = require('../../src/swarm/key-ring');
+
+const SECRET = 'test-secret';
+
+function createAgent(id) {
+  const agent = { id, codename: id, received: [] };
+  agent.receiveMessage = async (message) => { agent.received.push(message); };
+  return agent;
+}
+
+async function createNodes(options = {}) {
+  const hub = InMemoryTransport.createHub();
+  const local = new MessageBus({ nodeId: 'node-a', secret: SECRET, transport: new InMemoryTransport({ hub }), ...options });
+  const remote = new MessageBus({ nodeId: 'node-b', secret: SECRET, transport: new InMemoryTransport({ hub }), ...options });
+  const agents = ['winston', 'sofia'].map(createAgent);
+  agents.forEach(agent => remote.registerAgent(agent));
+  await local.connect();
+  await remote.connect();
+  return { hub, local, remote, agents };
+}
+
+function command(sender, recipients, signingKey) {
+  return new Message({ sender, recipients, type: MessageTypes.COMMAND, payload: { task: 'status' }, signingKey });
+}
+
+async function flush() {
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+async function close(...buses) {
+  for (const bus of buses) await bus.close();
+}
+
+test('a message to several agents on another node reaches each of them', async () => {
+  const { local, remote, agents } = await createNodes();
+  const key = local.issueKey('user');
+
+  const results = await local.send(command('user', ['winston', 'sofia'], key));
+  await flush();
+
+  assert.deepEqual(results.map(result => result.status), ['queued', 'queued']);
+  assert.deepEqual(agents.map(agent => agent.received.length), [1, 1]);
+  assert.equal(remote.getDeadLetters().length, 0);
+  await close(local, remote);
+});
+
+test('a replayed message is rejected for a recipient that already has it', async () => {
+  const { local, remote, agents } = await createNodes();
+  const message = command('user', ['winston'], local.issueKey('user'));
+
+  await local.send(message);
+  const replay = await remote.receiveRemote(JSON.parse(JSON.stringify(message.toJSON())), 'winston');
+  await flush();
+
+  assert.equal(replay.reason, 'replay');
+  assert.equal(agents[0].received.length, 1);
+  await close(local, remote);
+});
+
+test('keys the ring never issued do not verify, even under the shared secret', async () => {
+  const { local, remote } = await createNodes();
+  const forged = new KeyRing({ secret: SECRET }).issue('mallory');
+
+  const [result] = await local.send(command('user', ['winston'], local.issueKey('user')));
+  assert.equal(result.status, 'queued');
+
+  const message = command('mallory', ['winston'], forged);
+  const delivery = await remote.receiveRemote(message.toJSON(), 'winston');
+  assert.equal(delivery.reason, 'invalid_signature');
+
+  // A later version of a real principal's key is not valid before it is issued
+  const ahead = command('user', ['winston'], new KeyRing({ secret: SECRET }).derive('user', 5));
+  assert.equal((await remote.receiveRemote(ahead.toJSON(), 'winston')).reason, 'invalid_signature');
+  await close(local, remote);
+});
+
+test('revoking a key on one node rejects it on the others', async () => {
+  const { local, remote, agents } = await createNodes();
+  const key = local.issueKey('user');
+  await local.send(command('user', ['winston'], key));
+  await flush();
+  assert.equal(agents[0].received.length, 1);
+
+  local.revokeKey('user');
+  await flush();
+  remote.keyRing.refreshInterval = 0; // don't wait for the cached state to go stale
+
+  const delivery = await remote.receiveRemote(command('user', ['winston'], key).toJSON(), 'winston');
+  assert.equal(delivery.reason, 'invalid_signature');
+  await assert.rejects(local.send(command('user', ['winston'], key)), /Unknown or retired signing key/);
+
+  // Issuing it again starts a new version, which verifies everywhere
+  const reissued = local.issueKey('user');
+  await flush();
+  assert.equal(reissued.version, 2);
+  const [result] = await local.send(command('user', ['winston'], reissued));
+  assert.equal(result.status, 'queued');
+  await close(local, remote);
+});
+
+test('rotated keys stop verifying once the grace period ends', async () => {
+  const { local, remote } = await createNodes({ rotationGracePeriod: 50 });
+  const old = local.issueKey('user');
+  local.rotateKey('user');
+  await flush();
+  remote.keyRing.refreshInterval = 0;
+
+  assert.equal((await remote.receiveRemote(command('user', ['winston'], old).toJSON(), 'winston')).status, 'queued');
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const late = await remote.receiveRemote(command('user', ['winston'], old).toJSON(), 'winston');
+  assert.equal(late.reason, 'invalid_signature');
+  await close(local, remote);
+});
+
+test('a node that restarts picks up the version the swarm already moved to', async () => {
+  const { hub, local, remote } = await createNodes();
+  local.issueKey('user');
+  local.rotateKey('user');
+  local.rotateKey('user');
+  await flush();
+  await local.close();
+
+  const restarted = new MessageBus({ nodeId: 'node-a', secret: SECRET, transport: new InMemoryTransport({ hub }) });
+  restarted.issueKey('user');
+  await restarted.connect();
+
+  const key = restarted.keyRing.currentKey('user');
+  assert.equal(key.version, 3);
+  const [result] = await restarted.send(command('user', ['winston'], key));
+  assert.equal(result.status, 'queued');
+  await close(restarted, remote);
+});
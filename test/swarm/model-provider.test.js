@@ -0,0 +1,126 @@
+/**
+ * Model providers: the OpenAI-compatible client against a local endpoint,
+ * the stub, and choosing one from config
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OpenAICompatibleProvider, StubProvider, createProvider } = require('../../src/swarm/model-provider');
+const { BaseAgent } = require('../../src/swarm/base-agent');
+
+// Answers each request with handle(path, body) -> [status, body]
+async function createEndpoint(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ path: req.url, authorization: req.headers.authorization, body: payload });
+      const [status, reply] = handle(req.url, payload);
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/v1/`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('sends chat completions and embeddings to the configured endpoint', async () => {
+  const endpoint = await createEndpoint((path, body) => (path === '/v1/chat/completions'
+    ? [200, { model: 'served-model', choices: [{ message: { content: `Habari, ${body.messages[1].content}` } }], usage: { total_tokens: 9 } }]
+    : [200, { data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }]));
+  try {
+    const provider = new OpenAICompatibleProvider({ apiUrl: endpoint.url, apiKey: 'sk-test', model: 'default-model' });
+    const result = await provider.complete({
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Sofia' }], maxTokens: 50
+    });
+    assert.deepEqual(result, { text: 'Habari, Sofia', model: 'served-model', usage: { total_tokens: 9 } });
+
+    const { embeddings } = await provider.embed({ input: ['first', 'second'] });
+    assert.deepEqual(embeddings, [[1, 0], [0, 1]]);
+
+    assert.deepEqual(endpoint.requests.map(request => request.path), ['/v1/chat/completions', '/v1/embeddings']);
+    assert.equal(endpoint.requests[0].authorization, 'Bearer sk-test');
+    assert.deepEqual(endpoint.requests[0].body, {
+      model: 'default-model', messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Sofia' }], temperature: 0.7, max_tokens: 50
+    });
+    assert.equal(endpoint.requests[1].body.model, 'text-embedding-3-small');
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('turns HTTP errors, empty answers and slow endpoints into errors', async () => {
+  const endpoint = await createEndpoint((path, body) => (body.model === 'missing'
+    ? [404, { error: { message: 'model not found' } }]
+    : [200, { choices: [] }]));
+  try {
+    const provider = new OpenAICompatibleProvider({ apiUrl: endpoint.url });
+    await assert.rejects(provider.complete({ model: 'missing', messages: [] }), error => {
+      assert.equal(error.message, 'Model request failed: HTTP 404 model not found');
+      assert.equal(error.status, 404);
+      return true;
+    });
+    await assert.rejects(provider.complete({ messages: [] }), /Model response has no message content/);
+  } finally {
+    await endpoint.close();
+  }
+
+  const hanging = new OpenAICompatibleProvider({
+    timeout: 20,
+    fetch: (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    })
+  });
+  await assert.rejects(hanging.complete({ messages: [] }), /Model request timed out after 20ms/);
+});
+
+test('the stub answers by rule, votes by default and otherwise echoes', async () => {
+  const provider = new StubProvider({ rules: [{ match: /price/i, reply: 'KES 1,500' }], defaultVote: 'reject' });
+  const ask = content => provider.complete({ messages: [{ role: 'user', content }] }).then(result => result.text);
+
+  assert.equal(await ask('What is the price?'), 'KES 1,500');
+  assert.equal(JSON.parse(await ask('Respond with { "vote": ... }')).vote, 'reject');
+  assert.equal(await ask('Hello\nsecond line'), '[stub] Hello');
+  assert.equal(provider.calls.length, 3);
+
+  const { embeddings: [a, b, c] } = await provider.embed({ input: ['mpesa payment', 'payment via mpesa', 'weather'] });
+  const overlap = (x, y) => x.reduce((total, value, i) => total + Math.min(value, y[i]), 0);
+  assert.equal(overlap(a, b), 2);
+  assert.ok(overlap(a, c) < overlap(a, b));
+});
+
+test('an agent with a provider votes through it', async () => {
+  const sofia = new BaseAgent({ id: 'sofia', codename: 'Sofia', role: 'CMO' });
+  const provider = new StubProvider({ defaultVote: 'reject' });
+  sofia.setProvider(provider);
+
+  const verdict = await sofia.deliberate({ type: 'spending', description: 'Billboards on Mombasa Road', amount: 800, proposedBy: 'user' });
+  assert.equal(verdict.vote, 'reject');
+  assert.equal(verdict.attempts, 1);
+  assert.match(provider.calls[0].messages[1].content, /Billboards on Mombasa Road/);
+});
+
+test('picks the provider from config, with MODEL_PROVIDER taking precedence', () => {
+  const previous = process.env.MODEL_PROVIDER;
+  delete process.env.MODEL_PROVIDER;
+  try {
+    const provider = createProvider({ apiUrl: 'http://proxy:3100/v1/', default: 'small-model', timeout: 5000 });
+    assert.ok(provider instanceof OpenAICompatibleProvider);
+    assert.equal(provider.apiUrl, 'http://proxy:3100/v1');
+    assert.equal(provider.defaultModel, 'small-model');
+    assert.equal(provider.timeout, 5000);
+
+    assert.ok(createProvider({ provider: 'stub' }) instanceof StubProvider);
+    assert.throws(() => createProvider({ provider: 'local' }), /Unknown model provider: local \(use openai or stub\)/);
+
+    process.env.MODEL_PROVIDER = 'stub';
+    assert.ok(createProvider({ provider: 'openai' }) instanceof StubProvider);
+  } finally {
+    if (previous === undefined) delete process.env.MODEL_PROVIDER;
+    else process.env.MODEL_PROVIDER = previous;
+  }
+});
@@ -0,0 +1,138 @@
+/**
+ * Redis Streams transport
+ *
+ * The ack tests drive handleEntry with a recording client. The end-to-end
+ * test needs a redis-server (REDIS_URL, default redis://localhost:6379) and
+ * is skipped without one.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { MessageBus, Message, MessageTypes } = require('../../src/swarm/message-bus');
+const { RedisStreamsTransport } = require('../../src/swarm/transports/redis-streams');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+function createAgent(id, handle = async () => {}) {
+  const agent = { id, codename: id, received: [] };
+  agent.receiveMessage = async (message) => {
+    agent.received.push(message);
+    await handle(message);
+  };
+  return agent;
+}
+
+function entryFields(message) {
+  return ['message', JSON.stringify(message.toJSON()), 'priority', String(message.priority)];
+}
+
+function createTransport(bus) {
+  const transport = new RedisStreamsTransport();
+  const acks = [];
+  transport.bus = bus;
+  transport.client = { xack: async (stream, group, entryId) => { acks.push(entryId); return 1; } };
+  return { transport, acks };
+}
+
+test('acks an entry only after the agent has handled it', async () => {
+  const bus = new MessageBus({ nodeId: 'node-a', secret: 'test-secret' });
+  let finish;
+  const handled = new Promise(resolve => { finish = resolve; });
+  const agent = createAgent('winston', () => handled);
+  bus.registerAgent(agent);
+  const { transport, acks } = createTransport(bus);
+
+  const sender = bus.issueKey('sofia');
+  const message = new Message({ sender: 'sofia', recipients: ['winston'], type: MessageTypes.COMMAND, payload: {}, signingKey: sender });
+  await transport.handleEntry('stream', 'winston', '1-0', entryFields(message));
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(agent.received.length, 1);
+  assert.deepEqual(acks, [], 'queued but unprocessed entries stay pending');
+
+  finish();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(acks, ['1-0']);
+  await bus.close();
+});
+
+test('acks rejected and failed entries so they are not read again', async () => {
+  const bus = new MessageBus({ nodeId: 'node-a', secret: 'test-secret' });
+  bus.registerAgent(createAgent('winston', async () => { throw new Error('boom'); }));
+  const { transport, acks } = createTransport(bus);
+
+  const sender = bus.issueKey('sofia');
+  const failing = new Message({ sender: 'sofia', recipients: ['winston'], type: MessageTypes.COMMAND, payload: {}, signingKey: sender });
+  const unsigned = new Message({ sender: 'sofia', recipients: ['winston'], type: MessageTypes.COMMAND, payload: {} });
+
+  await transport.handleEntry('stream', 'winston', '1-0', entryFields(failing));
+  await transport.handleEntry('stream', 'winston', '2-0', entryFields(unsigned));
+  await transport.handleEntry('stream', 'winston', '3-0', ['message', '{not json']);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(acks.sort(), ['1-0', '2-0', '3-0']);
+  assert.deepEqual(bus.getDeadLetters().map(entry => entry.reason).sort(), ['invalid_signature', 'processing_failed']);
+  await bus.close();
+});
+
+function reachable(url) {
+  const { hostname, port } = new URL(url);
+  return new Promise(resolve => {
+    const socket = net.connect(Number(port) || 6379, hostname);
+    socket.setTimeout(500);
+    socket.once('connect', () => { socket.end(); resolve(true); });
+    socket.once('error', () => resolve(false));
+    socket.once('timeout', () => { socket.destroy(); resolve(false); });
+  });
+}
+
+test('a node that crashes mid-message leaves it for the next node to reclaim', async (t) => {
+  if (!await reachable(REDIS_URL)) {
+    t.skip(`no redis-server at ${REDIS_URL}`);
+    return;
+  }
+
+  const prefix = `kenyaclaw:test:${process.pid}:${Date.now()}`;
+  const secret = 'test-secret';
+
+  // The first node reads the message but never finishes handling it
+  const crashed = new MessageBus({ nodeId: 'node-crashed', secret, transport: new RedisStreamsTransport({ url: REDIS_URL, prefix, blockMs: 100 }) });
+  const stuck = createAgent('winston', () => new Promise(() => {}));
+  crashed.registerAgent(stuck);
+  await crashed.connect();
+
+  const sending = new MessageBus({ nodeId: 'node-sender', secret, transport: new RedisStreamsTransport({ url: REDIS_URL, prefix, blockMs: 100 }) });
+  await sending.connect();
+  const message = new Message({
+    sender: 'sofia', recipients: ['winston'], type: MessageTypes.COMMAND, payload: { task: 'audit' }, signingKey: sending.issueKey('sofia')
+  });
+  await sending.send(message);
+
+  while (stuck.received.length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+  // Simulate the crash: stop reading without acking or unregistering
+  crashed.transport.running = false;
+  crashed.transport.reader.disconnect();
+  await crashed.transport.loop;
+  crashed.transport.client.disconnect();
+  await crashed.close();
+
+  const recovered = new MessageBus({
+    nodeId: 'node-recovered', secret, transport: new RedisStreamsTransport({ url: REDIS_URL, prefix, blockMs: 100, claimIdleMs: 1 })
+  });
+  const agent = createAgent('winston');
+  recovered.registerAgent(agent);
+  await recovered.connect();
+
+  while (agent.received.length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(agent.received[0].id, message.id);
+
+  const stream = recovered.transport.streamKey('winston');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const [count] = await recovered.transport.client.xpending(stream, recovered.transport.group);
+  assert.equal(count, 0);
+
+  await recovered.transport.client.del(stream, recovered.transport.directoryKey());
+  await sending.close();
+  await recovered.close();
+});
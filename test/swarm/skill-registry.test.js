@@ -0,0 +1,97 @@
+/**
+ * Skill loader: manifests under a skills directory, and what it refuses
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SkillRegistry } = require('../../src/swarm/skill-registry');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeSkill(name, manifest) {
+  fs.mkdirSync(path.join(dir, name), { recursive: true });
+  fs.writeFileSync(path.join(dir, name, 'skill.yml'), manifest);
+}
+
+function loadError() {
+  try {
+    new SkillRegistry({ skillsDir: dir });
+  } catch (error) {
+    return error;
+  }
+  assert.fail('the manifest was accepted');
+}
+
+test('loads tools with their parameters and checks calls against them', () => {
+  writeSkill('ledger', [
+    'name: ledger',
+    'tools:',
+    '  - name: record',
+    '    handler: ./handlers/record.js',
+    '    parameters:',
+    '      amount: { type: number, required: true, minimum: 1 }',
+    '      currency: { type: string, enum: [KES, NGN], default: KES }'
+  ].join('\n'));
+  fs.mkdirSync(path.join(dir, 'notes')); // no skill.yml: not a skill
+
+  const registry = new SkillRegistry({ skillsDir: dir });
+  assert.deepEqual([...registry.skills.keys()], ['ledger']);
+  assert.equal(registry.getTool('ledger.record').handler, path.join(dir, 'ledger', 'handlers', 'record.js'));
+  assert.deepEqual(registry.validate('ledger.record', { amount: 5 }).params, { amount: 5, currency: 'KES' });
+  assert.equal(registry.validate('ledger.record', { amount: 0, currency: 'USD' }).errors.length, 2);
+});
+
+test('reports every problem in a manifest at once', () => {
+  writeSkill('ledger', [
+    'name: books',
+    'tools:',
+    '  - name: record',
+    '    parameters:',
+    '      amount: { type: money }',
+    '      tags: { type: array, items: { type: list } }',
+    '  - name: record',
+    '    handler: ./record.js',
+    '  - description: nameless'
+  ].join('\n'));
+
+  const error = loadError();
+  assert.equal(error.code, 'invalid_skill_manifest');
+  assert.equal(error.file, path.join(dir, 'ledger', 'skill.yml'));
+  assert.deepEqual(error.errors, [
+    'name must match the directory name \'ledger\', got "books"',
+    'tools[0] (record) needs a handler path',
+    'tools[0] (record) parameter \'amount\' has type "money" (use string, number, integer, boolean, array, object)',
+    'tools[0] (record) parameter \'tags\' items has type "list" (use string, number, integer, boolean, array, object)',
+    'tools[1]: tool \'record\' is defined twice',
+    'tools[2] needs a name'
+  ]);
+});
+
+test('refuses manifests that are not YAML mappings with a tools list', () => {
+  writeSkill('ledger', 'name: ledger\ntools: record');
+  assert.deepEqual(loadError().errors, ['tools must be a list']);
+
+  writeSkill('ledger', '- just\n- a list');
+  assert.deepEqual(loadError().errors, ['must be a YAML mapping']);
+
+  writeSkill('ledger', 'name: [ledger');
+  assert.match(loadError().errors[0], /^could not be parsed: /);
+});
+
+test('a missing skills directory means no skills', () => {
+  const registry = new SkillRegistry({ skillsDir: path.join(dir, 'absent') });
+  assert.equal(registry.skills.size, 0);
+  assert.equal(registry.getTool('mpesa.stk_push'), null);
+  assert.deepEqual(registry.toolsFor({ skills: ['mpesa'] }), []);
+});
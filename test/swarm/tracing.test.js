@@ -0,0 +1,96 @@
+/**
+ * Tracing: spans nest through async calls, and messages sent while handling
+ * another become its children
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tracer, currentContext } = require('../../src/swarm/tracing');
+const { MessageBus } = require('../../src/swarm/message-bus');
+const { BaseAgent } = require('../../src/swarm/base-agent');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function names(node) {
+  return { name: node.name, children: node.children.map(names) };
+}
+
+test('spans started inside another span are its children, even when run concurrently', async () => {
+  const tracer = new Tracer();
+  assert.equal(currentContext(), null);
+
+  const traceId = await tracer.span('task', { task: 'launch' }, async (task) => {
+    await Promise.all([
+      tracer.span('research', {}, async () => {
+        await sleep(5);
+        await tracer.span('search', {}, () => sleep(1));
+      }),
+      tracer.span('draft', {}, async (draft) => {
+        await sleep(1);
+        assert.equal(currentContext().spanId, draft.spanId);
+        tracer.annotate({ words: 120 });
+      })
+    ]);
+    assert.equal(currentContext().spanId, task.spanId);
+    return task.traceId;
+  });
+  assert.equal(currentContext(), null);
+
+  const trace = tracer.getTrace(traceId);
+  assert.equal(trace.spanCount, 4);
+  assert.deepEqual(trace.roots.map(names), [{
+    name: 'task',
+    children: [
+      { name: 'research', children: [{ name: 'search', children: [] }] },
+      { name: 'draft', children: [] }
+    ]
+  }]);
+  assert.deepEqual(trace.roots[0].children[1].attributes, { words: 120 });
+});
+
+test('a span that throws is marked as an error and the error still reaches the caller', async () => {
+  const tracer = new Tracer();
+  let traceId;
+  await assert.rejects(tracer.span('sync', {}, async (context) => {
+    traceId = context.traceId;
+    throw new Error('CRM is down');
+  }), /CRM is down/);
+
+  const [root] = tracer.getTrace(traceId).roots;
+  assert.equal(root.status, 'error');
+  assert.equal(root.error, 'CRM is down');
+});
+
+test('a query and its reply are rebuilt as one tree across agents, with hop timings', async () => {
+  const bus = new MessageBus({ secret: 'test-secret' });
+  const winston = new BaseAgent({ id: 'winston', codename: 'Winston', role: 'CEO' });
+  const sofia = new BaseAgent({ id: 'sofia', codename: 'Sofia', role: 'CMO' });
+  [winston, sofia].forEach(agent => agent.initialize(bus));
+
+  let traceId;
+  await winston.trace('plan', async (context) => {
+    traceId = context.traceId;
+    await winston.query('sofia', { task: 'campaign status' }, 1000);
+  });
+  // The reply arrives before Sofia's handler has returned
+  await sleep(5);
+
+  const trace = bus.getTrace(traceId);
+  assert.deepEqual(trace.roots.map(names), [{
+    name: 'plan',
+    children: [{ name: 'query winston', children: [{ name: 'response sofia', children: [] }] }]
+  }]);
+
+  const query = trace.roots[0].children[0];
+  assert.equal(trace.roots[0].attributes.agent, 'winston');
+  assert.deepEqual(query.hops.map(hop => [hop.recipientId, hop.status]), [['sofia', 'delivered']]);
+  assert.ok(query.hops[0].processingTime >= 0);
+  assert.equal(bus.queryHistory({ traceId }).length, 2);
+
+  // Heartbeats do not start traces of their own
+  await sofia.sendHeartbeat();
+  assert.equal(bus.tracer.traces.size, 1);
+
+  await Promise.all([winston.shutdown(), sofia.shutdown()]);
+  await bus.close();
+});
@@ -0,0 +1,107 @@
+/**
+ * Voting policy: quorum, thresholds by topic and amount, vetoes and the
+ * tie-breaker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VotingPolicy, Outcomes } = require('../../src/swarm/voting-policy');
+
+const voters = ['winston', 'sofia', 'marcus', 'adjudicator'];
+
+function votes(choices) {
+  return Object.entries(choices).map(([agent, vote]) => ({ agent, vote, reasoning: `${agent}: ${vote}` }));
+}
+
+test('without a quorum of the eligible weight there is no decision', () => {
+  const policy = new VotingPolicy({ quorum: 0.75 });
+  const ruling = policy.decide({ topic: 'hiring', voters, votes: votes({ sofia: 'approve', marcus: 'approve' }) });
+  assert.equal(ruling.outcome, Outcomes.NO_QUORUM);
+  assert.deepEqual(ruling.quorum, { required: 3, cast: 2, met: false });
+
+  // Abstentions count towards the quorum, and votes from outside it do not
+  const counted = policy.decide({
+    topic: 'hiring', voters, votes: votes({ sofia: 'approve', marcus: 'approve', winston: 'abstain', kofi: 'approve' })
+  });
+  assert.equal(counted.quorum.met, true);
+  assert.deepEqual(counted.tally, { approve: 2, reject: 0, abstain: 1 });
+  assert.equal(counted.outcome, Outcomes.APPROVE);
+});
+
+test('weights change who carries the vote', () => {
+  const choices = votes({ winston: 'approve', sofia: 'reject', marcus: 'reject', adjudicator: 'abstain' });
+  assert.equal(new VotingPolicy().decide({ topic: 'hiring', voters, votes: choices }).outcome, Outcomes.REJECT);
+
+  const weighted = new VotingPolicy({ weights: { winston: 5 } }).decide({ topic: 'hiring', voters, votes: choices });
+  assert.equal(weighted.consensus, 5 / 8);
+  assert.equal(weighted.outcome, Outcomes.REJECT);
+  assert.equal(new VotingPolicy({ weights: { winston: 6 } }).decide({ topic: 'hiring', voters, votes: choices }).outcome, Outcomes.APPROVE);
+});
+
+test('spending rules tighten with the amount and escalate when undecided', () => {
+  const policy = new VotingPolicy();
+  const split = votes({ winston: 'approve', sofia: 'approve', marcus: 'approve', adjudicator: 'abstain' });
+
+  assert.equal(policy.decide({ topic: 'spending', amount: 50, voters, votes: split }).outcome, Outcomes.APPROVE);
+  assert.equal(policy.decide({ topic: 'spending', amount: 500, voters, votes: split }).outcome, Outcomes.ESCALATE);
+  assert.equal(policy.ruleFor('spending', 5000).threshold, null);
+
+  const unanimous = votes({ winston: 'approve', sofia: 'approve', marcus: 'approve', adjudicator: 'approve' });
+  assert.equal(policy.decide({ topic: 'spending', amount: 500, voters, votes: unanimous }).outcome, Outcomes.APPROVE);
+  assert.equal(policy.decide({ topic: 'spending', amount: 5000, voters, votes: unanimous }).outcome, Outcomes.ESCALATE);
+
+  const against = votes({ winston: 'reject', sofia: 'reject', marcus: 'reject', adjudicator: 'approve' });
+  assert.equal(policy.decide({ topic: 'spending', amount: 5000, voters, votes: against }).outcome, Outcomes.REJECT);
+});
+
+test('a veto holder\'s reject decides alone, by id or by authority', () => {
+  const policy = new VotingPolicy();
+  const choices = votes({ winston: 'approve', sofia: 'approve', marcus: 'approve', adjudicator: 'reject' });
+
+  const ruling = policy.decide({ topic: 'financial_approval', voters, votes: choices });
+  assert.equal(ruling.outcome, Outcomes.REJECT);
+  assert.deepEqual(ruling.veto, { agent: 'adjudicator', reasoning: 'adjudicator: reject' });
+
+  // Vetoes only apply to their topics
+  assert.equal(policy.decide({ topic: 'hiring', voters, votes: choices }).outcome, Outcomes.APPROVE);
+
+  const members = [{ id: 'marcus', decisionAuthority: { canHaltSpending: true } }];
+  const byAuthority = policy.decide({
+    topic: 'spending', amount: 50, voters, members, votes: votes({ winston: 'approve', sofia: 'approve', marcus: 'reject', adjudicator: 'approve' })
+  });
+  assert.equal(byAuthority.veto.agent, 'marcus');
+});
+
+test('a tie goes the way the tie-breaker voted, or their casting vote', () => {
+  const tied = votes({ winston: 'approve', sofia: 'approve', marcus: 'reject', adjudicator: 'reject' });
+  const policy = new VotingPolicy({ vetoes: [] });
+
+  const chaired = policy.decide({ topic: 'hiring', voters, votes: tied });
+  assert.equal(chaired.outcome, Outcomes.APPROVE);
+  assert.deepEqual(chaired.tie, { tieBreaker: 'winston', vote: 'approve' });
+
+  const byMarcus = new VotingPolicy({ vetoes: [], tieBreaker: 'marcus' }).decide({ topic: 'hiring', voters, votes: tied });
+  assert.equal(byMarcus.outcome, Outcomes.REJECT);
+
+  // The tie-breaker is not among the voters
+  const others = ['sofia', 'marcus'];
+  const pair = votes({ sofia: 'approve', marcus: 'reject' });
+  assert.equal(policy.decide({ topic: 'hiring', voters: others, votes: pair, castingVote: 'approve' }).outcome, Outcomes.APPROVE);
+  const undecided = policy.decide({ topic: 'hiring', voters: others, votes: pair });
+  assert.equal(undecided.outcome, Outcomes.REJECT);
+  assert.deepEqual(undecided.tie, { tieBreaker: 'winston', vote: null });
+});
+
+test('reads the voting section of a config and refuses invalid rules', () => {
+  const policy = VotingPolicy.fromConfig({
+    agents: { chairman: 'sofia' },
+    voting: { quorum: 1, topics: { hiring: { threshold: 0.9 } } }
+  });
+  assert.equal(policy.chairman, 'sofia');
+  assert.equal(policy.tieBreaker, 'sofia');
+  assert.deepEqual(policy.ruleFor('hiring'), { quorum: 1, threshold: 0.9, rejectThreshold: null, undecided: 'reject' });
+  assert.ok(policy.topics.spending, 'the default spending rules are kept');
+
+  assert.throws(() => new VotingPolicy({ quorum: 2 }), /quorum must be between 0 and 1, got 2/);
+  assert.throws(() => new VotingPolicy({ topics: { hiring: { undecided: 'defer' } } }), /undecided must be 'reject' or 'escalate', got defer/);
+});